@@ -0,0 +1,78 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { validateCollection } from '../src/content/schema.js';
+
+/**
+ * Validates the project content collection whenever Vite starts a build or
+ * the dev server, and again whenever a project file changes in dev.
+ * A bad entry fails the build with one line per problem. Model sources that
+ * `npm run optimize:models` hasn't built, or has built from an older copy,
+ * only warn, since the viewer falls back to `src` or the placeholder.
+ * @param {{ dir?: string, models?: string }} [options]
+ */
+export default function contentCollection({ dir = 'src/content/projects', models = 'src/content/models.json' } = {}) {
+  let root = process.cwd();
+
+  const check = () => {
+    const absDir = path.resolve(root, dir);
+    const entries = {};
+    const errors = [];
+
+    for (const name of fs.readdirSync(absDir).filter((f) => f.endsWith('.json')).sort()) {
+      const rel = path.posix.join(dir, name);
+      try {
+        entries[rel] = JSON.parse(fs.readFileSync(path.join(absDir, name), 'utf8'));
+      } catch (err) {
+        errors.push(`${rel}: invalid JSON (${err.message})`);
+      }
+    }
+    if (Object.keys(entries).length === 0 && errors.length === 0) {
+      errors.push(`${dir}: no project files found`);
+    }
+    return { entries, errors: errors.concat(validateCollection(entries)) };
+  };
+
+  const checkModelBuilds = (entries) => {
+    const manifest = path.resolve(root, models);
+    const builds = fs.existsSync(manifest) ? JSON.parse(fs.readFileSync(manifest, 'utf8')) : {};
+    const warnings = [];
+
+    for (const [rel, entry] of Object.entries(entries)) {
+      const source = entry.model?.source;
+      if (!source) continue;
+      const file = path.resolve(root, source);
+      const build = builds[entry.id];
+      if (!fs.existsSync(file)) {
+        warnings.push(`${rel}: model source ${source} not found`);
+      } else if (build?.source !== source) {
+        warnings.push(`${rel}: ${source} has not been optimised; run npm run optimize:models`);
+      } else if (build.hash !== crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex')) {
+        warnings.push(`${rel}: ${source} changed since it was optimised; run npm run optimize:models`);
+      }
+    }
+    return warnings;
+  };
+
+  const format = (errors) => `Invalid project content:\n  - ${errors.join('\n  - ')}`;
+
+  return {
+    name: 'content-collection',
+    configResolved(config) {
+      root = config.root;
+    },
+    buildStart() {
+      const { entries, errors } = check();
+      if (errors.length) this.error(format(errors));
+      checkModelBuilds(entries).forEach((warning) => this.warn(warning));
+    },
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(path.resolve(root, dir))) return;
+      const { errors } = check();
+      if (errors.length) {
+        server.config.logger.error(format(errors));
+        server.ws.send({ type: 'error', err: { message: format(errors), stack: '' } });
+      }
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Decoder files the viewer fetches at runtime, by URL under `/<base>/`, from
+// three.js's own copies. The Draco build is the glTF-only one, which is
+// smaller and all GLTFLoader needs.
+const FILES = {
+  'draco/draco_decoder.js': 'draco/gltf/draco_decoder.js',
+  'draco/draco_decoder.wasm': 'draco/gltf/draco_decoder.wasm',
+  'draco/draco_wasm_wrapper.js': 'draco/gltf/draco_wasm_wrapper.js',
+  'basis/basis_transcoder.js': 'basis/basis_transcoder.js',
+  'basis/basis_transcoder.wasm': 'basis/basis_transcoder.wasm',
+};
+
+/**
+ * Serves the Draco decoder and Basis transcoder from the site instead of a
+ * CDN: straight out of node_modules in dev, and copied into the build output
+ * on build. Both come from the installed three.js, so they always match the
+ * loaders that use them.
+ * @param {{ base?: string }} [options]
+ */
+export default function decoders({ base = 'decoders' } = {}) {
+  let libs = path.resolve('node_modules/three/examples/jsm/libs');
+
+  return {
+    name: 'decoders',
+    configResolved(config) {
+      libs = path.resolve(config.root, 'node_modules/three/examples/jsm/libs');
+    },
+    configureServer(server) {
+      server.middlewares.use(`/${base}`, (req, res, next) => {
+        const file = FILES[req.url.split('?')[0].replace(/^\//, '')];
+        if (!file) return next();
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        fs.createReadStream(path.join(libs, file)).pipe(res);
+      });
+    },
+    generateBundle() {
+      for (const [url, file] of Object.entries(FILES)) {
+        this.emitFile({ type: 'asset', fileName: `${base}/${url}`, source: fs.readFileSync(path.join(libs, file)) });
+      }
+    },
+  };
+}
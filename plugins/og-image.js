@@ -0,0 +1,244 @@
+import zlib from 'node:zlib';
+
+// --- OPEN GRAPH IMAGES ---
+// Draws a 1200×630 link-preview card in the MECH.OS style (dark grid, drawing
+// frame, accent rule, monospaced caps) and encodes it as a PNG, with no
+// native image dependencies. Text uses a built-in 5×7 pixel font, so it is
+// folded to upper-case ASCII first.
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+const COLORS = {
+  bg: [9, 9, 11],
+  grid: [22, 22, 26],
+  frame: [63, 63, 70],
+  accent: [14, 165, 233],
+  text: [250, 250, 250],
+  muted: [161, 161, 170],
+};
+
+// 5×7 glyphs, one string of five bits per row.
+const GLYPHS = {
+  A: '01110 10001 10001 11111 10001 10001 10001',
+  B: '11110 10001 10001 11110 10001 10001 11110',
+  C: '01110 10001 10000 10000 10000 10001 01110',
+  D: '11110 10001 10001 10001 10001 10001 11110',
+  E: '11111 10000 10000 11110 10000 10000 11111',
+  F: '11111 10000 10000 11110 10000 10000 10000',
+  G: '01110 10001 10000 10111 10001 10001 01111',
+  H: '10001 10001 10001 11111 10001 10001 10001',
+  I: '01110 00100 00100 00100 00100 00100 01110',
+  J: '00111 00010 00010 00010 00010 10010 01100',
+  K: '10001 10010 10100 11000 10100 10010 10001',
+  L: '10000 10000 10000 10000 10000 10000 11111',
+  M: '10001 11011 10101 10101 10001 10001 10001',
+  N: '10001 10001 11001 10101 10011 10001 10001',
+  O: '01110 10001 10001 10001 10001 10001 01110',
+  P: '11110 10001 10001 11110 10000 10000 10000',
+  Q: '01110 10001 10001 10001 10101 10010 01101',
+  R: '11110 10001 10001 11110 10100 10010 10001',
+  S: '01111 10000 10000 01110 00001 00001 11110',
+  T: '11111 00100 00100 00100 00100 00100 00100',
+  U: '10001 10001 10001 10001 10001 10001 01110',
+  V: '10001 10001 10001 10001 10001 01010 00100',
+  W: '10001 10001 10001 10101 10101 10101 01010',
+  X: '10001 10001 01010 00100 01010 10001 10001',
+  Y: '10001 10001 10001 01010 00100 00100 00100',
+  Z: '11111 00001 00010 00100 01000 10000 11111',
+  0: '01110 10001 10011 10101 11001 10001 01110',
+  1: '00100 01100 00100 00100 00100 00100 01110',
+  2: '01110 10001 00001 00010 00100 01000 11111',
+  3: '11111 00010 00100 00010 00001 10001 01110',
+  4: '00010 00110 01010 10010 11111 00010 00010',
+  5: '11111 10000 11110 00001 00001 10001 01110',
+  6: '00110 01000 10000 11110 10001 10001 01110',
+  7: '11111 00001 00010 00100 01000 01000 01000',
+  8: '01110 10001 10001 01110 10001 10001 01110',
+  9: '01110 10001 10001 01111 00001 00010 01100',
+  ' ': '00000 00000 00000 00000 00000 00000 00000',
+  '.': '00000 00000 00000 00000 00000 01100 01100',
+  ',': '00000 00000 00000 00000 01100 00100 01000',
+  '-': '00000 00000 00000 11111 00000 00000 00000',
+  '/': '00000 00001 00010 00100 01000 10000 00000',
+  ':': '00000 01100 01100 00000 01100 01100 00000',
+  '&': '01100 10010 10100 01000 10101 10010 01101',
+  '(': '00010 00100 01000 01000 01000 00100 00010',
+  ')': '01000 00100 00010 00010 00010 00100 01000',
+  '+': '00000 00100 00100 11111 00100 00100 00000',
+  '%': '11000 11001 00010 00100 01000 10011 00011',
+  "'": '01100 00100 01000 00000 00000 00000 00000',
+  '!': '00100 00100 00100 00100 00100 00000 00100',
+  '?': '01110 10001 00001 00010 00100 00000 00100',
+  '_': '00000 00000 00000 00000 00000 00000 11111',
+  '#': '01010 01010 11111 01010 11111 01010 01010',
+  '°': '01100 10010 10010 01100 00000 00000 00000',
+  '±': '00100 00100 11111 00100 00100 00000 11111',
+};
+
+const GLYPH_BITS = Object.fromEntries(Object.entries(GLYPHS)
+  .map(([char, rows]) => [char, rows.split(' ').map((row) => [...row].map((bit) => bit === '1'))]));
+
+// Advance per glyph in font pixels: five columns plus one of spacing.
+const ADVANCE = 6;
+
+/** Upper-case ASCII the font can draw; accents are dropped, unknown characters become spaces. */
+const fold = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/ß/g, 'SS')
+  .replace(/[—–]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/×/g, 'X')
+  .toUpperCase()
+  .replace(/./gu, (char) => (GLYPH_BITS[char] ? char : ' '));
+
+/** Word-wraps `text` to `columns`, keeping at most `maxLines` and ending a cut line with "...". */
+const wrap = (text, columns, maxLines) => {
+  const lines = [];
+  let line = '';
+  for (const word of fold(text).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= columns) {
+      line = next;
+    } else {
+      if (line) lines.push(line);
+      line = word.slice(0, columns);
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, columns - 3).trimEnd()}...`;
+  }
+  return lines;
+};
+
+// --- RASTER ---
+
+const createCanvas = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const fillRect = (x, y, w, h, [r, g, b]) => {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = (py * width + px) * 3;
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+      }
+    }
+  };
+
+  const text = (value, x, y, scale, color) => {
+    [...value].forEach((char, n) => {
+      GLYPH_BITS[char].forEach((row, ry) => row.forEach((on, rx) => {
+        if (on) fillRect(x + (n * ADVANCE + rx) * scale, y + ry * scale, scale, scale, color);
+      }));
+    });
+  };
+
+  return { width, height, pixels, fillRect, text };
+};
+
+// --- PNG ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/** 8-bit RGB PNG from a canvas, every scanline unfiltered. */
+const encodePng = ({ width, height, pixels }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// --- CARD ---
+
+const MARGIN = 80;
+const GRID = 40;
+
+/**
+ * Renders a preview card as PNG bytes.
+ * @param {{ title: string, subtitle?: string, label?: string, footer?: string }} card
+ * @returns {Buffer}
+ */
+export const renderOgImage = ({ title, subtitle = '', label = '', footer = '' }) => {
+  const canvas = createCanvas(OG_WIDTH, OG_HEIGHT);
+  const { fillRect, text } = canvas;
+  const textWidth = OG_WIDTH - MARGIN * 2;
+
+  // 1. BACKGROUND GRID AND DRAWING FRAME
+  fillRect(0, 0, OG_WIDTH, OG_HEIGHT, COLORS.bg);
+  for (let x = GRID; x < OG_WIDTH; x += GRID) fillRect(x, 0, 1, OG_HEIGHT, COLORS.grid);
+  for (let y = GRID; y < OG_HEIGHT; y += GRID) fillRect(0, y, OG_WIDTH, 1, COLORS.grid);
+  const inset = 30;
+  fillRect(inset, inset, OG_WIDTH - inset * 2, 2, COLORS.frame);
+  fillRect(inset, OG_HEIGHT - inset - 2, OG_WIDTH - inset * 2, 2, COLORS.frame);
+  fillRect(inset, inset, 2, OG_HEIGHT - inset * 2, COLORS.frame);
+  fillRect(OG_WIDTH - inset - 2, inset, 2, OG_HEIGHT - inset * 2, COLORS.frame);
+  [[inset, inset], [OG_WIDTH - inset, inset], [inset, OG_HEIGHT - inset], [OG_WIDTH - inset, OG_HEIGHT - inset]].forEach(([cx, cy]) => {
+    fillRect(cx - 12, cy - 1, 24, 3, COLORS.accent);
+    fillRect(cx - 1, cy - 12, 3, 24, COLORS.accent);
+  });
+
+  // 2. LABEL AND ACCENT RULE
+  const labelScale = 3;
+  wrap(label, Math.floor(textWidth / (ADVANCE * labelScale)), 1)
+    .forEach((line) => text(line, MARGIN, 84, labelScale, COLORS.accent));
+  fillRect(MARGIN, 124, 96, 6, COLORS.accent);
+
+  // 3. TITLE
+  const titleScale = 9;
+  const titleLines = wrap(title, Math.floor(textWidth / (ADVANCE * titleScale)), 3);
+  const titleLead = 7 * titleScale + 22;
+  titleLines.forEach((line, i) => text(line, MARGIN, 170 + i * titleLead, titleScale, COLORS.text));
+
+  // 4. SUBTITLE
+  const subtitleScale = 4;
+  const subtitleTop = 170 + titleLines.length * titleLead + 16;
+  const subtitleLines = Math.max(0, Math.min(3, Math.floor((OG_HEIGHT - 110 - subtitleTop) / (7 * subtitleScale + 12))));
+  wrap(subtitle, Math.floor(textWidth / (ADVANCE * subtitleScale)), subtitleLines)
+    .forEach((line, i) => text(line, MARGIN, subtitleTop + i * (7 * subtitleScale + 12), subtitleScale, COLORS.muted));
+
+  // 5. FOOTER
+  fillRect(MARGIN, OG_HEIGHT - 88, 12, 12, COLORS.accent);
+  wrap(footer, Math.floor((textWidth - 30) / (ADVANCE * 2)), 1)
+    .forEach((line) => text(line, MARGIN + 30, OG_HEIGHT - 87, 2, COLORS.muted));
+
+  return encodePng(canvas);
+};
@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { build } from 'vite';
+import react from '@vitejs/plugin-react';
+import { renderOgImage } from './og-image.js';
+
+/**
+ * Prerenders the home page and every project page after a client build.
+ * Builds `entry` for Node, renders each page into a copy of index.html with
+ * its own title, meta description, Open Graph/Twitter tags and JSON-LD, draws
+ * its link-preview image into `og/`, and writes sitemap.xml and robots.txt.
+ * Without `url` in site.json there is nothing absolute to point at, so the
+ * sitemap (and robots.txt's reference to it) is skipped.
+ * The client still mounts from scratch over the markup, since the locale,
+ * theme and WebGL support are only known in the browser.
+ * @param {{ entry?: string }} [options]
+ */
+export default function prerender({ entry = 'src/entry-server.jsx' } = {}) {
+  let config;
+
+  const xmlEscape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  // `lastmod` must be a full date; project dates may be YYYY or YYYY-MM.
+  const lastmod = (date) => {
+    if (!date) return null;
+    const [year, month = '01', day = '01'] = date.split('-');
+    return `${year}-${month}-${day}`;
+  };
+
+  const sitemap = (pages, siteUrl) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...pages.map((page) => [
+      '  <url>',
+      `    <loc>${xmlEscape(`${siteUrl}${page.path}`)}</loc>`,
+      page.lastmod && `    <lastmod>${lastmod(page.lastmod)}</lastmod>`,
+      '  </url>',
+    ].filter(Boolean).join('\n')),
+    '</urlset>',
+    '',
+  ].join('\n');
+
+  return {
+    name: 'prerender',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      // The server build below runs through Vite too; don't recurse into it.
+      if (config.build.ssr) return;
+
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.resolve(config.root, 'node_modules/.prerender');
+
+      // 1. BUILD THE SERVER ENTRY
+      await build({
+        configFile: false,
+        root: config.root,
+        mode: config.mode,
+        logLevel: 'warn',
+        plugins: [react()],
+        ssr: { noExternal: true },
+        build: {
+          ssr: entry,
+          outDir: serverDir,
+          emptyOutDir: true,
+          rollupOptions: { output: { entryFileNames: 'entry-server.mjs' } },
+        },
+      });
+
+      try {
+        const { render, sitePages, headTags, SITE } = await import(
+          pathToFileURL(path.join(serverDir, 'entry-server.mjs')).href
+        );
+        const template = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+        const pages = sitePages();
+        const siteUrl = SITE.url || '';
+        if (!siteUrl) {
+          config.logger.warn('prerender: site.json has no `url`; skipping sitemap.xml, canonical links and link-preview tags');
+        }
+
+        // 2. RENDER EACH PAGE AND ITS PREVIEW IMAGE
+        fs.mkdirSync(path.join(outDir, 'og'), { recursive: true });
+        for (const page of pages) {
+          const markup = await render(page.path);
+          const html = template
+            .replace(/<title>.*?<\/title>\s*<meta name="description"[^>]*>/s, headTags(page))
+            .replace('<div id="root"></div>', () => `<div id="root">${markup}</div>`);
+          const file = path.join(outDir, page.path, 'index.html');
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, html);
+
+          const footer = [SITE.name, siteUrl.replace(/^https?:\/\//, '')].filter(Boolean).join(' — ');
+          fs.writeFileSync(path.join(outDir, 'og', page.image.file), renderOgImage({ ...page.image, footer }));
+        }
+
+        // 3. SITEMAP AND ROBOTS
+        if (siteUrl) fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap(pages, siteUrl));
+        if (!fs.existsSync(path.join(outDir, 'robots.txt'))) {
+          const robots = ['User-agent: *', 'Allow: /', ...(siteUrl ? ['', `Sitemap: ${siteUrl}/sitemap.xml`] : [])];
+          fs.writeFileSync(path.join(outDir, 'robots.txt'), `${robots.join('\n')}\n`);
+        }
+
+        config.logger.info(`prerendered ${pages.length} pages with preview images${siteUrl ? ' and sitemap.xml' : ''}`);
+      } finally {
+        fs.rmSync(serverDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,304 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { ColorUtils, Document, Logger, NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS, KHRTextureBasisu } from '@gltf-transform/extensions';
+import {
+  cloneDocument, dedup, draco, getBounds, getTextureColorSpace, meshopt, prune, simplify, weld,
+} from '@gltf-transform/functions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
+import { Mesh } from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { PROJECT_COLORS, modelFormatOf } from '../src/content/schema.js';
+
+// --- MODEL PIPELINE ---
+// Builds web-ready GLBs from the CAD exports named by each project's
+// `model.source`: deduplicated and welded, simplified into detail levels,
+// mesh-compressed with meshopt (or Draco) and with textures transcoded to
+// KTX2. Each level is written to public/models/<id>/lod<N>.glb, and the level
+// list, triangle counts and bounds go to src/content/models.json, which the
+// viewer reads to pick a level for the device and to place the model without
+// measuring it. Run it after changing a source with `npm run optimize:models`.
+//
+//   node scripts/optimize-models.js [ids...] [--codec=meshopt|draco] [--no-ktx2] [--force]
+//
+// Sources whose contents and options haven't changed since the last run are
+// skipped. KTX2 needs `toktx` from KTX-Software on the PATH; without it
+// textures are kept in their original format.
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const projectsDir = path.join(root, 'src/content/projects');
+const outFile = path.join(root, 'src/content/models.json');
+const publicDir = path.join(root, 'public');
+
+// Detail levels, finest first. `ratio` is the share of vertices simplify
+// aims to keep; it stops early rather than move the surface by more than
+// `error` (a fraction of each mesh's radius). Textures shrink with the level.
+const LEVELS = [
+  { ratio: 1, error: 0, textureScale: 1 },
+  { ratio: 0.5, error: 0.002, textureScale: 0.5 },
+  { ratio: 0.15, error: 0.01, textureScale: 0.25 },
+];
+
+const CODECS = ['meshopt', 'draco'];
+
+const parseArgs = (argv) => {
+  const options = { ids: [], codec: 'meshopt', ktx2: true, force: false };
+  for (const arg of argv) {
+    if (arg.startsWith('--codec=')) options.codec = arg.slice('--codec='.length);
+    else if (arg === '--no-ktx2') options.ktx2 = false;
+    else if (arg === '--force') options.force = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.ids.push(arg);
+  }
+  if (!CODECS.includes(options.codec)) throw new Error(`--codec must be one of ${CODECS.join(', ')}`);
+  return options;
+};
+
+// Transforms report what they removed at info level; keep the output to one line per model.
+const logger = new Logger(Logger.Verbosity.WARN);
+
+const hashFile = (file) => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+// --- READING SOURCES ---
+
+/**
+ * A glTF document holding three.js meshes, one node per mesh so part names
+ * survive for `hide`, `explode` and annotations.
+ * @param {import('three').Object3D} object
+ * @param {string | null} color base colour for meshes, or null for the glTF default
+ */
+const documentFromObject = (object, color) => {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const scene = document.createScene();
+  const material = color
+    ? document.createMaterial('default')
+      .setBaseColorFactor([...ColorUtils.hexToFactor(parseInt(color.slice(1), 16), []), 1])
+      .setMetallicFactor(0.6)
+      .setRoughnessFactor(0.4)
+    : null;
+
+  const accessor = (attribute, type) => document.createAccessor()
+    .setType(type)
+    .setArray(attribute.array)
+    .setBuffer(buffer);
+
+  object.updateMatrixWorld(true);
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    const { geometry } = child;
+    const primitive = document.createPrimitive()
+      .setAttribute('POSITION', accessor(geometry.attributes.position, 'VEC3'));
+    if (geometry.attributes.normal) primitive.setAttribute('NORMAL', accessor(geometry.attributes.normal, 'VEC3'));
+    if (geometry.attributes.uv) primitive.setAttribute('TEXCOORD_0', accessor(geometry.attributes.uv, 'VEC2'));
+    if (geometry.index) primitive.setIndices(accessor(geometry.index, 'SCALAR'));
+    if (material) primitive.setMaterial(material);
+
+    scene.addChild(document.createNode(child.name)
+      .setMesh(document.createMesh(child.name).addPrimitive(primitive))
+      .setMatrix(child.matrixWorld.toArray()));
+  });
+  return document;
+};
+
+/**
+ * Reads a source export into a glTF document. STL and OBJ are parsed with
+ * the same three.js loaders the viewer uses for them.
+ * @param {NodeIO} io
+ * @param {string} file
+ * @param {{ color: string }} project
+ */
+const readSource = async (io, file, project) => {
+  switch (modelFormatOf(file)) {
+    case 'glb':
+    case 'gltf':
+      return io.read(file);
+    case 'stl': {
+      const bytes = fs.readFileSync(file);
+      const geometry = new STLLoader().parse(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+      // STL stores a normal per face, which keeps weld from joining any
+      // vertices. Without normals three.js shades the mesh flat, as the
+      // viewer does for STL anyway.
+      geometry.deleteAttribute('normal');
+      return documentFromObject(new Mesh(geometry), PROJECT_COLORS[project.color]);
+    }
+    case 'obj': {
+      const text = fs.readFileSync(file, 'utf8');
+      const object = new OBJLoader().parse(text);
+      // Without `vn` lines OBJLoader computes flat normals, which get in
+      // weld's way just like STL's.
+      if (!/^vn\s/m.test(text)) object.traverse((child) => child.geometry?.deleteAttribute('normal'));
+      return documentFromObject(object, null);
+    }
+    default:
+      throw new Error(`${path.relative(root, file)} is not a glb, gltf, stl or obj file`);
+  }
+};
+
+// --- TEXTURES ---
+
+const hasToktx = () => !spawnSync('toktx', ['--version'], { stdio: 'ignore' }).error;
+
+/**
+ * Transcodes every texture to KTX2 with toktx: ETC1S for colour textures,
+ * where size matters most, and UASTC for normal, roughness and other data
+ * textures, where ETC1S artefacts show.
+ * @param {Document} document
+ * @param {number} scale
+ */
+const compressTextures = (document, scale) => {
+  const textures = document.getRoot().listTextures().filter((texture) => texture.getMimeType() !== 'image/ktx2');
+  if (!textures.length) return;
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-models-'));
+  try {
+    textures.forEach((texture, i) => {
+      const input = path.join(tmp, `${i}.${texture.getMimeType() === 'image/jpeg' ? 'jpg' : 'png'}`);
+      const output = path.join(tmp, `${i}.ktx2`);
+      fs.writeFileSync(input, texture.getImage());
+
+      const srgb = getTextureColorSpace(texture) === 'srgb';
+      const args = ['--t2', '--genmipmap', '--assign_oetf', srgb ? 'srgb' : 'linear'];
+      args.push(...(srgb ? ['--encode', 'etc1s', '--clevel', '2', '--qlevel', '128'] : ['--encode', 'uastc', '--zcmp', '18']));
+      if (scale < 1) args.push('--scale', String(scale));
+      const result = spawnSync('toktx', [...args, output, input], { encoding: 'utf8' });
+      if (result.status !== 0) throw new Error(`toktx failed on texture ${texture.getName() || i}: ${result.stderr.trim()}`);
+
+      texture.setImage(new Uint8Array(fs.readFileSync(output))).setMimeType('image/ktx2');
+    });
+    document.createExtension(KHRTextureBasisu).setRequired(true);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+};
+
+// --- DETAIL LEVELS ---
+
+const countTriangles = (document) => document.getRoot().listNodes().reduce((sum, node) => {
+  const primitives = node.getMesh()?.listPrimitives() || [];
+  return sum + primitives
+    .filter((primitive) => primitive.getMode() === 4)
+    .reduce((n, primitive) => n + (primitive.getIndices() || primitive.getAttribute('POSITION')).getCount() / 3, 0);
+}, 0);
+
+/**
+ * Writes every detail level of one source and returns its models.json entry.
+ * @param {NodeIO} io
+ * @param {{ id: string, color: string, model: { source: string } }} project
+ * @param {{ codec: string, ktx2: boolean }} options
+ * @param {string} hash
+ */
+const optimize = async (io, project, { codec, ktx2 }, hash) => {
+  const { id, model } = project;
+  const base = (await readSource(io, path.join(root, model.source), project)).setLogger(logger);
+  await base.transform(dedup(), prune(), weld());
+
+  const scene = base.getRoot().getDefaultScene() || base.getRoot().listScenes()[0];
+  const { min, max } = getBounds(scene);
+
+  const outDir = path.join(publicDir, 'models', id);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.readdirSync(outDir).filter((f) => /^lod\d+\.glb$/.test(f)).forEach((f) => fs.rmSync(path.join(outDir, f)));
+
+  const lods = [];
+  for (const [i, level] of LEVELS.entries()) {
+    const document = cloneDocument(base).setLogger(logger);
+    if (level.ratio < 1) {
+      await document.transform(simplify({ simplifier: MeshoptSimplifier, ratio: level.ratio, error: level.error }));
+    }
+    if (ktx2) compressTextures(document, level.textureScale);
+    await document.transform(codec === 'draco'
+      ? draco({ method: 'edgebreaker' })
+      : meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+
+    const glb = await io.writeBinary(document);
+    const file = path.join(outDir, `lod${i}.glb`);
+    fs.writeFileSync(file, glb);
+    lods.push({
+      src: `/${path.relative(publicDir, file).split(path.sep).join('/')}`,
+      triangles: countTriangles(document),
+      bytes: glb.byteLength,
+    });
+  }
+
+  return { source: model.source, hash, codec, textures: ktx2 ? 'ktx2' : 'original', bounds: { min, max }, lods };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const previous = fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, 'utf8')) : {};
+  const next = {};
+  let failures = 0;
+
+  if (options.ktx2 && !hasToktx()) {
+    console.warn('toktx not found on PATH; keeping textures in their original format (install KTX-Software for KTX2)');
+    options.ktx2 = false;
+  }
+
+  await MeshoptEncoder.ready;
+  await MeshoptDecoder.ready;
+  await MeshoptSimplifier.ready;
+  const io = new NodeIO()
+    .setLogger(logger)
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder,
+    });
+
+  for (const file of fs.readdirSync(projectsDir).filter((f) => f.endsWith('.json')).sort()) {
+    const project = JSON.parse(fs.readFileSync(path.join(projectsDir, file), 'utf8'));
+    const source = project.model?.source;
+    if (!source) continue;
+    if (options.ids.length && !options.ids.includes(project.id)) {
+      if (previous[project.id]) next[project.id] = previous[project.id];
+      continue;
+    }
+
+    const sourceFile = path.join(root, source);
+    if (!fs.existsSync(sourceFile)) {
+      failures++;
+      console.error(`${project.id}: ${source} not found`);
+      if (previous[project.id]) next[project.id] = previous[project.id];
+      continue;
+    }
+
+    const hash = hashFile(sourceFile);
+    const last = previous[project.id];
+    const upToDate = last && last.source === source && last.hash === hash && last.codec === options.codec
+      && last.textures === (options.ktx2 ? 'ktx2' : 'original')
+      && last.lods.every((lod) => fs.existsSync(path.join(publicDir, lod.src)));
+    if (upToDate && !options.force) {
+      next[project.id] = last;
+      console.log(`${project.id}: up to date`);
+      continue;
+    }
+
+    try {
+      next[project.id] = await optimize(io, project, options, hash);
+      const sizes = next[project.id].lods.map((lod) => `${lod.triangles} tris / ${(lod.bytes / 1024).toFixed(0)} kB`);
+      console.log(`${project.id}: ${sizes.join(', ')}`);
+    } catch (err) {
+      failures++;
+      console.error(`${project.id}: ${err.message}`);
+      if (previous[project.id]) next[project.id] = previous[project.id];
+    }
+  }
+
+  fs.writeFileSync(outFile, `${JSON.stringify(next, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(root, outFile)} (${Object.keys(next).length} models)`);
+  if (failures) process.exitCode = 1;
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
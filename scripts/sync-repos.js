@@ -0,0 +1,96 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// --- REPOSITORY SNAPSHOT ---
+// Mirrors metadata for every project's `links.repository` into
+// src/content/repos.json, so the site shows last commit, languages and stars
+// without calling the GitHub API from visitors' browsers. Run it before a
+// deploy with `npm run sync:repos`; set GITHUB_TOKEN to lift the rate limit.
+//
+// Repositories that are not on GitHub, or that fail to fetch, keep their
+// previous snapshot (if any) and are reported.
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const projectsDir = path.join(root, 'src/content/projects');
+const outFile = path.join(root, 'src/content/repos.json');
+
+const GITHUB_REPO = /^https?:\/\/(?:www\.)?github\.com\/([^/]+)\/([^/#?]+?)(?:\.git)?\/?(?:[#?].*)?$/;
+
+const api = async (route) => {
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'portfolio-sync-repos' };
+  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  const res = await fetch(`https://api.github.com${route}`, { headers });
+  if (!res.ok) throw new Error(`GET ${route}: ${res.status} ${res.statusText}`);
+  return res.json();
+};
+
+/**
+ * Fetches the snapshot for one GitHub repository URL.
+ * @param {string} url
+ */
+const snapshot = async (url) => {
+  const [, owner, name] = url.match(GITHUB_REPO);
+  const base = `/repos/${owner}/${name}`;
+  const [repo, languages, commits] = await Promise.all([
+    api(base),
+    api(`${base}/languages`),
+    api(`${base}/commits?per_page=1`),
+  ]);
+  const commit = commits[0];
+  return {
+    url: repo.html_url,
+    name: repo.full_name,
+    stars: repo.stargazers_count,
+    languages,
+    lastCommit: commit
+      ? {
+        sha: commit.sha,
+        message: commit.commit.message.split('\n')[0],
+        date: commit.commit.committer.date,
+        url: commit.html_url,
+      }
+      : null,
+    fetchedAt: new Date().toISOString(),
+  };
+};
+
+const main = async () => {
+  const previous = fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, 'utf8')) : {};
+  const next = {};
+  let failures = 0;
+  let linked = 0;
+
+  for (const file of fs.readdirSync(projectsDir).filter((f) => f.endsWith('.json')).sort()) {
+    const project = JSON.parse(fs.readFileSync(path.join(projectsDir, file), 'utf8'));
+    const url = project.links?.repository;
+    if (!url) continue;
+    linked++;
+
+    if (!GITHUB_REPO.test(url)) {
+      console.warn(`${project.id}: ${url} is not a GitHub repository, skipped`);
+      if (previous[project.id]) next[project.id] = previous[project.id];
+      continue;
+    }
+    try {
+      next[project.id] = await snapshot(url);
+      console.log(`${project.id}: ${next[project.id].name} ★${next[project.id].stars}`);
+    } catch (err) {
+      failures++;
+      console.error(`${project.id}: ${err.message}`);
+      if (previous[project.id]) next[project.id] = previous[project.id];
+    }
+  }
+
+  if (!linked) {
+    console.warn('No project sets links.repository; add one to a project file to snapshot it.');
+  }
+  fs.writeFileSync(outFile, `${JSON.stringify(next, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(root, outFile)} (${Object.keys(next).length} repositories)`);
+  if (failures) process.exitCode = 1;
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
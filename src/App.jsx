@@ -1,412 +1,117 @@
-import React, { useState, useRef, useMemo, useEffect, Suspense } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
+import React, { useState, useRef, useMemo, useCallback, Suspense, lazy } from 'react';
+import { m, AnimatePresence } from 'framer-motion';
+import { Routes, Route, useLocation, useNavigate, useParams } from 'react-router-dom';
 import { 
-  PerspectiveCamera, 
-  Environment, 
-  Float, 
-  OrbitControls, 
-  useGLTF, 
-  Stars,
-  Center,
-  Bounds // Added for auto-fitting model to view
-} from '@react-three/drei';
-import * as THREE from 'three';
-import { motion, AnimatePresence } from 'framer-motion';
-import { 
-  Cpu, 
   Cog, 
-  Wrench, 
-  Wind, 
-  Layers, 
   Github, 
   Linkedin, 
   Mail, 
-  Download,
-  GitBranch,
   Target,
-  FlaskConical,
   Zap,
   Menu,
   X,
-  Code,
   Terminal,
   ChevronRight,
   MousePointer2,
   Maximize,
-  Layers as LayersIcon,
   ArrowRight,
   BoxSelect,
-  Settings,
-  Loader2 
+  AlertTriangle,
+  FileDown
 } from 'lucide-react';
+import { featuredProjects, getProject, localizeProject } from './content/projects.js';
+import { yearOf } from './content/archive.js';
+import { SITE, localizeSite } from './content/site.js';
+import { PROJECT_ICONS } from './content/icons.js';
+import { PROJECT_COLOR_CLASSES } from './content/colors.js';
+import { useScrollSpy } from './hooks/useScrollSpy.js';
+import { useDocumentTitle } from './hooks/useDocumentTitle.js';
+import { useFocusTrap } from './hooks/useFocusTrap.js';
+import { useScrollLock } from './hooks/useScrollLock.js';
+import { usePrefersReducedMotion } from './hooks/useMediaQuery.js';
+import { usePageVisible } from './hooks/usePageVisible.js';
+import { useInView } from './hooks/useInView.js';
+import { supportsWebGL } from './viewer/webgl.js';
+import { ViewportBoundary } from './viewer/ViewportBoundary.jsx';
+import { preloadProject } from './viewer/preload.js';
+import { HTMLProjectLoader } from './viewer/ProjectLoader.jsx';
+import { useI18n } from './i18n/I18nProvider.jsx';
+import ArchiveView from './components/ArchiveView.jsx';
+import ContactForm from './components/ContactForm.jsx';
+import NavDrawer from './components/NavDrawer.jsx';
+import MechanicalDiagram from './components/MechanicalDiagram.jsx';
+import ThemeSwitcher from './components/ThemeSwitcher.jsx';
+import LocaleSwitcher from './components/LocaleSwitcher.jsx';
 
-// --- THEME CONFIG ---
-const THEME = {
-  bg: '#09090b',        // Deep Zinc Black
-  text: '#f8fafc',      // Slate 50
-  accent: '#0ea5e9',    // Sky 500 (CAD Blue)
-  warning: '#f59e0b',   // Amber 500 (Engineering Warning)
-  muted: '#64748b',     // Slate 500
-  border: '#27272a',    // Zinc 800
-  surface: '#18181b',   // Zinc 900
-};
-
-// --- 3D ASSETS ---
-
-// 1. PROCEDURAL GEAR COMPONENT
-const TechnicalGear = ({ position, rotation, size = 1, teeth = 12, speed = 1, color, wireframe = false }) => {
-  const meshRef = useRef();
-  
-  const geometry = useMemo(() => {
-    const shape = new THREE.Shape();
-    const outerRadius = size;
-    const innerRadius = size * 0.85;
-    const holeRadius = size * 0.4;
-    
-    const numTeeth = teeth;
-    const angleStep = (Math.PI * 2) / (numTeeth * 2);
-
-    for (let i = 0; i < numTeeth * 2; i++) {
-      const angle = i * angleStep;
-      const r = i % 2 === 0 ? outerRadius : innerRadius;
-      const x = Math.cos(angle) * r;
-      const y = Math.sin(angle) * r;
-      if (i === 0) shape.moveTo(x, y);
-      else shape.lineTo(x, y);
-    }
-    
-    const holePath = new THREE.Path();
-    holePath.absarc(0, 0, holeRadius, 0, Math.PI * 2, false);
-    shape.holes.push(holePath);
-
-    return new THREE.ExtrudeGeometry(shape, { 
-      depth: 0.2 * size, 
-      bevelEnabled: true, 
-      bevelThickness: 0.05 * size, 
-      bevelSize: 0.05 * size, 
-      bevelSegments: 2 
-    });
-  }, [size, teeth]);
-
-  useFrame((state, delta) => {
-    if (meshRef.current) {
-      meshRef.current.rotation.z += delta * speed * 0.5;
-    }
-  });
-
-  return (
-    <mesh ref={meshRef} position={position} rotation={rotation}>
-      <primitive object={geometry} attach="geometry" />
-      <meshStandardMaterial 
-        color={wireframe ? THEME.accent : color || '#334155'} 
-        roughness={0.5} 
-        metalness={0.8} 
-        wireframe={wireframe}
-        emissive={wireframe ? THEME.accent : '#000000'}
-        emissiveIntensity={wireframe ? 0.5 : 0}
-      />
-    </mesh>
-  );
-};
-
-// 2. PROCEDURAL DRONE
-const Drone = () => {
-  const groupRef = useRef();
-  
-  useFrame(({ clock }) => {
-    if (!groupRef.current) return;
-    const t = clock.getElapsedTime();
-    
-    // Flight Path
-    groupRef.current.position.x = Math.sin(t * 0.5) * 8;
-    groupRef.current.position.y = Math.cos(t * 0.3) * 4 + 2;
-    groupRef.current.position.z = Math.sin(t * 0.2) * 5 - 5;
-    
-    // Banking
-    groupRef.current.rotation.z = -Math.cos(t * 0.5) * 0.2;
-    groupRef.current.rotation.x = Math.sin(t * 0.3) * 0.1;
-  });
-
-  return (
-    <group ref={groupRef} scale={0.5}>
-       <mesh>
-         <boxGeometry args={[1, 0.2, 1]} />
-         <meshStandardMaterial color="#334155" />
-       </mesh>
-       <mesh rotation={[0, Math.PI/4, 0]}>
-         <boxGeometry args={[2.5, 0.1, 0.2]} />
-         <meshStandardMaterial color="#1e293b" />
-       </mesh>
-       <mesh rotation={[0, -Math.PI/4, 0]}>
-         <boxGeometry args={[2.5, 0.1, 0.2]} />
-         <meshStandardMaterial color="#1e293b" />
-       </mesh>
-       {[[-1, 0, 1], [1, 0, 1], [-1, 0, -1], [1, 0, -1]].map((pos, i) => (
-         <mesh key={i} position={[pos[0], 0.2, pos[2]]}>
-            <cylinderGeometry args={[0.4, 0.4, 0.05, 8]} />
-            <meshStandardMaterial color={THEME.accent} emissive={THEME.accent} emissiveIntensity={0.5} transparent opacity={0.6} />
-         </mesh>
-       ))}
-    </group>
-  );
-};
-
-// 3. BACKGROUND SCENE
-const MainScene = () => {
-  const groupRef = useRef();
-
-  useFrame((state) => {
-    const t = state.clock.getElapsedTime();
-    if (groupRef.current) {
-      groupRef.current.rotation.y = Math.sin(t * 0.1) * 0.1;
-    }
-  });
-
-  return (
-    <>
-      <PerspectiveCamera makeDefault position={[0, 0, 10]} fov={50} />
-      <color attach="background" args={['#09090b']} />
-      
-      <ambientLight intensity={0.2} />
-      <spotLight position={[10, 10, 10]} angle={0.5} penumbra={1} intensity={1} color={THEME.accent} />
-      <spotLight position={[-10, -10, -5]} angle={0.5} penumbra={1} intensity={0.5} color="white" />
-      
-      <group ref={groupRef} rotation={[0.5, 0, 0]} position={[2, 0, -5]}>
-        <TechnicalGear position={[-2, 2, 0]} size={2} teeth={16} speed={0.2} color="#1e293b" />
-        <TechnicalGear position={[0.5, 2, 0.5]} size={1} teeth={8} speed={-0.4} wireframe={true} />
-        <TechnicalGear position={[-2, -1.5, -1]} size={3} teeth={24} speed={-0.13} color="#0f172a" />
-        <TechnicalGear position={[2.5, -1.5, 1]} size={1.5} teeth={12} speed={0.26} color="#334155" />
-        <mesh position={[-2, 2, -2]} rotation={[Math.PI/2, 0, 0]}>
-          <cylinderGeometry args={[0.2, 0.2, 8, 16]} />
-          <meshStandardMaterial color="#475569" metalness={0.9} roughness={0.2} />
-        </mesh>
-      </group>
-
-      <Drone />
-      <Stars radius={100} depth={50} count={1000} factor={4} saturation={0} fade speed={1} />
-      <fog attach="fog" args={['#09090b', 5, 20]} />
-    </>
-  );
-};
-
-// 4. CUSTOM GLB LOADER
-const CustomRoverModel = () => {
-  const { scene } = useGLTF('/rover_model.glb'); 
-  
-  useEffect(() => {
-    if (scene) {
-        scene.traverse((child) => {
-            if (child.isMesh) {
-                child.geometry.computeBoundingBox();
-                const size = new THREE.Vector3();
-                child.geometry.boundingBox.getSize(size);
-                
-                // Hide floor plates
-                if (size.x > 10 || size.z > 10) {
-                  child.visible = false;
-                  return; 
-                }
-
-                child.castShadow = true;
-                child.receiveShadow = true;
-                
-                // --- COLOR FIX ---
-                // Removed the material override so original GLB colors render.
-                // We only adjust metalness/roughness if needed, but preserving defaults is safer for colors.
-                if (child.material) {
-                    child.material.metalness = 0.2; // Slight metallic shine
-                    child.material.roughness = 0.8; // Mostly matte to avoid glare
-                }
-            }
-        });
-    }
-  }, [scene]);
-  
-  return (
-    <Center top>
-      <primitive object={scene} scale={1} /> 
-    </Center>
-  );
-};
+// --- ISOLATED VIEWS ---
 
-const GenericCADModel = ({ color }) => (
-  <Center top>
-    <mesh castShadow receiveShadow>
-      <boxGeometry args={[1, 1, 1]} />
-      <meshStandardMaterial color={color} roughness={0.3} metalness={0.8} />
-    </mesh>
-  </Center>
-);
+// three.js and the scenes load in their own chunks; the page around them
+// doesn't wait.
+const BackgroundScene = lazy(() => import('./viewer/BackgroundScene.jsx'));
+const loadProjectModal = () => import('./components/ProjectModal.jsx');
+const ProjectModal = lazy(loadProjectModal);
+const PrintViews = lazy(() => import('./components/PrintViews.jsx'));
+
+/**
+ * Full-screen background scene. Animates only while it is worth watching:
+ * it renders a single still frame when the visitor prefers reduced motion,
+ * the tab is hidden or `active` is false (hero scrolled away, overlay open).
+ * A static poster stands in while the scene loads, and for good without
+ * WebGL or when the scene fails.
+ */
+const BackgroundView = ({ active = true }) => {
+  const reducedMotion = usePrefersReducedMotion();
+  const pageVisible = usePageVisible();
+  const [webgl] = useState(supportsWebGL);
+  const animate = active && pageVisible && !reducedMotion;
+  const poster = <img src="/background-poster.svg" alt="" className="absolute inset-0 w-full h-full object-cover" />;
 
-// 5. PROJECT SCENE - WITH BOUNDS FOR FIT-TO-VIEW
-const ProjectScene = ({ project }) => {
   return (
-    <>
-      <OrbitControls enablePan={true} autoRotate autoRotateSpeed={0.8} makeDefault />
-      <ambientLight intensity={0.6} />
-      <directionalLight position={[5, 8, 5]} intensity={1.2} castShadow />
-      <directionalLight position={[-5, 3, -5]} intensity={0.5} color="#0ea5e9" />
-      <Environment preset="city" />
-      
-      {/* Bounds ensures the model fits perfectly in the camera view */}
-      <Bounds fit clip observe margin={1.2}>
-        <Float speed={2} rotationIntensity={0.1} floatIntensity={0.1} floatingRange={[-0.05, 0.05]}>
-            {project.id === 'rover' ? <CustomRoverModel /> : <GenericCADModel color={project.colorStr} />}
-        </Float>
-      </Bounds>
+    <div className="fixed inset-0 z-0">
+      {webgl ? (
+        <ViewportBoundary surface="background" fallback={poster}>
+          <Suspense fallback={poster}>
+            <BackgroundScene animate={animate} />
+          </Suspense>
+        </ViewportBoundary>
+      ) : poster}
       
-      <group position={[0, -0.5, 0]}>
-        <gridHelper args={[20, 20, '#1e293b', '#0f172a']} />
-      </group>
-    </>
+      <div className="absolute inset-0 pointer-events-none opacity-[0.03]" 
+           style={{ 
+             backgroundImage: `linear-gradient(to right, rgb(var(--color-white)) 1px, transparent 1px), linear-gradient(to bottom, rgb(var(--color-white)) 1px, transparent 1px)`,
+             backgroundSize: '40px 40px'
+           }}>
+      </div>
+      <div className="absolute inset-0 pointer-events-none bg-gradient-to-b from-zinc-950/80 via-transparent to-zinc-950/80"></div>
+    </div>
   );
 };
 
-// --- ISOLATED VIEWS ---
-
-const BackgroundView = () => (
-  <div className="fixed inset-0 z-0">
-    <Canvas dpr={[1, 2]} gl={{ antialias: true }}>
-      <Suspense fallback={null}>
-        <MainScene />
-      </Suspense>
-    </Canvas>
-    
-    <div className="absolute inset-0 pointer-events-none opacity-[0.03]" 
-         style={{ 
-           backgroundImage: `linear-gradient(to right, #ffffff 1px, transparent 1px), linear-gradient(to bottom, #ffffff 1px, transparent 1px)`,
-           backgroundSize: '40px 40px'
-         }}>
-    </div>
-    <div className="absolute inset-0 pointer-events-none bg-gradient-to-b from-zinc-950/80 via-transparent to-zinc-950/80"></div>
-  </div>
-);
-
-const HTMLProjectLoader = () => (
-  <div className="absolute inset-0 flex flex-col items-center justify-center text-white z-20">
-     <Loader2 className="w-8 h-8 animate-spin text-sky-500 mb-2" />
-     <span className="text-xs font-mono tracking-widest text-zinc-500">LOADING_ASSETS...</span>
-  </div>
-);
-
-const ProjectView3D = ({ project }) => (
-  <div className="w-full h-full relative bg-zinc-900">
-    <div className="absolute top-6 left-6 z-10 flex flex-col gap-2 pointer-events-none">
-       <span className="text-xs font-mono text-sky-500 tracking-widest">INTERACTIVE_VIEWPORT</span>
-       <h2 className="text-2xl font-bold text-white">{project.title}</h2>
-    </div>
-    
-    <Canvas shadows camera={{ position: [4, 4, 6], fov: 45 }}>
-      <color attach="background" args={['#09090b']} />
-      <Suspense fallback={null}>
-        <ProjectScene project={project} />
-      </Suspense>
-    </Canvas>
-
-    <Suspense fallback={<HTMLProjectLoader />}>
-    </Suspense>
-    
-    <div className="absolute bottom-6 left-6 flex items-center gap-4 text-[10px] font-mono text-zinc-500 pointer-events-none">
-       <div className="flex items-center gap-1"><MousePointer2 size={10}/> DRAG TO ROTATE</div>
-       <div className="flex items-center gap-1"><Maximize size={10}/> SCROLL TO ZOOM</div>
-    </div>
-  </div>
-);
-
 // --- UI COMPONENTS ---
 
-const MechanicalDiagram = () => {
-  return (
-    <div className="relative w-full h-64 md:h-80 border border-white/10 bg-zinc-900/30 backdrop-blur-sm rounded-lg p-6 flex flex-col">
-       <div className="flex justify-between items-center border-b border-zinc-700/50 pb-2 mb-4">
-          <div className="flex items-center gap-2 text-xs font-mono text-sky-500">
-             <Settings size={12} className="animate-spin-slow"/>
-             <span>ASSEMBLY_VIEW_1.0</span>
-          </div>
-          <span className="text-[10px] text-zinc-500 font-mono">SCALE: 1:1</span>
-       </div>
-
-       <div className="flex-1 relative overflow-hidden">
-          <div className="absolute inset-0 opacity-10" 
-             style={{ backgroundImage: `linear-gradient(#fff 1px, transparent 1px), linear-gradient(90deg, #fff 1px, transparent 1px)`, backgroundSize: '20px 20px' }}>
-          </div>
-          
-          <svg viewBox="0 0 200 150" className="w-full h-full">
-             <defs>
-                <pattern id="hatch" width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
-                   <line stroke="#334155" strokeWidth="1" y2="4"/>
-                </pattern>
-                <marker id="arrow" markerWidth="10" markerHeight="10" refX="0" refY="3" orient="auto" markerUnits="strokeWidth">
-                  <path d="M0,0 L0,6 L9,3 z" fill="#f59e0b" />
-                </marker>
-             </defs>
-             
-             <rect x="70" y="20" width="60" height="100" fill="none" stroke="#475569" strokeWidth="2" />
-             
-             <motion.rect 
-                x="75" y="40" width="50" height="30" rx="2"
-                fill="url(#hatch)" stroke="#94a3b8" strokeWidth="2"
-                animate={{ y: [0, 40, 0] }}
-                transition={{ repeat: Infinity, duration: 2, ease: "linear" }}
-             />
-             
-             <motion.line 
-                x1="100" y1="70" x2="100" y2="130"
-                stroke="#0ea5e9" strokeWidth="4" strokeLinecap="round"
-                animate={{ 
-                   y1: [0, 40, 0],
-                   x2: [0, 20, 0, -20, 0],
-                   y2: [0, 0, 0, 0, 0]
-                }}
-                transition={{ repeat: Infinity, duration: 2, ease: "linear" }}
-             />
-
-             <circle cx="100" cy="130" r="15" fill="none" stroke="#64748b" strokeWidth="2" strokeDasharray="4 2"/>
-             <motion.circle 
-                cx="100" cy="130" r="4" fill="#0ea5e9"
-                animate={{ rotate: 360 }}
-                transition={{ repeat: Infinity, duration: 2, ease: "linear" }}
-                style={{ originX: "100px", originY: "130px" }} 
-             />
-             
-             <line x1="60" y1="20" x2="60" y2="120" stroke="#f59e0b" strokeWidth="1" />
-             <text x="40" y="70" fill="#f59e0b" fontSize="8" fontFamily="monospace" transform="rotate(-90 40,70)">100mm STROKE</text>
-          </svg>
-
-          <div className="absolute top-2 right-2 text-[10px] font-mono text-zinc-400 flex flex-col gap-1">
-             <span className="flex justify-between w-20"><span>RPM:</span> <span className="text-white">1500</span></span>
-             <span className="flex justify-between w-20"><span>LOAD:</span> <span className="text-white">45N</span></span>
-             <span className="flex justify-between w-20"><span>TEMP:</span> <span className="text-emerald-400">NOM</span></span>
-          </div>
-       </div>
-
-       <div className="mt-4 flex justify-between items-end">
-          <div className="flex gap-2">
-             <div className="w-2 h-2 bg-sky-500 rounded-full animate-pulse"></div>
-             <span className="text-[10px] font-mono text-zinc-400">SIMULATION_RUNNING</span>
-          </div>
-          <span className="text-[10px] font-mono text-zinc-600">FIG 1.4 - KINEMATICS</span>
-       </div>
-    </div>
-  );
-};
+const NAV_SECTIONS = ['hero', 'profile', 'projects', 'contact'];
 
 const Navbar = ({ activeSection, scrollToSection }) => {
-  const navItems = [
-    { id: 'hero', label: 'STATUS' },
-    { id: 'profile', label: 'PROFILE' },
-    { id: 'projects', label: 'PROJECTS' },
-    { id: 'contact', label: 'CONTACT' }
-  ];
+  const { t } = useI18n();
+  const navItems = NAV_SECTIONS.map((id) => ({ id, label: t(`nav.${id}`) }));
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const closeDrawer = useCallback(() => setDrawerOpen(false), []);
+
+  // Scroll once the drawer has released the page's scroll lock.
+  const selectFromDrawer = (id) => {
+    setDrawerOpen(false);
+    requestAnimationFrame(() => scrollToSection(id));
+  };
 
   return (
+    <>
     <nav className="fixed top-0 left-0 right-0 z-50 bg-zinc-950/90 backdrop-blur-md border-b border-white/10 h-16 flex items-center shadow-lg shadow-black/50">
       <div className="max-w-7xl w-full mx-auto px-6 flex justify-between items-center">
         <div className="flex items-center gap-3 text-white font-mono tracking-tighter cursor-pointer" onClick={() => scrollToSection('hero')}>
-           <div className="w-8 h-8 bg-sky-500/20 border border-sky-500 rounded flex items-center justify-center relative overflow-hidden group">
-              <Cog className="w-5 h-5 text-sky-500 animate-spin-slow group-hover:text-white transition-colors" />
+           <div className="w-8 h-8 bg-accent-500/20 border border-accent-500 rounded flex items-center justify-center relative overflow-hidden group">
+              <Cog className="w-5 h-5 text-accent-500 animate-spin-slow group-hover:text-white transition-colors" />
            </div>
-           <span className="font-bold text-lg tracking-widest">MECH<span className="text-sky-500">.OS</span></span>
+           <span className="font-bold text-lg tracking-widest">MECH<span className="text-accent-500">.OS</span></span>
         </div>
 
         <div className="hidden md:flex gap-8">
@@ -415,7 +120,7 @@ const Navbar = ({ activeSection, scrollToSection }) => {
               key={item.id}
               onClick={() => scrollToSection(item.id)}
               className={`text-xs font-mono tracking-widest transition-all duration-300 py-1 border-b-2 ${
-                activeSection === item.id ? 'text-sky-400 border-sky-400' : 'text-zinc-500 border-transparent hover:text-white'
+                activeSection === item.id ? 'text-accent-400 border-accent-400' : 'text-zinc-500 border-transparent hover:text-white'
               }`}
             >
               {item.label}
@@ -423,37 +128,75 @@ const Navbar = ({ activeSection, scrollToSection }) => {
           ))}
         </div>
 
-        <button className="md:hidden text-zinc-400 hover:text-white">
-           <Menu size={24} />
-        </button>
+        <div className="flex items-center gap-4">
+          <LocaleSwitcher />
+          <ThemeSwitcher />
+          <button
+            onClick={() => setDrawerOpen(true)}
+            className="md:hidden text-zinc-400 hover:text-white"
+            aria-label={t('nav.openMenu')}
+            aria-expanded={drawerOpen}
+            aria-controls="nav-drawer"
+          >
+             <Menu size={24} />
+          </button>
+        </div>
       </div>
     </nav>
+    <NavDrawer
+      id="nav-drawer"
+      open={drawerOpen}
+      onClose={closeDrawer}
+      items={navItems}
+      activeSection={activeSection}
+      onSelect={selectFromDrawer}
+    />
+    </>
   );
 };
 
+// A real link, so cards are tabbable, open with Enter and can be opened in a
+// new tab; plain clicks open the modal over the page instead.
 const ProjectCard = ({ project, onClick, index }) => {
+  const Icon = PROJECT_ICONS[project.icon];
+
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    onClick();
+  };
+
+  // Hovering or tabbing to a card is a good hint it's about to be opened.
+  const preload = () => {
+    loadProjectModal().catch(() => {});
+    preloadProject(project);
+  };
+
   return (
-    <motion.div
+    <m.a
+      href={`/projects/${project.id}`}
       initial={{ opacity: 0, y: 20 }}
       whileInView={{ opacity: 1, y: 0 }}
       viewport={{ once: true }}
       transition={{ delay: index * 0.1 }}
-      onClick={onClick}
-      className="group relative bg-zinc-900/50 border border-white/5 rounded-lg overflow-hidden cursor-pointer hover:border-sky-500/50 transition-all duration-300 h-full flex flex-col"
+      onClick={handleClick}
+      onPointerEnter={preload}
+      onFocus={preload}
+      className="group relative bg-zinc-900/50 border border-white/5 rounded-lg overflow-hidden cursor-pointer hover:border-accent-500/50 focus-visible:border-accent-500 focus-visible:ring-2 focus-visible:ring-accent-500/40 outline-none transition-all duration-300 h-full flex flex-col"
     >
       <div className="h-8 bg-zinc-950 border-b border-white/5 flex items-center justify-between px-3">
         <span className="text-[10px] font-mono text-zinc-500 flex items-center gap-2">
-           <div className={`w-1.5 h-1.5 rounded-full bg-${project.color}-500 animate-pulse`}></div>
+           <span className={`w-1.5 h-1.5 rounded-full ${PROJECT_COLOR_CLASSES[project.color].dot} animate-pulse`} aria-hidden="true"></span>
            {project.id.toUpperCase()}.OBJ
         </span>
-        <div className="text-zinc-700 group-hover:text-sky-500 transition-colors"><Maximize size={12} /></div>
+        <div className="text-zinc-700 group-hover:text-accent-500 group-focus-visible:text-accent-500 transition-colors" aria-hidden="true"><Maximize size={12} /></div>
       </div>
 
       <div className="p-6 flex-1 flex flex-col">
-        <div className="mb-4 p-3 bg-white/5 w-fit rounded-md text-sky-500 group-hover:text-white group-hover:bg-sky-600 transition-all shadow-inner">
-           {project.icon}
+        <div className="mb-4 p-3 bg-white/5 w-fit rounded-md text-accent-500 group-hover:text-white group-hover:bg-accent-600 transition-all shadow-inner">
+           <Icon size={24} />
         </div>
-        <h3 className="text-xl font-bold text-white mb-2 group-hover:text-sky-400 transition-colors">{project.title}</h3>
+        <h3 className="text-xl font-bold text-white mb-2 group-hover:text-accent-400 transition-colors">{project.title}</h3>
         <p className="text-zinc-400 text-sm line-clamp-3 mb-4 leading-relaxed flex-1">{project.description}</p>
         
         <div className="flex flex-wrap gap-2 pt-4 border-t border-white/5">
@@ -465,364 +208,331 @@ const ProjectCard = ({ project, onClick, index }) => {
         </div>
       </div>
       
-      <div className="absolute inset-0 bg-gradient-to-t from-sky-900/10 to-transparent opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none" />
-    </motion.div>
+      <div className="absolute inset-0 bg-gradient-to-t from-accent-900/10 to-transparent opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none" />
+    </m.a>
   );
 }
 
-const Lightbox = ({ src, onClose }) => (
-  <motion.div 
-    initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
-    className="fixed inset-0 z-[70] bg-black/95 flex items-center justify-center p-4 backdrop-blur-xl"
-    onClick={onClose}
-  >
-    <button className="absolute top-4 right-4 text-white/50 hover:text-white p-2"><X size={32} /></button>
-    <img src={src} alt="Full view" className="max-w-full max-h-full object-contain rounded-lg shadow-2xl shadow-sky-900/20" />
-  </motion.div>
-);
-
-const ProjectModal = ({ project, onClose }) => {
-  const [lightboxImg, setLightboxImg] = useState(null);
+const NotFoundView = ({ path, onClose }) => {
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, true, { onEscape: onClose });
+  useScrollLock(true);
 
-  if (!project) return null;
-  
   return (
-    <>
-    <motion.div 
+    <m.div 
       initial={{ opacity: 0, scale: 0.95 }} 
       animate={{ opacity: 1, scale: 1 }} 
       exit={{ opacity: 0, scale: 0.95 }}
       className="fixed inset-0 z-[60] flex items-center justify-center p-4 md:p-8 bg-black/80 backdrop-blur-sm"
     >
-      <div className="w-[95vw] max-w-[1800px] h-[92vh] bg-zinc-950 border border-white/10 rounded-xl overflow-hidden flex flex-col lg:flex-row shadow-2xl shadow-black relative">
-         
+      <div
+        ref={dialogRef}
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="not-found-title"
+        aria-describedby="not-found-description"
+        tabIndex={-1}
+        className="w-full max-w-lg bg-zinc-950 border border-white/10 rounded-xl p-8 shadow-2xl shadow-black relative outline-none"
+      >
          <button 
             onClick={onClose} 
-            className="absolute top-4 right-4 z-20 p-2 bg-black/50 text-white/50 hover:text-white rounded-full border border-white/10 hover:bg-red-500/20 hover:border-red-500/50 transition-all"
+            aria-label={t('notFound.close')}
+            className="absolute top-4 right-4 p-2 bg-black/50 text-white/50 hover:text-white rounded-full border border-white/10 hover:bg-red-500/20 hover:border-red-500/50 transition-all"
           >
             <X size={20}/>
          </button>
 
-         {/* Left: 3D Viewport */}
-         <div className="w-full lg:w-2/3 h-1/2 lg:h-full relative bg-zinc-900 border-b lg:border-b-0 lg:border-r border-white/10">
-            <ProjectView3D project={project} />
-         </div>
-
-         {/* Right: Data Panel */}
-         <div className="w-full lg:w-1/3 h-1/2 lg:h-full bg-zinc-950 p-8 overflow-y-auto scrollbar-thin scrollbar-thumb-zinc-800 scrollbar-track-transparent flex flex-col">
-            
-            <div className="mb-8">
-               <div className="flex items-center gap-2 mb-4">
-                  <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase bg-${project.color}-500/10 text-${project.color}-500 border border-${project.color}-500/20`}>
-                    Status: Complete
-                  </span>
-                  <span className="text-[10px] font-mono text-zinc-600">ID: {project.id.toUpperCase()}</span>
-               </div>
-               
-               <p className="text-zinc-300 text-sm leading-7 border-l-2 border-zinc-800 pl-4">
-                 {project.fullDescription || project.description}
-               </p>
-            </div>
-
-            <div className="space-y-8 flex-1">
-               <div>
-                  <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
-                    <Code size={14} className="text-sky-500" /> System Architecture
-                  </h3>
-                  <div className="flex flex-wrap gap-2">
-                     {project.tags.map(tag => (
-                        <span key={tag} className="px-3 py-1.5 text-xs font-mono text-sky-100 bg-sky-900/20 border border-sky-500/20 rounded-md">
-                           {tag}
-                        </span>
-                     ))}
-                  </div>
-               </div>
-
-               <div>
-                  <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
-                    <LayersIcon size={14} className="text-sky-500" /> Render Gallery
-                  </h3>
-                  <div className="grid grid-cols-2 gap-3">
-                     {[1,2,3,4].map(i => (
-                       <div 
-                          key={i} 
-                          onClick={() => setLightboxImg(`https://placehold.co/1200x800/1a1a1a/FFF?text=Project+Image+${i}`)}
-                          className="aspect-video bg-zinc-900 rounded border border-white/5 hover:border-sky-500/50 transition-all cursor-zoom-in flex items-center justify-center group relative overflow-hidden"
-                       >
-                         <div className="absolute inset-0 flex items-center justify-center opacity-0 group-hover:opacity-100 bg-black/50 transition-opacity">
-                            <Maximize size={20} className="text-white" />
-                         </div>
-                         <span className="text-xs font-mono text-zinc-600 group-hover:opacity-0">FIG_0{i}</span>
-                       </div>
-                     ))}
-                  </div>
-               </div>
-            </div>
-            
-            <div className="grid grid-cols-2 gap-3 pt-6 border-t border-white/5 mt-auto">
-                <button className="flex items-center justify-center gap-2 py-3 bg-white text-black rounded font-bold text-sm hover:bg-sky-400 hover:text-white transition-all shadow-lg shadow-white/5">
-                    <Download size={16} /> Specifications
-                </button>
-                <button className="flex items-center justify-center gap-2 py-3 bg-zinc-900 border border-white/10 text-white rounded font-bold text-sm hover:border-sky-500 hover:text-sky-400 transition-all">
-                    <GitBranch size={16} /> Repository
-                </button>
-            </div>
+         <div className="flex items-center gap-2 text-xs font-mono text-warning-500 mb-6">
+            <AlertTriangle size={14} />
+            <span>{t('notFound.code')}</span>
          </div>
+         <h2 id="not-found-title" className="text-3xl font-bold text-white mb-4">{t('notFound.title')}</h2>
+         <p id="not-found-description" className="text-zinc-400 text-sm leading-7 border-l-2 border-zinc-800 pl-4 mb-8">
+            {t('notFound.before')} <span className="font-mono text-zinc-200 break-all">{path}</span>{t('notFound.after')}
+         </p>
+         <button 
+            onClick={onClose}
+            className="w-full flex items-center justify-center gap-2 py-3 bg-white text-black rounded font-bold text-sm hover:bg-accent-400 hover:text-white transition-all"
+         >
+            <ArrowRight size={16} /> {t('notFound.back')}
+         </button>
       </div>
-    </motion.div>
-    <AnimatePresence>
-      {lightboxImg && <Lightbox src={lightboxImg} onClose={() => setLightboxImg(null)} />}
-    </AnimatePresence>
-    </>
+    </m.div>
   );
-}
+};
+
+// --- ROUTES ---
+
+// Backdrop shown while the modal's chunk loads on a visitor's first open.
+const ModalPending = () => (
+  <div className="fixed inset-0 z-[60] bg-black/80 backdrop-blur-sm">
+    <HTMLProjectLoader />
+  </div>
+);
+
+const HomeRoute = () => {
+  useDocumentTitle();
+  return null;
+};
+
+const ProjectRoute = ({ onClose }) => {
+  const { id } = useParams();
+  const { t, locale } = useI18n();
+  const found = getProject(id);
+  const project = found && localizeProject(found, locale);
+  const location = useLocation();
+
+  useDocumentTitle(project ? project.title : t('site.notFound'));
+
+  if (!project) return <NotFoundView path={location.pathname} onClose={onClose} />;
+  return (
+    <Suspense fallback={<ModalPending />}>
+      <ProjectModal project={project} onClose={onClose} />
+    </Suspense>
+  );
+};
+
+const ArchiveRoute = ({ onOpen, onClose }) => {
+  const { t } = useI18n();
+  useDocumentTitle(t('site.archive'));
+  return <ArchiveView onOpen={onOpen} onClose={onClose} />;
+};
+
+const NotFoundRoute = ({ onClose }) => {
+  const location = useLocation();
+  const { t } = useI18n();
+  useDocumentTitle(t('site.notFound'));
+  return <NotFoundView path={location.pathname} onClose={onClose} />;
+};
 
 // --- MAIN APP ---
 
+// Links without a configured URL are left out rather than pointing at "#".
+const SOCIAL_LINKS = [
+  { id: 'email', Icon: Mail, href: SITE.email && `mailto:${SITE.email}` },
+  { id: 'linkedin', Icon: Linkedin, href: SITE.social.linkedin },
+  { id: 'github', Icon: Github, href: SITE.social.github },
+].filter((link) => link.href);
+
+// The mailto adapter has nowhere to send without an owner address.
+const CONTACT_FORM = SITE.contact.adapter !== 'mailto' || Boolean(SITE.email);
+
+const LATEST_YEAR = featuredProjects.map(yearOf).filter(Boolean).sort().at(-1) || new Date().getFullYear();
+
 export default function App() {
-  const [activeSection, setActiveSection] = useState('hero');
-  const [selectedProject, setSelectedProject] = useState(null);
+  const location = useLocation();
+  const navigate = useNavigate();
   const sectionsRef = useRef({});
-
-  const scrollToSection = (id) => {
-    const element = sectionsRef.current[id];
-    if (element) element.scrollIntoView({ behavior: 'smooth' });
+  // Overlay routes (/projects/:id, /archive) own the URL; the home page's
+  // section hash would end up on theirs.
+  const { activeSection, registerSection, scrollToSection } = useScrollSpy(sectionsRef, 'hero', { syncHash: location.pathname === '/' });
+  const heroInView = useInView(() => sectionsRef.current.hero);
+  const { t, locale, formatQuantity } = useI18n();
+  const site = localizeSite(locale);
+  const featured = useMemo(() => featuredProjects.map((project) => localizeProject(project, locale)), [locale]);
+
+  const openProject = (id) => navigate(`/projects/${id}`, { state: { fromHome: true } });
+  const openArchive = () => navigate('/archive', { state: { fromHome: true } });
+
+  // Step back through history when we pushed the overlay ourselves, so the
+  // browser's back button and the close button agree. Deep links go home.
+  const closeOverlay = () => {
+    if (location.state?.fromHome) navigate(-1);
+    else navigate('/');
   };
 
-  const projects = [
-    {
-      id: "rover",
-      title: "Autonomous Rover Chassis",
-      description: "Modular planetary exploration chassis featuring a custom rocker-bogie suspension system optimized for additive manufacturing.",
-      fullDescription: "Designed from the ground up using Fusion 360, this rover utilizes a compliant rocker-bogie mechanism to traverse unstructured terrain. The chassis was optimized for FDM 3D printing, minimizing support material while maximizing structural rigidity. Integrated with ROS 2 for autonomous navigation.",
-      tags: ["Fusion 360", "ROS 2", "3D Printing", "FEA"],
-      icon: <Cpu size={24} />,
-      color: "red", colorStr: "#ef4444"
-    },
-    {
-      id: "fea",
-      title: "Cycloidal Drive FEA",
-      description: "Static and fatigue analysis of a high-reduction cycloidal gearbox for robotic joint applications.",
-      tags: ["ANSYS", "SolidWorks", "Machine Design"],
-      icon: <Cog size={24} />,
-      color: "orange", colorStr: "#f97316"
-    },
-    {
-      id: "cfd",
-      title: "UAV Aerodynamics Analysis",
-      description: "CFD simulation of a custom quadcopter frame to optimize thrust efficiency and reduce drag.",
-      tags: ["OpenFOAM", "CFD", "Python"],
-      icon: <Wind size={24} />,
-      color: "blue", colorStr: "#3b82f6"
-    },
-    {
-      id: "suspension",
-      title: "Multi-Body Dynamics",
-      description: "Double wishbone suspension simulation to optimize damper coefficients for off-road performance.",
-      tags: ["ADAMS", "Simulink", "Dynamics"],
-      icon: <Layers size={24} />,
-      color: "purple", colorStr: "#a855f7"
-    }
-  ];
+  if (location.pathname.startsWith('/print/')) {
+    return (
+      <Suspense fallback={null}>
+        <PrintViews />
+      </Suspense>
+    );
+  }
 
   return (
-    <div className="bg-zinc-950 text-slate-50 min-h-screen font-sans selection:bg-sky-500/30">
+    <div className="bg-zinc-950 text-zinc-50 min-h-screen font-sans selection:bg-accent-500/30">
       
-      <BackgroundView />
+      <BackgroundView active={heroInView && location.pathname === '/'} />
 
       <Navbar activeSection={activeSection} scrollToSection={scrollToSection} />
 
       <main className="relative z-10 pt-20">
         
-        <section id="hero" ref={el => sectionsRef.current.hero = el} className="min-h-screen flex flex-col justify-center px-6 lg:px-12">
+        <section id="hero" ref={registerSection} className="min-h-screen flex flex-col justify-center px-6 lg:px-12">
            <div className="max-w-7xl mx-auto w-full grid grid-cols-1 lg:grid-cols-2 gap-12 items-center">
               
-              <motion.div 
+              <m.div 
                 initial={{ opacity: 0, x: -30 }} 
                 animate={{ opacity: 1, x: 0 }} 
                 transition={{ duration: 0.8 }}
               >
                  <div className="flex items-center gap-3 mb-6">
-                    <span className="px-2 py-1 bg-sky-900/30 border border-sky-500/30 text-sky-400 text-[10px] font-mono tracking-widest rounded">
-                       OPERATIONAL STATUS: ACTIVE
+                    <span className="px-2 py-1 bg-accent-900/30 border border-accent-500/30 text-accent-400 text-[10px] font-mono tracking-widest rounded">
+                       {t('hero.status')}
                     </span>
-                    <div className="h-[1px] flex-1 bg-gradient-to-r from-sky-500/50 to-transparent"></div>
+                    <div className="h-[1px] flex-1 bg-gradient-to-r from-accent-500/50 to-transparent"></div>
                  </div>
                  
                  <h1 className="text-6xl md:text-8xl font-bold text-white tracking-tight leading-none mb-6">
-                    ADVANCED <br />
-                    <span className="text-transparent bg-clip-text bg-gradient-to-r from-sky-400 to-slate-200">MECHANICAL</span> <br />
-                    SYSTEMS.
+                    {t('hero.titleTop')} <br />
+                    <span className="text-transparent bg-clip-text bg-gradient-to-r from-accent-400 to-zinc-200">{t('hero.titleAccent')}</span> <br />
+                    {t('hero.titleBottom')}
                  </h1>
                  
                  <div className="flex gap-8 border-l-2 border-zinc-800 pl-6 mb-10">
                     <div>
                        <div className="text-2xl font-bold text-white">CAD</div>
-                       <div className="text-xs text-zinc-500 font-mono">DESIGN</div>
+                       <div className="text-xs text-zinc-500 font-mono">{t('hero.design')}</div>
                     </div>
                     <div>
                        <div className="text-2xl font-bold text-white">FEA</div>
-                       <div className="text-xs text-zinc-500 font-mono">ANALYSIS</div>
+                       <div className="text-xs text-zinc-500 font-mono">{t('hero.analysis')}</div>
                     </div>
                     <div>
                        <div className="text-2xl font-bold text-white">CAM</div>
-                       <div className="text-xs text-zinc-500 font-mono">MFG</div>
+                       <div className="text-xs text-zinc-500 font-mono">{t('hero.manufacturing')}</div>
                     </div>
                  </div>
 
                  <div className="flex gap-4">
                     <button 
                       onClick={() => scrollToSection('projects')}
-                      className="px-8 py-4 bg-white text-black font-bold text-sm rounded hover:bg-sky-400 hover:text-white transition-all flex items-center justify-center gap-2 shadow-[0_0_20px_rgba(255,255,255,0.1)]"
+                      className="px-8 py-4 bg-white text-black font-bold text-sm rounded hover:bg-accent-400 hover:text-white transition-all flex items-center justify-center gap-2 shadow-[0_0_20px_rgba(255,255,255,0.1)]"
                     >
-                       <BoxSelect size={16} /> VIEW PORTFOLIO
+                       <BoxSelect size={16} /> {t('hero.viewPortfolio')}
                     </button>
                     <button 
                       onClick={() => scrollToSection('contact')}
-                      className="px-8 py-4 bg-transparent text-zinc-300 border border-zinc-700 font-bold text-sm rounded hover:border-sky-500 hover:text-white transition-all flex items-center justify-center gap-2"
+                      className="px-8 py-4 bg-transparent text-zinc-300 border border-zinc-700 font-bold text-sm rounded hover:border-accent-500 hover:text-white transition-all flex items-center justify-center gap-2"
                     >
-                       CONTACT
+                       {t('hero.contact')}
                     </button>
                  </div>
-              </motion.div>
+              </m.div>
 
-              <motion.div 
+              <m.div 
                  initial={{ opacity: 0, scale: 0.95 }}
                  animate={{ opacity: 1, scale: 1 }}
                  transition={{ delay: 0.3, duration: 0.8 }}
                  className="hidden lg:block"
               >
-                 <MechanicalDiagram />
+                 <MechanicalDiagram active={heroInView} />
                  
                  <div className="mt-4 flex justify-between text-[10px] font-mono text-zinc-600">
                     <div className="flex gap-4">
-                       <span>REF: ISO-9001</span>
-                       <span>TOL: ±0.01mm</span>
+                       <span>{t('hero.reference')}</span>
+                       <span>{t('hero.tolerance', { tolerance: formatQuantity(0.01, 'mm', 2) })}</span>
                     </div>
-                    <span>DRAWING NO. 44-2B</span>
+                    <span>{t('hero.drawing')}</span>
                  </div>
-              </motion.div>
+              </m.div>
 
            </div>
            
-           <motion.div 
+           <m.div 
               animate={{ y: [0, 10, 0] }} 
               transition={{ repeat: Infinity, duration: 2 }}
               className="absolute bottom-10 left-1/2 -translate-x-1/2 flex flex-col items-center gap-2 text-zinc-600"
            >
-              <span className="text-[10px] font-mono tracking-widest">SCROLL_DOWN</span>
+              <span className="text-[10px] font-mono tracking-widest">{t('hero.scroll')}</span>
               <MousePointer2 size={16} />
-           </motion.div>
+           </m.div>
         </section>
 
-        <section id="profile" ref={el => sectionsRef.current.profile = el} className="py-32 px-6 lg:px-12 bg-zinc-950/50 border-t border-white/5 backdrop-blur-sm">
+        <section id="profile" ref={registerSection} className="py-32 px-6 lg:px-12 bg-zinc-950/50 border-t border-white/5 backdrop-blur-sm">
            <div className="max-w-7xl mx-auto grid grid-cols-1 lg:grid-cols-2 gap-16 items-center">
               <div>
                  <h2 className="text-3xl font-bold mb-6 flex items-center gap-3">
-                    <Terminal className="text-sky-500" />
-                    Engineering Profile
+                    <Terminal className="text-accent-500" />
+                    {t('profile.title')}
                  </h2>
-                 <p className="text-slate-400 leading-relaxed mb-6 text-lg">
-                    I am a final-year Mechanical Engineering student obsessed with optimization. I don't just design parts; I simulate their performance under stress, fluid flow, and thermal loads before a single prototype is made.
+                 <p className="text-zinc-400 leading-relaxed mb-6 text-lg">
+                    {site.profile.summary}
                  </p>
                  
                  <div className="grid grid-cols-2 gap-4">
-                    {[
-                       { label: "CAD Proficiency", val: "Expert" },
-                       { label: "FEA Hours", val: "500+" },
-                       { label: "Projects", val: "15+" },
-                       { label: "Status", val: "Open for Work" }
-                    ].map((stat, i) => (
-                       <div key={i} className="p-4 border border-white/10 rounded bg-zinc-900/50">
-                          <div className="text-xs text-sky-500 font-mono mb-1">{stat.label}</div>
-                          <div className="text-xl font-bold text-white">{stat.val}</div>
+                    {site.profile.stats.map((stat) => (
+                       <div key={stat.label} className="p-4 border border-white/10 rounded bg-zinc-900/50">
+                          <div className="text-xs text-accent-500 font-mono mb-1">{stat.label}</div>
+                          <div className="text-xl font-bold text-white">{stat.value}</div>
                        </div>
                     ))}
                  </div>
+
+                 <a
+                   href="/print/resume"
+                   target="_blank"
+                   rel="noopener"
+                   className="mt-6 inline-flex items-center gap-2 text-xs font-mono tracking-widest text-accent-500 hover:text-white transition-colors"
+                 >
+                    <FileDown size={14} /> {t('profile.resume')}
+                 </a>
               </div>
               
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                 <div className="p-6 border border-white/10 rounded bg-zinc-900 hover:border-sky-500/30 transition-colors">
-                    <Wrench className="text-sky-500 mb-4" size={28} />
-                    <h3 className="font-bold mb-2">Design & CAD</h3>
-                    <p className="text-sm text-zinc-500">SolidWorks, Fusion 360, Inventor, GD&T</p>
-                 </div>
-                 <div className="p-6 border border-white/10 rounded bg-zinc-900 hover:border-sky-500/30 transition-colors">
-                    <FlaskConical className="text-sky-500 mb-4" size={28} />
-                    <h3 className="font-bold mb-2">Simulation</h3>
-                    <p className="text-sm text-zinc-500">ANSYS Mechanical, Fluent, OpenFOAM</p>
-                 </div>
-                 <div className="p-6 border border-white/10 rounded bg-zinc-900 hover:border-sky-500/30 transition-colors">
-                    <Cpu className="text-sky-500 mb-4" size={28} />
-                    <h3 className="font-bold mb-2">Robotics</h3>
-                    <p className="text-sm text-zinc-500">ROS 2, Arduino, PLC, Mechatronics</p>
-                 </div>
-                 <div className="p-6 border border-white/10 rounded bg-zinc-900 hover:border-sky-500/30 transition-colors">
-                    <Code className="text-sky-500 mb-4" size={28} />
-                    <h3 className="font-bold mb-2">Computation</h3>
-                    <p className="text-sm text-zinc-500">Python, MATLAB, C++, Git</p>
-                 </div>
+                 {site.profile.skills.map((skill) => {
+                    const Icon = PROJECT_ICONS[skill.icon];
+                    return (
+                       <div key={skill.title} className="p-6 border border-white/10 rounded bg-zinc-900 hover:border-accent-500/30 transition-colors">
+                          <Icon className="text-accent-500 mb-4" size={28} />
+                          <h3 className="font-bold mb-2">{skill.title}</h3>
+                          <p className="text-sm text-zinc-500">{skill.items.join(', ')}</p>
+                       </div>
+                    );
+                 })}
               </div>
            </div>
         </section>
 
-        <section id="projects" ref={el => sectionsRef.current.projects = el} className="py-32 px-6 lg:px-12">
+        <section id="projects" ref={registerSection} className="py-32 px-6 lg:px-12">
            <div className="max-w-7xl mx-auto">
               <div className="flex items-end justify-between mb-12">
                  <div>
-                    <h2 className="text-4xl font-bold mb-4">Selected Projects</h2>
-                    <p className="text-zinc-500 font-mono">Directory: /engineering/portfolio/2024</p>
+                    <h2 className="text-4xl font-bold mb-4">{t('projects.title')}</h2>
+                    <p className="text-zinc-500 font-mono">{t('projects.directory', { year: LATEST_YEAR })}</p>
                  </div>
                  <div className="hidden md:block h-[1px] flex-1 bg-white/10 mx-8 mb-4"></div>
-                 <button className="text-sky-500 hover:text-white transition-colors flex items-center gap-2">
-                    View All Archives <ChevronRight size={16}/>
+                 <button onClick={openArchive} className="text-accent-500 hover:text-white transition-colors flex items-center gap-2">
+                    {t('projects.viewArchive')} <ChevronRight size={16}/>
                  </button>
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                 {projects.map((proj, i) => (
+                 {featured.map((proj, i) => (
                     <ProjectCard 
                        key={proj.id} 
                        project={proj} 
                        index={i} 
-                       onClick={() => setSelectedProject(proj)} 
+                       onClick={() => openProject(proj.id)} 
                     />
                  ))}
               </div>
            </div>
         </section>
 
-        <section id="contact" ref={el => sectionsRef.current.contact = el} className="py-32 px-6 bg-zinc-950 border-t border-white/10">
+        <section id="contact" ref={registerSection} className="py-32 px-6 bg-zinc-950 border-t border-white/10">
            <div className="max-w-3xl mx-auto text-center">
-              <h2 className="text-5xl font-bold mb-8">Ready to collaborate?</h2>
+              <h2 className="text-5xl font-bold mb-8">{t('contact.title')}</h2>
               <p className="text-zinc-400 text-lg mb-12">
-                 Currently seeking opportunities in Mechanical Design and Robotics Engineering.
-                 Let's discuss how I can contribute to your engineering team.
+                 {t('contact.pitch')}
               </p>
               
+              {CONTACT_FORM && <ContactForm />}
+
               <div className="flex justify-center gap-8 mb-16">
-                 <a href="#" className="flex flex-col items-center gap-2 group">
-                    <div className="p-4 rounded-full bg-white/5 group-hover:bg-sky-500 transition-colors">
-                       <Mail size={24} className="text-white" />
-                    </div>
-                    <span className="text-xs font-mono text-zinc-500 group-hover:text-white">EMAIL</span>
-                 </a>
-                 <a href="#" className="flex flex-col items-center gap-2 group">
-                    <div className="p-4 rounded-full bg-white/5 group-hover:bg-sky-500 transition-colors">
-                       <Linkedin size={24} className="text-white" />
-                    </div>
-                    <span className="text-xs font-mono text-zinc-500 group-hover:text-white">LINKEDIN</span>
-                 </a>
-                 <a href="#" className="flex flex-col items-center gap-2 group">
-                    <div className="p-4 rounded-full bg-white/5 group-hover:bg-sky-500 transition-colors">
-                       <Github size={24} className="text-white" />
-                    </div>
-                    <span className="text-xs font-mono text-zinc-500 group-hover:text-white">GITHUB</span>
-                 </a>
+                 {SOCIAL_LINKS.map(({ id, Icon, href }) => (
+                    <a key={id} href={href} target={id === 'email' ? undefined : '_blank'} rel="noopener noreferrer" className="flex flex-col items-center gap-2 group">
+                       <div className="p-4 rounded-full bg-white/5 group-hover:bg-accent-500 transition-colors">
+                          <Icon size={24} className="text-white" />
+                       </div>
+                       <span className="text-xs font-mono text-zinc-500 group-hover:text-white">{t(`contact.social.${id}`)}</span>
+                    </a>
+                 ))}
               </div>
               
               <div className="text-zinc-600 text-xs font-mono">
-                 © {new Date().getFullYear()} // DESIGNED WITH REACT-THREE-FIBER
+                 {t('contact.footer', { year: new Date().getFullYear() })}
               </div>
            </div>
         </section>
@@ -830,9 +540,12 @@ export default function App() {
       </main>
 
       <AnimatePresence>
-        {selectedProject && (
-          <ProjectModal project={selectedProject} onClose={() => setSelectedProject(null)} />
-        )}
+        <Routes location={location} key={location.pathname}>
+          <Route path="/" element={<HomeRoute />} />
+          <Route path="/projects/:id" element={<ProjectRoute onClose={closeOverlay} />} />
+          <Route path="/archive" element={<ArchiveRoute onOpen={openProject} onClose={closeOverlay} />} />
+          <Route path="*" element={<NotFoundRoute onClose={closeOverlay} />} />
+        </Routes>
       </AnimatePresence>
 
     </div>
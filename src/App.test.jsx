@@ -0,0 +1,87 @@
+import React from 'react';
+import { beforeAll, describe, expect, it, vi } from 'vitest';
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { HistoryControls, renderWithProviders } from './test/render.jsx';
+import { getProject } from './content/projects.js';
+import App from './App.jsx';
+
+// No WebGL in jsdom: the background shows its poster and the project
+// viewport its offline panel, so the 3D chunk that focusing a card
+// preloads is never needed.
+vi.mock('./viewer/webgl.js', () => ({
+  gpuCapabilities: () => null,
+  supportsWebGL: () => false,
+  deviceTier: () => 'low',
+}));
+
+vi.mock('./viewer/preload.js', () => ({
+  loadProjectViewer: () => new Promise(() => {}),
+  preloadProject: () => {},
+}));
+
+const { title } = getProject('rover');
+
+const renderApp = () => renderWithProviders(
+  <>
+    <App />
+    <HistoryControls />
+  </>,
+);
+
+// Opens the rover's card from the keyboard and waits for its dialog. Testing
+// Library re-runs a wait's query on every DOM change, and text or role
+// queries over the whole page are slow enough to hold up the lazy modal, so
+// wait on the dialog's title by id before checking its role.
+const openCardWithKeyboard = async (user) => {
+  const card = screen.getByRole('link', { name: new RegExp(title) });
+  card.focus();
+  await user.keyboard('{Enter}');
+  await waitFor(() => expect(document.getElementById('project-dialog-title')).not.toBeNull());
+  return { card, dialog: screen.getByRole('dialog', { name: title }) };
+};
+
+describe('project cards', () => {
+  // The modal is a lazy chunk; load it up front so no test waits on it.
+  beforeAll(() => import('./components/ProjectModal.jsx'));
+
+  it('are links to the project page', () => {
+    renderApp();
+    expect(screen.getByRole('link', { name: new RegExp(title) }).getAttribute('href')).toBe('/projects/rover');
+  });
+
+  it('open the project dialog with Enter, and Escape returns focus to the card', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    const { card, dialog } = await openCardWithKeyboard(user);
+    expect(screen.getByTestId('url').textContent).toBe('/projects/rover');
+    expect(dialog.contains(document.activeElement)).toBe(true);
+
+    await user.keyboard('{Escape}');
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+    expect(screen.getByTestId('url').textContent).toBe('/');
+    expect(document.activeElement).toBe(card);
+  });
+
+  it('close the project dialog on the back button', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    await openCardWithKeyboard(user);
+
+    await user.click(screen.getByRole('button', { name: 'Browser back' }));
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+    expect(screen.getByTestId('url').textContent).toBe('/');
+  });
+
+  it('lock the page scroll only while the dialog is open', async () => {
+    const user = userEvent.setup();
+    renderApp();
+    expect(document.body.style.overflow).toBe('');
+    await openCardWithKeyboard(user);
+    expect(document.body.style.overflow).toBe('hidden');
+
+    await user.keyboard('{Escape}');
+    await waitFor(() => expect(screen.queryByRole('dialog')).toBeNull());
+    expect(document.body.style.overflow).toBe('');
+  });
+});
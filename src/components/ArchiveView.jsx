@@ -0,0 +1,184 @@
+import React, { useMemo, useRef } from 'react';
+import { m } from 'framer-motion';
+import { X, Search, FolderOpen, ChevronRight } from 'lucide-react';
+import { projects, localizeProject } from '../content/projects.js';
+import { PROJECT_ICONS } from '../content/icons.js';
+import { ARCHIVE_SORTS, tagsOf, yearsOf, filterProjects, groupProjects } from '../content/archive.js';
+import { useArchiveFilters } from '../hooks/useArchiveFilters.js';
+import { useFocusTrap } from '../hooks/useFocusTrap.js';
+import { useScrollLock } from '../hooks/useScrollLock.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- PROJECT ARCHIVE ---
+// Every project, including archived ones, as a drawing register: searchable,
+// filterable by tag and year, grouped by year or discipline.
+
+const ALL_TAGS = tagsOf(projects);
+
+const ArchiveRow = ({ project, onOpen }) => {
+  const { t } = useI18n();
+  const Icon = PROJECT_ICONS[project.icon];
+
+  return (
+    <button
+      onClick={() => onOpen(project.id)}
+      className="w-full text-left grid grid-cols-[4.5rem_1fr_auto] md:grid-cols-[4.5rem_1fr_8rem_auto] gap-4 items-center px-4 py-4 border-b border-white/5 hover:bg-accent-500/5 group transition-colors"
+    >
+      <span className="text-[10px] font-mono text-zinc-500">{project.date || '—'}</span>
+      <div className="flex items-start gap-3 min-w-0">
+        <div className="p-2 bg-white/5 rounded text-accent-500 group-hover:text-white group-hover:bg-accent-600 transition-all shrink-0">
+          <Icon size={16} />
+        </div>
+        <div className="min-w-0">
+          <div className="font-bold text-white group-hover:text-accent-400 transition-colors truncate">{project.title}</div>
+          <p className="text-xs text-zinc-500 line-clamp-1">{project.description}</p>
+          <div className="flex flex-wrap gap-1.5 mt-2">
+            {project.tags.map((tag) => (
+              <span key={tag} className="px-1.5 py-0.5 text-[9px] font-mono uppercase tracking-wider text-zinc-500 border border-white/5 rounded bg-black/40">{tag}</span>
+            ))}
+          </div>
+        </div>
+      </div>
+      <span className="hidden md:block text-[10px] font-mono uppercase tracking-widest text-zinc-500">{project.discipline ? t(`disciplines.${project.discipline}`) : '—'}</span>
+      <ChevronRight size={16} className="text-zinc-700 group-hover:text-accent-500 transition-colors" />
+    </button>
+  );
+};
+
+/**
+ * @param {{ onOpen: (id: string) => void, onClose: () => void }} props
+ */
+const ArchiveView = ({ onOpen, onClose }) => {
+  const { t, locale } = useI18n();
+  const filters = useArchiveFilters();
+  const { query, tags, year, sort } = filters;
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, true, { onEscape: onClose });
+  useScrollLock(true);
+
+  // Search runs over the copy the visitor is reading.
+  const localized = useMemo(() => projects.map((project) => localizeProject(project, locale)), [locale]);
+
+  // Year counts follow the search and tags but not the year itself, so the
+  // breakdown still shows where else matches are.
+  const years = useMemo(() => yearsOf(filterProjects(localized, { query, tags })), [localized, query, tags]);
+  const groups = useMemo(() => groupProjects(filterProjects(localized, { query, tags, year }), sort), [localized, query, tags, year, sort]);
+  const total = groups.reduce((sum, g) => sum + g.projects.length, 0);
+
+  return (
+    <m.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="archive-title"
+      tabIndex={-1}
+      className="fixed inset-0 z-[60] bg-zinc-950/95 backdrop-blur-sm overflow-y-auto outline-none"
+    >
+      <div className="max-w-7xl mx-auto px-6 lg:px-12 py-16">
+        <div className="flex items-start justify-between gap-6 mb-10">
+          <div>
+            <h2 id="archive-title" className="text-4xl font-bold mb-4">{t('archive.title')}</h2>
+            <p className="text-zinc-500 font-mono">{t('archive.directory', { year: year || '*' })}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 bg-black/50 text-white/50 hover:text-white rounded-full border border-white/10 hover:bg-red-500/20 hover:border-red-500/50 transition-all"
+            aria-label={t('archive.close')}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-[12rem_1fr] gap-10">
+          <aside className="text-[10px] font-mono">
+            <div className="text-accent-500 tracking-widest mb-3">{t('archive.year')}</div>
+            <div className="flex lg:flex-col flex-wrap gap-1">
+              <button
+                onClick={() => filters.setYear(null)}
+                className={`flex justify-between gap-4 px-2 py-1.5 rounded border ${!year ? 'border-accent-500/50 text-accent-400 bg-accent-500/10' : 'border-transparent text-zinc-500 hover:text-white'}`}
+              >
+                <span>{t('archive.all')}</span><span>{years.reduce((sum, y) => sum + y.count, 0)}</span>
+              </button>
+              {years.map((y) => (
+                <button
+                  key={y.year ?? 'undated'}
+                  onClick={() => filters.setYear(y.year === year ? null : y.year)}
+                  disabled={!y.year}
+                  className={`flex justify-between gap-4 px-2 py-1.5 rounded border ${y.year && y.year === year ? 'border-accent-500/50 text-accent-400 bg-accent-500/10' : 'border-transparent text-zinc-500 hover:text-white disabled:hover:text-zinc-500'}`}
+                >
+                  <span>{y.year || t('archive.undated')}</span><span>{y.count}</span>
+                </button>
+              ))}
+            </div>
+          </aside>
+
+          <div className="min-w-0">
+            <div className="flex flex-col md:flex-row gap-3 mb-4">
+              <label className="flex-1 flex items-center gap-2 px-3 py-2 bg-zinc-900/50 border border-white/10 rounded focus-within:border-accent-500">
+                <Search size={14} className="text-zinc-500" />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => filters.setQuery(e.target.value)}
+                  placeholder={t('archive.search')}
+                  className="flex-1 bg-transparent text-sm text-white placeholder:text-zinc-600 outline-none"
+                  aria-label={t('archive.searchLabel')}
+                />
+              </label>
+              <label className="flex items-center gap-2 text-[10px] font-mono text-zinc-500">
+                {t('archive.sort')}
+                <select
+                  value={sort}
+                  onChange={(e) => filters.setSort(e.target.value)}
+                  className="bg-zinc-900/50 border border-white/10 rounded px-2 py-2 text-white outline-none focus:border-accent-500"
+                >
+                  {ARCHIVE_SORTS.map((key) => <option key={key} value={key}>{t(`archive.sorts.${key}`)}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-8">
+              {ALL_TAGS.map((tag) => (
+                <button
+                  key={tag}
+                  onClick={() => filters.toggleTag(tag)}
+                  aria-pressed={tags.includes(tag)}
+                  className={`px-2 py-1 text-[10px] font-mono uppercase tracking-wider rounded border transition-colors ${tags.includes(tag) ? 'border-accent-500 text-accent-300 bg-accent-500/10' : 'border-white/10 text-zinc-500 hover:text-white'}`}
+                >
+                  {tag}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex items-center justify-between text-[10px] font-mono text-zinc-500 mb-2">
+              <span>{t('archive.records', { count: total, total: projects.length })}</span>
+              {filters.active && <button onClick={filters.clear} className="text-accent-500 hover:text-white">{t('archive.clear')}</button>}
+            </div>
+
+            {total === 0 ? (
+              <div className="py-20 text-center border border-dashed border-white/10 rounded">
+                <FolderOpen size={24} className="mx-auto mb-3 text-zinc-600" />
+                <p className="text-sm text-zinc-500">{t('archive.empty')}</p>
+              </div>
+            ) : groups.map((group) => (
+              <section key={group.key ?? 'none'} className="mb-8">
+                <h3 className="text-[10px] font-mono text-accent-500 tracking-widest pb-2 border-b border-white/10">
+                  {(sort === 'discipline'
+                    ? (group.key ? t(`disciplines.${group.key}`) : t('archive.unclassified'))
+                    : (group.key || t('archive.undated'))).toUpperCase()}
+                  <span className="text-zinc-600"> // {group.projects.length}</span>
+                </h3>
+                {group.projects.map((project) => <ArchiveRow key={project.id} project={project} onOpen={onOpen} />)}
+              </section>
+            ))}
+          </div>
+        </div>
+      </div>
+    </m.div>
+  );
+};
+
+export default ArchiveView;
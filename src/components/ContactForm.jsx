@@ -0,0 +1,204 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { m, AnimatePresence } from 'framer-motion';
+import { Send, Loader2, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { SITE } from '../content/site.js';
+import { createContactAdapter } from '../contact/adapters.js';
+import { validateMessage, LIMITS } from '../contact/validate.js';
+import { retryAfter, recordSend } from '../contact/rateLimit.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- CONTACT FORM ---
+// Validates on blur and submit, then hands the message to the configured
+// delivery adapter. Spam protection is a honeypot field, a minimum fill time
+// and a client-side rate limit.
+
+const EMPTY = { name: '', email: '', subject: '', message: '' };
+
+// Humans take longer than this to fill in a form; bots usually don't.
+// Timed from the first focus or keystroke in the form, since the form sits
+// at the bottom of the page and visitors reach it long after mounting.
+const MIN_FILL_MS = 3000;
+
+const Field = ({ id, label, error, optional, children }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex flex-col gap-1.5 text-left">
+      <label htmlFor={id} className="text-[10px] font-mono tracking-widest text-zinc-500">
+        {label}{optional && <span className="text-zinc-700">{t('form.optional')}</span>}
+      </label>
+      {children}
+      {error && <span id={`${id}-error`} className="text-[10px] font-mono text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+const inputClass = (error) => `w-full px-3 py-2.5 bg-zinc-900/50 border rounded text-sm text-white placeholder:text-zinc-600 outline-none transition-colors ${error ? 'border-red-500/60 focus:border-red-400' : 'border-white/10 focus:border-accent-500'}`;
+
+const ContactForm = () => {
+  const { t } = useI18n();
+  const adapter = useMemo(() => createContactAdapter(SITE.contact, SITE.email), []);
+  const [values, setValues] = useState(EMPTY);
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | handoff | error
+  const [failure, setFailure] = useState('');
+  const honeypotRef = useRef(null);
+  const formRef = useRef(null);
+  const startedAt = useRef(null);
+
+  const startFilling = () => {
+    startedAt.current ??= Date.now();
+  };
+
+  const errors = validateMessage(values, t);
+  const shownError = (field) => (touched[field] ? errors[field] : undefined);
+
+  const fieldProps = (field) => ({
+    id: `contact-${field}`,
+    name: field,
+    value: values[field],
+    maxLength: LIMITS[field],
+    onChange: (e) => setValues((v) => ({ ...v, [field]: e.target.value })),
+    onBlur: () => setTouched((t) => ({ ...t, [field]: true })),
+    'aria-invalid': Boolean(shownError(field)),
+    'aria-describedby': shownError(field) ? `contact-${field}-error` : undefined,
+    className: inputClass(shownError(field)),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setTouched({ name: true, email: true, subject: true, message: true });
+    const invalid = Object.keys(errors)[0];
+    if (invalid) {
+      formRef.current.elements[invalid].focus();
+      return;
+    }
+
+    // Bots that fill the hidden field get the success screen without anything
+    // being sent. A submit right after first focusing the form may still be a
+    // person (autofill, a pasted message), so it is asked to try again.
+    if (honeypotRef.current.value) {
+      setStatus('sent');
+      return;
+    }
+    if (startedAt.current === null || Date.now() - startedAt.current < MIN_FILL_MS) {
+      setFailure(t('form.tooFast'));
+      setStatus('error');
+      return;
+    }
+
+    const wait = retryAfter();
+    if (wait > 0) {
+      setFailure(t('form.rateLimited', { minutes: Math.ceil(wait / 60000) }));
+      setStatus('error');
+      return;
+    }
+
+    setStatus('sending');
+    try {
+      const result = await adapter.send({
+        name: values.name.trim(),
+        email: values.email.trim(),
+        subject: values.subject.trim(),
+        message: values.message.trim(),
+      });
+      setStatus(result);
+      // A mailto handoff may never be sent, so it does not count towards the limit.
+      if (result === 'sent') {
+        recordSend();
+        setValues(EMPTY);
+      }
+    } catch (err) {
+      setFailure(err.code ? t(`form.delivery.${err.code}`, err) : err.message);
+      setStatus('error');
+    }
+  };
+
+  const reset = () => {
+    setStatus('idle');
+    setTouched({});
+    startedAt.current = null;
+  };
+
+  return (
+    <div className="relative bg-zinc-900/30 border border-white/10 rounded-lg p-6 md:p-8 mb-16 text-left">
+      <div className="flex items-center justify-between mb-6 text-[10px] font-mono">
+        <span className="text-accent-500 tracking-widest">{t('form.header')}</span>
+        <span className="text-zinc-600">{t('form.via', { adapter: adapter.name.toUpperCase() })}</span>
+      </div>
+
+      <AnimatePresence mode="wait">
+        {status === 'sent' || status === 'handoff' ? (
+          <m.div
+            key="done"
+            initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0 }}
+            className="py-10 flex flex-col items-center text-center gap-4"
+            role="status"
+          >
+            <CheckCircle2 size={32} className="text-emerald-500" />
+            <div className="text-xs font-mono tracking-widest text-emerald-400">
+              {status === 'sent' ? t('form.sent') : t('form.handoff')}
+            </div>
+            <p className="text-sm text-zinc-400 max-w-sm">
+              {status === 'sent' ? t('form.sentText') : t('form.handoffText', { email: SITE.email })}
+            </p>
+            <button onClick={reset} className="text-xs font-mono text-accent-500 hover:text-white">{t('form.sendAnother')}</button>
+          </m.div>
+        ) : (
+          <m.form
+            key="form"
+            ref={formRef}
+            initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+            onFocus={startFilling}
+            onInput={startFilling}
+            onSubmit={handleSubmit}
+            noValidate
+            className="grid grid-cols-1 md:grid-cols-2 gap-4"
+          >
+            <Field id="contact-name" label={t('form.name')} error={shownError('name')}>
+              <input type="text" autoComplete="name" {...fieldProps('name')} />
+            </Field>
+            <Field id="contact-email" label={t('form.email')} error={shownError('email')}>
+              <input type="email" autoComplete="email" {...fieldProps('email')} />
+            </Field>
+            <div className="md:col-span-2">
+              <Field id="contact-subject" label={t('form.subject')} optional error={shownError('subject')}>
+                <input type="text" {...fieldProps('subject')} />
+              </Field>
+            </div>
+            <div className="md:col-span-2">
+              <Field id="contact-message" label={t('form.message')} error={shownError('message')}>
+                <textarea rows={6} {...fieldProps('message')} className={`${inputClass(shownError('message'))} resize-y`} />
+              </Field>
+            </div>
+
+            {/* Honeypot: hidden from people and assistive tech, tempting to bots. */}
+            <div className="absolute -left-[10000px] w-px h-px overflow-hidden" aria-hidden="true">
+              <label htmlFor="contact-website">Website</label>
+              <input ref={honeypotRef} id="contact-website" name="website" type="text" tabIndex={-1} autoComplete="off" />
+            </div>
+
+            <div className="md:col-span-2 flex flex-col md:flex-row md:items-center justify-between gap-4 pt-2">
+              <div className="min-h-[1rem]" aria-live="polite">
+                {status === 'error' && (
+                  <span className="flex items-center gap-2 text-[10px] font-mono text-warning-500">
+                    <AlertTriangle size={12} /> {t('form.failed', { reason: failure })}
+                  </span>
+                )}
+              </div>
+              <button
+                type="submit"
+                disabled={status === 'sending'}
+                className="px-8 py-3 bg-white text-black font-bold text-sm rounded hover:bg-accent-400 hover:text-white transition-all flex items-center justify-center gap-2 disabled:opacity-60 disabled:hover:bg-white disabled:hover:text-black"
+              >
+                {status === 'sending' ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+                {status === 'sending' ? t('form.sending') : t('form.send')}
+              </button>
+            </div>
+          </m.form>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ContactForm;
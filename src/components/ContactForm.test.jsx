@@ -0,0 +1,84 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { renderWithProviders } from '../test/render.jsx';
+import ContactForm from './ContactForm.jsx';
+
+const send = vi.hoisted(() => vi.fn());
+
+vi.mock('../contact/adapters.js', () => ({
+  createContactAdapter: () => ({ name: 'test', send }),
+}));
+
+// The form times the fill from its first focus; tests move this clock on.
+let now;
+
+const fillIn = async (user) => {
+  await user.type(screen.getByLabelText('NAME'), 'Ada Lovelace');
+  await user.type(screen.getByLabelText('EMAIL'), 'ada@example.org');
+  await user.type(screen.getByLabelText('MESSAGE'), 'A question about the cycloidal drive.');
+};
+
+const sentLog = () => JSON.parse(localStorage.getItem('contact:sent') || '[]');
+
+describe('ContactForm', () => {
+  beforeEach(() => {
+    now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    send.mockReset();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('asks a submit right after focusing the form to try again, and sends nothing', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<ContactForm />);
+    await fillIn(user);
+    await user.click(screen.getByRole('button', { name: 'SEND MESSAGE' }));
+
+    expect(screen.getByText(/Please check your message and try again/)).toBeTruthy();
+    expect(screen.queryByRole('status')).toBeNull();
+    expect(send).not.toHaveBeenCalled();
+
+    now += 5000;
+    send.mockResolvedValue('sent');
+    await user.click(screen.getByRole('button', { name: 'SEND MESSAGE' }));
+    expect(await screen.findByText('TRANSMISSION COMPLETE')).toBeTruthy();
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the success screen to honeypot submits without sending', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<ContactForm />);
+    await fillIn(user);
+    document.getElementById('contact-website').value = 'https://spam.example';
+    now += 5000;
+    await user.click(screen.getByRole('button', { name: 'SEND MESSAGE' }));
+
+    expect(await screen.findByText('TRANSMISSION COMPLETE')).toBeTruthy();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('counts delivered messages towards the rate limit, but not mail client handoffs', async () => {
+    const user = userEvent.setup();
+    renderWithProviders(<ContactForm />);
+
+    send.mockResolvedValue('handoff');
+    await fillIn(user);
+    now += 5000;
+    await user.click(screen.getByRole('button', { name: 'SEND MESSAGE' }));
+    expect(await screen.findByText('HANDED OFF TO MAIL CLIENT')).toBeTruthy();
+    expect(sentLog()).toEqual([]);
+
+    send.mockResolvedValue('sent');
+    await user.click(screen.getByRole('button', { name: 'SEND ANOTHER' }));
+    await user.click(await screen.findByLabelText('NAME'));
+    now += 5000;
+    await user.click(screen.getByRole('button', { name: 'SEND MESSAGE' }));
+    expect(await screen.findByText('TRANSMISSION COMPLETE')).toBeTruthy();
+    expect(sentLog()).toEqual([now]);
+  });
+});
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { m } from 'framer-motion';
+import { X, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { useFocusTrap } from '../hooks/useFocusTrap.js';
+import { useScrollLock } from '../hooks/useScrollLock.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- LIGHTBOX ---
+// Full-screen gallery viewer: arrow keys, buttons or swipe to move between
+// images; wheel, double-click or the zoom buttons to zoom, drag to pan.
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 5;
+const SWIPE_DISTANCE = 50;
+
+const clampZoom = (z) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, z));
+
+// Warm the browser cache so stepping through the gallery feels instant.
+const preload = (src) => {
+  if (!src) return;
+  const img = new Image();
+  img.src = src;
+};
+
+/**
+ * @param {{ images: { src: string, thumb: string, alt: string, caption: string | null }[], index: number, onIndexChange: (i: number) => void, onClose: () => void }} props
+ */
+const Lightbox = ({ images, index, onIndexChange, onClose }) => {
+  const { t } = useI18n();
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const dragRef = useRef(null);
+  const dialogRef = useRef(null);
+  const image = images[index];
+  const count = images.length;
+
+  useFocusTrap(dialogRef, true, { onEscape: onClose });
+  useScrollLock(true);
+
+  const go = useCallback((step) => {
+    if (count > 1) onIndexChange((index + step + count) % count);
+  }, [index, count, onIndexChange]);
+
+  const setZoomLevel = useCallback((next) => {
+    const z = clampZoom(next);
+    setZoom(z);
+    if (z === 1) setPan({ x: 0, y: 0 });
+  }, []);
+
+  useEffect(() => {
+    setZoom(1);
+    setPan({ x: 0, y: 0 });
+    if (count > 1) {
+      preload(images[(index + 1) % count].src);
+      preload(images[(index - 1 + count) % count].src);
+    }
+  }, [index, images, count]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'ArrowRight') go(1);
+      else if (e.key === 'ArrowLeft') go(-1);
+      else if (e.key === '+' || e.key === '=') setZoomLevel(zoom * 1.5);
+      else if (e.key === '-') setZoomLevel(zoom / 1.5);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [go, zoom, setZoomLevel]);
+
+  // One pointer gesture: a drag pans when zoomed in, and a quick horizontal
+  // flick at 1x changes image.
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, pan };
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || zoom <= 1) return;
+    setPan({ x: drag.pan.x + (e.clientX - drag.x) / zoom, y: drag.pan.y + (e.clientY - drag.y) / zoom });
+  };
+
+  const onPointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || zoom > 1) return;
+    const dx = e.clientX - drag.x;
+    if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(e.clientY - drag.y)) go(dx < 0 ? 1 : -1);
+  };
+
+  const stop = (e) => e.stopPropagation();
+
+  return (
+    <m.div
+      initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('lightbox.label')}
+      aria-describedby="lightbox-caption"
+      tabIndex={-1}
+      className="fixed inset-0 z-[70] bg-black/95 flex flex-col backdrop-blur-xl select-none outline-none"
+      onClick={onClose}
+    >
+      <div className="flex items-center justify-between px-4 py-3 text-[10px] font-mono text-zinc-500" onClick={stop}>
+        <span className="tracking-widest" aria-live="polite">{t('lightbox.figure', { number: String(index + 1).padStart(2, '0'), count: String(count).padStart(2, '0') })}</span>
+        <div className="flex items-center gap-1">
+          <button onClick={() => setZoomLevel(zoom / 1.5)} disabled={zoom <= MIN_ZOOM} className="p-2 text-white/50 hover:text-white disabled:opacity-30" title={t('lightbox.zoomOut')} aria-label={t('lightbox.zoomOut')}><ZoomOut size={18} /></button>
+          <span className="w-10 text-center text-zinc-400">{Math.round(zoom * 100)}%</span>
+          <button onClick={() => setZoomLevel(zoom * 1.5)} disabled={zoom >= MAX_ZOOM} className="p-2 text-white/50 hover:text-white disabled:opacity-30" title={t('lightbox.zoomIn')} aria-label={t('lightbox.zoomIn')}><ZoomIn size={18} /></button>
+          <button onClick={() => setZoomLevel(1)} className="p-2 text-white/50 hover:text-white" title={t('lightbox.fit')} aria-label={t('lightbox.fitLabel')}><Maximize size={18} /></button>
+          <button onClick={onClose} className="p-2 ml-2 text-white/50 hover:text-white" title={t('lightbox.close')} aria-label={t('lightbox.closeLabel')}><X size={28} /></button>
+        </div>
+      </div>
+
+      <div className="relative flex-1 min-h-0 flex items-center justify-center overflow-hidden px-4">
+        <img
+          key={image.src}
+          src={image.src}
+          alt={image.alt}
+          draggable={false}
+          onClick={stop}
+          onDoubleClick={() => setZoomLevel(zoom > 1 ? 1 : 2.5)}
+          onWheel={(e) => setZoomLevel(zoom * (e.deltaY < 0 ? 1.15 : 1 / 1.15))}
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={() => { dragRef.current = null; }}
+          style={{ transform: `scale(${zoom}) translate(${pan.x}px, ${pan.y}px)`, touchAction: 'none' }}
+          className={`max-w-full max-h-full object-contain rounded-lg shadow-2xl shadow-accent-900/20 transition-transform duration-75 ${zoom > 1 ? 'cursor-grab active:cursor-grabbing' : 'cursor-zoom-in'}`}
+        />
+
+        {count > 1 && (
+          <>
+            <button onClick={(e) => { stop(e); go(-1); }} className="absolute left-4 top-1/2 -translate-y-1/2 p-3 rounded-full bg-black/50 border border-white/10 text-white/60 hover:text-white hover:border-accent-500/50" title={t('lightbox.previous')} aria-label={t('lightbox.previous')}>
+              <ChevronLeft size={24} />
+            </button>
+            <button onClick={(e) => { stop(e); go(1); }} className="absolute right-4 top-1/2 -translate-y-1/2 p-3 rounded-full bg-black/50 border border-white/10 text-white/60 hover:text-white hover:border-accent-500/50" title={t('lightbox.next')} aria-label={t('lightbox.next')}>
+              <ChevronRight size={24} />
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="px-4 pt-3 pb-4 flex flex-col items-center gap-3" onClick={stop}>
+        <p id="lightbox-caption" className="text-sm text-zinc-300 text-center max-w-3xl min-h-[1.25rem]">{image.caption || image.alt}</p>
+        {count > 1 && (
+          <div className="flex gap-2 overflow-x-auto max-w-full pb-1">
+            {images.map((img, i) => (
+              <button
+                key={img.src}
+                onClick={() => onIndexChange(i)}
+                className={`shrink-0 w-20 aspect-video rounded overflow-hidden border transition-all ${i === index ? 'border-accent-500 opacity-100' : 'border-white/10 opacity-50 hover:opacity-100'}`}
+                aria-label={t('lightbox.show', { alt: img.alt })}
+                aria-current={i === index}
+              >
+                <img src={img.thumb} alt="" className="w-full h-full object-cover" loading="lazy" />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </m.div>
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axeViolations, renderWithProviders } from '../test/render.jsx';
+import Lightbox from './Lightbox.jsx';
+
+const IMAGES = [
+  { src: '/a.png', thumb: '/a-thumb.png', alt: 'Front render', caption: 'The assembly from the front.' },
+  { src: '/b.png', thumb: '/b-thumb.png', alt: 'Section view', caption: null },
+];
+
+const renderLightbox = (props = {}) => renderWithProviders(
+  <Lightbox images={IMAGES} index={0} onIndexChange={() => {}} onClose={() => {}} {...props} />,
+);
+
+describe('Lightbox', () => {
+  it('is a modal dialog labelled and described by its caption', () => {
+    renderLightbox();
+    const dialog = screen.getByRole('dialog', { name: 'Image viewer' });
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(dialog.getAttribute('aria-describedby')).textContent).toBe('The assembly from the front.');
+    expect(dialog.contains(document.activeElement)).toBe(true);
+  });
+
+  it('has no axe violations', async () => {
+    renderLightbox();
+    expect(await axeViolations(screen.getByRole('dialog'))).toEqual([]);
+  });
+
+  it('closes on Escape and steps through images with the arrow keys', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    const onIndexChange = vi.fn();
+    renderLightbox({ onClose, onIndexChange });
+
+    await user.keyboard('{ArrowRight}');
+    expect(onIndexChange).toHaveBeenLastCalledWith(1);
+    await user.keyboard('{ArrowLeft}');
+    expect(onIndexChange).toHaveBeenLastCalledWith(1);
+    await user.keyboard('{Escape}');
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
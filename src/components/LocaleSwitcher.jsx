@@ -0,0 +1,27 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { LOCALES } from '../i18n/locales.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+/** Navbar language picker; each option is labelled in its own language. */
+const LocaleSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="flex items-center gap-2 px-2 py-1 text-[10px] font-mono tracking-widest text-zinc-500 border border-white/10 rounded hover:text-white hover:border-accent-500/50 focus-within:border-accent-500 transition-colors">
+      <Languages size={12} className="text-accent-500" aria-hidden="true" />
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent outline-none cursor-pointer uppercase"
+        aria-label={t('locale.label')}
+      >
+        {Object.entries(LOCALES).map(([id, { label }]) => (
+          <option key={id} value={id} lang={id} className="bg-zinc-900 text-white normal-case">{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Settings, Play, Pause, Download } from 'lucide-react';
+import { MECHANISMS, initialLinks, evaluate, sampleCycle, rpmToRadPerSec } from '../kinematics/linkages.js';
+import { cycleToCSV, cycleToSVG } from '../kinematics/export.js';
+import { usePageVisible } from '../hooks/usePageVisible.js';
+import { usePrefersReducedMotion } from '../hooks/useMediaQuery.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- KINEMATICS DIAGRAM ---
+// Live slider-crank / four-bar simulator for the hero. The drawing turns at a
+// slowed-down playback speed so it stays legible; the readouts and exported
+// curves use the real crank speed. Lengths and linear quantities are read
+// out in the visitor's unit system; the exports stay in SI.
+
+const VIEW = { width: 200, height: 150, pad: 28 };
+const PLAYBACK_RPM = 30;
+const RPM = { min: 60, max: 3000, step: 60, initial: 1500 };
+const TWO_PI = Math.PI * 2;
+
+const downloadText = (content, type, filename) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Scale and centre the whole cycle's sweep into the drawing, y up.
+const fitView = (samples) => {
+  const points = samples.flatMap((s) => Object.values(s.joints));
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const k = Math.min((VIEW.width - VIEW.pad * 2) / (maxX - minX || 1), (VIEW.height - VIEW.pad * 2) / (maxY - minY || 1));
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  return { k, to: ([x, y]) => [VIEW.width / 2 + (x - cx) * k, VIEW.height / 2 - (y - cy) * k] };
+};
+
+// Colours come from theme classes (`fill-*`, `stroke-*`) so the drawing
+// follows the active preset.
+const Pin = ({ at, r = 3, className = 'fill-accent-500' }) => <circle cx={at[0]} cy={at[1]} r={r} className={className} />;
+
+const Link = ({ from, to, className, width = 3 }) => (
+  <line x1={from[0]} y1={from[1]} x2={to[0]} y2={to[1]} className={className} strokeWidth={width} strokeLinecap="round" />
+);
+
+const SliderCrankSketch = ({ state, links, view }) => {
+  const { t, formatQuantity } = useI18n();
+  const O = view.to(state.joints.crankPivot);
+  const A = view.to(state.joints.crankPin);
+  const B = view.to(state.joints.piston);
+  const tdc = view.to([0, links.crank + links.rod])[1];
+  const bdc = view.to([0, links.rod - links.crank])[1];
+
+  return (
+    <>
+      <path d={`M${B[0] - 20},${bdc + 8} V${tdc - 20} H${B[0] + 20} V${bdc + 8}`} fill="none" className="stroke-zinc-600" strokeWidth="2" />
+      <rect x={B[0] - 18} y={B[1] - 16} width="36" height="22" rx="2" fill="url(#hatch)" className="stroke-zinc-400" strokeWidth="2" />
+      <circle cx={O[0]} cy={O[1]} r={links.crank * view.k} fill="none" className="stroke-zinc-500" strokeWidth="1" strokeDasharray="4 2" />
+      <Link from={O} to={A} className="stroke-zinc-500" />
+      <Link from={A} to={B} className="stroke-accent-500" width={4} />
+      <Pin at={O} className="fill-zinc-500" />
+      <Pin at={A} />
+      <Pin at={B} r={2.5} className="fill-zinc-400" />
+
+      <line x1={B[0] - 32} y1={tdc} x2={B[0] - 32} y2={bdc} className="stroke-warning-500" strokeWidth="1" />
+      <text x={B[0] - 36} y={(tdc + bdc) / 2} className="fill-warning-500" fontSize="7" fontFamily="monospace" textAnchor="middle" transform={`rotate(-90 ${B[0] - 36},${(tdc + bdc) / 2})`}>
+        {t('diagram.stroke', { length: formatQuantity(links.crank * 2, 'mm') })}
+      </text>
+    </>
+  );
+};
+
+const Ground = ({ at }) => <path d={`M${at[0]},${at[1]} l-6,9 h12 z`} fill="url(#hatch)" className="stroke-zinc-600" strokeWidth="1" />;
+
+const FourBarSketch = ({ state, links, samples, view }) => {
+  const { t, formatQuantity } = useI18n();
+  const O2 = view.to(state.joints.crankPivot);
+  const O4 = view.to(state.joints.rockerPivot);
+  const A = view.to(state.joints.crankPin);
+  const B = view.to(state.joints.rockerPin);
+
+  // Path traced by the coupler's midpoint over one revolution.
+  const trace = useMemo(() => samples.map((s) => {
+    const [ax, ay] = s.joints.crankPin;
+    const [bx, by] = s.joints.rockerPin;
+    return view.to([(ax + bx) / 2, (ay + by) / 2]).map((v) => v.toFixed(1)).join(',');
+  }).join(' '), [samples, view]);
+
+  return (
+    <>
+      <polyline points={trace} fill="none" className="stroke-accent-500" strokeWidth="1" strokeDasharray="2 2" opacity="0.4" />
+      <line x1={O2[0]} y1={O2[1]} x2={O4[0]} y2={O4[1]} className="stroke-zinc-600" strokeWidth="1" strokeDasharray="4 2" />
+      <text x={(O2[0] + O4[0]) / 2} y={O2[1] + 12} className="fill-warning-500" fontSize="7" fontFamily="monospace" textAnchor="middle">
+        {t('diagram.ground', { length: formatQuantity(links.ground, 'mm') })}
+      </text>
+      <Ground at={O2} />
+      <Ground at={O4} />
+      <Link from={O2} to={A} className="stroke-zinc-500" />
+      <Link from={O4} to={B} className="stroke-zinc-400" />
+      <Link from={A} to={B} className="stroke-accent-500" width={4} />
+      <Pin at={O2} className="fill-zinc-500" />
+      <Pin at={O4} className="fill-zinc-400" />
+      <Pin at={A} />
+      <Pin at={B} />
+    </>
+  );
+};
+
+// `display` is the formatted value shown beside the track.
+const Slider = ({ label, display, ...props }) => (
+  <label className="grid grid-cols-[4.5rem_1fr_3.5rem] items-center gap-2">
+    <span className="text-zinc-500">{label}</span>
+    <input type="range" {...props} className="w-full accent-accent-500" />
+    <span className="text-right text-white whitespace-nowrap">{display}</span>
+  </label>
+);
+
+/** @param {{ active?: boolean }} props `active` false pauses the animation, e.g. while scrolled out of view. */
+const MechanicalDiagram = ({ active = true }) => {
+  const { t, formatNumber, formatQuantity } = useI18n();
+  const reducedMotion = usePrefersReducedMotion();
+  const pageVisible = usePageVisible();
+  const [mechanism, setMechanism] = useState('slider-crank');
+  const [links, setLinks] = useState(() => initialLinks('slider-crank'));
+  const [rpm, setRpm] = useState(RPM.initial);
+  const [theta, setTheta] = useState(0);
+  const [playing, setPlaying] = useState(!reducedMotion);
+
+  const spec = MECHANISMS[mechanism];
+  const label = (key) => t(`diagram.outputs.${mechanism}.${key}`);
+  const problem = spec.check(links);
+  const degrees = Math.round((theta * 180) / Math.PI);
+  const samples = useMemo(() => sampleCycle(mechanism, links, rpm), [mechanism, links, rpm]);
+  const view = useMemo(() => samples && fitView(samples), [samples]);
+  const state = samples ? evaluate(mechanism, links, rpm, theta) : null;
+  const running = playing && active && pageVisible && !!samples;
+
+  useEffect(() => {
+    if (!running) return undefined;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const dt = Math.min((now - last) / 1000, 0.1);
+      last = now;
+      setTheta((t) => (t + rpmToRadPerSec(PLAYBACK_RPM) * dt) % TWO_PI);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [running]);
+
+  const selectMechanism = (key) => {
+    setMechanism(key);
+    setLinks(initialLinks(key));
+    setTheta(0);
+  };
+
+  const exportCurve = (format) => {
+    const name = `${mechanism}-${rpm}rpm`;
+    if (format === 'csv') downloadText(cycleToCSV(mechanism, links, rpm, samples), 'text/csv', `${name}.csv`);
+    else downloadText(cycleToSVG(mechanism, links, rpm, samples), 'image/svg+xml', `${name}.svg`);
+  };
+
+  return (
+    <div className="relative w-full border border-white/10 bg-zinc-900/30 backdrop-blur-sm rounded-lg p-6 flex flex-col">
+       <div className="flex justify-between items-center border-b border-zinc-700/50 pb-2 mb-4">
+          <div className="flex items-center gap-3 text-xs font-mono text-accent-500">
+             <Settings size={12} className={running ? 'animate-spin-slow' : ''}/>
+             <div className="flex gap-1" role="group" aria-label={t('diagram.mechanism')}>
+               {Object.keys(MECHANISMS).map((key) => (
+                 <button
+                   key={key}
+                   onClick={() => selectMechanism(key)}
+                   aria-pressed={mechanism === key}
+                   className={`px-2 py-0.5 text-[10px] rounded border transition-colors ${mechanism === key ? 'border-accent-500/50 text-accent-400 bg-accent-500/10' : 'border-transparent text-zinc-500 hover:text-white'}`}
+                 >
+                   {t(`diagram.mechanisms.${key}`)}
+                 </button>
+               ))}
+             </div>
+          </div>
+          <span className="text-[10px] text-zinc-600 font-mono">{t('diagram.figure')}</span>
+       </div>
+
+       <div className="h-48 md:h-56 relative overflow-hidden">
+          <div className="absolute inset-0 opacity-10"
+             style={{ backgroundImage: `linear-gradient(rgb(var(--color-white)) 1px, transparent 1px), linear-gradient(90deg, rgb(var(--color-white)) 1px, transparent 1px)`, backgroundSize: '20px 20px' }}>
+          </div>
+
+          <svg viewBox={`0 0 ${VIEW.width} ${VIEW.height}`} className="relative w-full h-full" role="img" aria-label={t('diagram.linkage', { mechanism: t(`diagram.mechanisms.${mechanism}`) })}>
+             <defs>
+                <pattern id="hatch" width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                   <line className="stroke-zinc-700" strokeWidth="1" y2="4"/>
+                </pattern>
+             </defs>
+             {state && mechanism === 'slider-crank' && <SliderCrankSketch state={state} links={links} view={view} />}
+             {state && mechanism === 'four-bar' && <FourBarSketch state={state} links={links} samples={samples} view={view} />}
+          </svg>
+
+          {problem && (
+            <div className="absolute inset-0 flex items-center justify-center text-[10px] font-mono text-red-400 tracking-widest">{t(`diagram.problems.${problem}`)}</div>
+          )}
+
+          <div className="absolute top-2 right-2 text-[10px] font-mono text-zinc-400 flex flex-col gap-1">
+             <span className="flex justify-between gap-3 w-36"><span>θ:</span> <span className="text-white">{degrees}°</span></span>
+             {spec.outputs.map((o) => (
+               <span key={o.key} className="flex justify-between gap-3 w-36">
+                 <span>{label(o.key)}:</span> <span className="text-white">{state ? formatQuantity(state[o.key], o.unit, o.digits) : `— ${o.unit}`}</span>
+               </span>
+             ))}
+             <span className="flex justify-between gap-3 w-36">
+               <span>{label('link')}:</span> <span className="text-white">{state ? formatNumber((state.linkAngle * 180) / Math.PI, 1) : '—'}°</span>
+             </span>
+          </div>
+       </div>
+
+       <div className="mt-4 flex flex-col gap-2 text-[10px] font-mono">
+          {spec.links.map((link) => (
+            <Slider
+              key={link.key}
+              label={t(`diagram.links.${link.key}`)}
+              value={links[link.key]}
+              display={formatQuantity(links[link.key], 'mm')}
+              min={link.min}
+              max={link.max}
+              step={link.step}
+              onChange={(e) => setLinks((l) => ({ ...l, [link.key]: Number(e.target.value) }))}
+            />
+          ))}
+          <Slider label={t('diagram.rpm')} value={rpm} display={formatNumber(rpm)} min={RPM.min} max={RPM.max} step={RPM.step} onChange={(e) => setRpm(Number(e.target.value))} />
+          <Slider
+            label={t('diagram.crankAngle')}
+            value={degrees}
+            display={`${degrees}°`}
+            min={0}
+            max={359}
+            step={1}
+            onChange={(e) => setTheta((Number(e.target.value) * Math.PI) / 180)}
+          />
+       </div>
+
+       <div className="mt-4 flex justify-between items-center">
+          <button onClick={() => setPlaying((p) => !p)} disabled={!samples} className="flex items-center gap-2 disabled:opacity-50" aria-label={playing ? t('diagram.pause') : t('diagram.play')}>
+             <div className={`w-2 h-2 rounded-full ${running ? 'bg-accent-500 animate-pulse' : samples ? 'bg-zinc-500' : 'bg-red-500'}`}></div>
+             <span className="text-[10px] font-mono text-zinc-400">{!samples ? t('diagram.invalid') : running ? t('diagram.running') : t('diagram.paused')}</span>
+             {playing ? <Pause size={12} className="text-zinc-500" /> : <Play size={12} className="text-zinc-500" />}
+          </button>
+          <div className="flex items-center gap-2 text-[10px] font-mono">
+             {['csv', 'svg'].map((format) => (
+               <button
+                 key={format}
+                 onClick={() => exportCurve(format)}
+                 disabled={!samples}
+                 className="flex items-center gap-1 px-2 py-1 rounded border border-white/10 text-zinc-400 hover:text-white hover:border-accent-500/50 disabled:opacity-40 disabled:pointer-events-none transition-colors"
+                 title={t('diagram.export', { format: format.toUpperCase() })}
+               >
+                 <Download size={10} /> {format.toUpperCase()}
+               </button>
+             ))}
+          </div>
+       </div>
+    </div>
+  );
+};
+
+export default MechanicalDiagram;
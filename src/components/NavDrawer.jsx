@@ -0,0 +1,84 @@
+import React, { useRef, useEffect } from 'react';
+import { m, AnimatePresence } from 'framer-motion';
+import { X } from 'lucide-react';
+import { useFocusTrap } from '../hooks/useFocusTrap.js';
+import { useScrollLock } from '../hooks/useScrollLock.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- MOBILE NAV DRAWER ---
+// Slide-out section menu for screens below `md`, where the navbar hides its
+// buttons.
+
+// Tailwind's `md` breakpoint; the drawer closes if the viewport grows past it.
+const DESKTOP = '(min-width: 768px)';
+
+/**
+ * @param {{ id: string, open: boolean, onClose: () => void, items: { id: string, label: string }[], activeSection: string, onSelect: (id: string) => void }} props
+ */
+const NavDrawer = ({ id, open, onClose, items, activeSection, onSelect }) => {
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, open, { onEscape: onClose });
+  useScrollLock(open);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const query = window.matchMedia(DESKTOP);
+    const onChange = (e) => e.matches && onClose();
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, [open, onClose]);
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <>
+          <m.div
+            key="overlay"
+            initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}
+            className="fixed inset-0 z-[55] bg-black/60 backdrop-blur-sm md:hidden"
+            onClick={onClose}
+            aria-hidden="true"
+          />
+          <m.aside
+            key="panel"
+            id={id}
+            ref={panelRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('nav.drawer')}
+            tabIndex={-1}
+            initial={{ x: '100%' }} animate={{ x: 0 }} exit={{ x: '100%' }}
+            transition={{ type: 'tween', duration: 0.25, ease: 'easeOut' }}
+            className="fixed top-0 right-0 bottom-0 z-[56] w-72 max-w-[85vw] bg-zinc-950 border-l border-white/10 shadow-2xl shadow-black flex flex-col outline-none md:hidden"
+          >
+            <div className="h-16 px-6 flex items-center justify-between border-b border-white/10">
+              <span className="text-[10px] font-mono tracking-widest text-accent-500">SYS.NAV</span>
+              <button onClick={onClose} className="p-2 -mr-2 text-zinc-400 hover:text-white" aria-label={t('nav.closeMenu')}>
+                <X size={22} />
+              </button>
+            </div>
+
+            <nav className="flex-1 px-4 py-6 flex flex-col gap-1">
+              {items.map((item, i) => (
+                <button
+                  key={item.id}
+                  onClick={() => onSelect(item.id)}
+                  aria-current={activeSection === item.id ? 'location' : undefined}
+                  className={`flex items-center gap-4 px-3 py-3 rounded border text-left text-sm font-mono tracking-widest transition-colors ${
+                    activeSection === item.id ? 'text-accent-400 border-accent-500/40 bg-accent-500/10' : 'text-zinc-400 border-transparent hover:text-white hover:bg-white/5'
+                  }`}
+                >
+                  <span className="text-[10px] text-zinc-600">{String(i + 1).padStart(2, '0')}</span>
+                  {item.label}
+                </button>
+              ))}
+            </nav>
+          </m.aside>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default NavDrawer;
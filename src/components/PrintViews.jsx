@@ -0,0 +1,234 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { Routes, Route, Navigate, Link, useParams } from 'react-router-dom';
+import { Printer, ArrowLeft } from 'lucide-react';
+import { featuredProjects, getProject, localizeProject } from '../content/projects.js';
+import { SITE, localizeSite } from '../content/site.js';
+import { ProjectSnapshot } from '../viewer/ProjectSnapshot.jsx';
+import { useDocumentTitle } from '../hooks/useDocumentTitle.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- PRINT LAYOUTS ---
+// A résumé and one-page project case studies, built from the same content as
+// the cards and modal and laid out for A4. The browser's print dialog turns
+// them into PDFs. They use the fixed neutral palette rather than the theme,
+// since paper is always white.
+
+const SOCIAL_LABELS = { linkedin: 'LinkedIn', github: 'GitHub' };
+
+const absoluteUrl = (path) => `${window.location.origin}${path}`;
+
+// Spec rows for print; a spec sheet file is linked instead.
+const specRows = (project, limit = Infinity) => (project.specs && typeof project.specs === 'object'
+  ? Object.entries(project.specs).slice(0, limit)
+  : []);
+
+const metaLine = (project) => [project.date, project.discipline].filter(Boolean).join(' · ');
+
+// Counts snapshot callbacks so printing waits for the 3D renders.
+const useSnapshotsDone = (count) => {
+  const [done, setDone] = useState(0);
+  const onDone = useCallback(() => setDone((n) => n + 1), []);
+  return [done >= count, onDone];
+};
+
+const Toolbar = ({ backTo, ready }) => {
+  const { t } = useI18n();
+  return (
+    <div className="print:hidden sticky top-0 z-10 mb-8 flex items-center justify-between gap-4 px-6 py-3 bg-neutral-900 text-neutral-300 text-[10px] font-mono tracking-widest">
+      <Link to={backTo} className="flex items-center gap-2 hover:text-white"><ArrowLeft size={14} /> {t('print.back')}</Link>
+      <span>{ready ? t('print.ready') : t('print.rendering')}</span>
+      <button
+        onClick={() => window.print()}
+        disabled={!ready}
+        className="flex items-center gap-2 px-3 py-1.5 rounded bg-neutral-100 text-neutral-900 font-bold disabled:opacity-40"
+      >
+        <Printer size={14} /> {t('print.print')}
+      </button>
+    </div>
+  );
+};
+
+const Page = ({ children }) => (
+  <article className="mx-auto mb-12 w-full max-w-[210mm] min-h-[297mm] bg-neutral-50 text-neutral-900 shadow-2xl p-[14mm] text-[10.5pt] leading-snug print:m-0 print:max-w-none print:min-h-0 print:p-0 print:shadow-none print:bg-transparent">
+    {children}
+  </article>
+);
+
+const SectionTitle = ({ children }) => (
+  <h2 className="mt-6 mb-2 pb-1 border-b border-neutral-300 text-[8pt] font-mono tracking-[0.2em] text-neutral-500 uppercase">{children}</h2>
+);
+
+const Contacts = () => (
+  <p className="mt-2 text-[9pt] text-neutral-600 flex flex-wrap gap-x-4">
+    {SITE.email && <span>{SITE.email}</span>}
+    {Object.entries(SITE.social).map(([id, href]) => <span key={id}>{SOCIAL_LABELS[id] || id}: {href.replace(/^https?:\/\//, '')}</span>)}
+    <span>{absoluteUrl('/').replace(/^https?:\/\//, '')}</span>
+  </p>
+);
+
+// --- RÉSUMÉ ---
+
+const ResumeProject = ({ project, onSnapshot }) => (
+  <div className="grid grid-cols-[44mm_1fr] gap-4 py-3 border-b border-neutral-200 break-inside-avoid">
+    <ProjectSnapshot project={project} onDone={onSnapshot} className="w-full aspect-[4/3] object-cover rounded border border-neutral-200" />
+    <div>
+      <div className="flex items-baseline justify-between gap-4">
+        <h3 className="font-bold text-[11pt]">{project.title}</h3>
+        <span className="text-[8pt] font-mono text-neutral-500 whitespace-nowrap">{metaLine(project)}</span>
+      </div>
+      <p className="mt-1 text-neutral-700">{project.description}</p>
+      {specRows(project, 3).length > 0 && (
+        <p className="mt-1 text-[8.5pt] text-neutral-600">
+          {specRows(project, 3).map(([label, value]) => `${label}: ${value}`).join(' · ')}
+        </p>
+      )}
+      <p className="mt-1 text-[8pt] font-mono text-neutral-500">{project.tags.join(' · ')}</p>
+    </div>
+  </div>
+);
+
+const ResumePrint = () => {
+  const { t, locale } = useI18n();
+  const site = localizeSite(locale);
+  const projects = useMemo(() => featuredProjects.map((project) => localizeProject(project, locale)), [locale]);
+  useDocumentTitle(t('print.resumeTitle', { name: site.name || t('site.title') }));
+  const [ready, onSnapshot] = useSnapshotsDone(featuredProjects.length);
+  const { profile } = site;
+
+  return (
+    <>
+      <Toolbar backTo="/" ready={ready} />
+      <Page>
+        <header>
+          <h1 className="text-[24pt] font-bold leading-none">{site.name || t('site.title')}</h1>
+          <p className="mt-1 text-[11pt] text-neutral-700">{site.headline}</p>
+          <Contacts />
+        </header>
+
+        <SectionTitle>{t('print.profile')}</SectionTitle>
+        <p>{profile.summary}</p>
+        <dl className="mt-3 grid grid-cols-4 gap-3">
+          {profile.stats.map((stat) => (
+            <div key={stat.label} className="border-l-2 border-neutral-300 pl-2">
+              <dt className="text-[7.5pt] font-mono uppercase text-neutral-500">{stat.label}</dt>
+              <dd className="font-bold">{stat.value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <SectionTitle>{t('print.skills')}</SectionTitle>
+        <dl className="grid grid-cols-2 gap-x-6 gap-y-1">
+          {profile.skills.map((skill) => (
+            <div key={skill.title} className="flex gap-2">
+              <dt className="font-bold whitespace-nowrap">{skill.title}:</dt>
+              <dd className="text-neutral-700">{skill.items.join(', ')}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <SectionTitle>{t('print.selectedProjects')}</SectionTitle>
+        {projects.map((project) => (
+          <ResumeProject key={project.id} project={project} onSnapshot={onSnapshot} />
+        ))}
+        <p className="mt-4 text-[7.5pt] font-mono text-neutral-400">
+          {t('print.interactive', { url: absoluteUrl('/') })}
+        </p>
+      </Page>
+    </>
+  );
+};
+
+// --- CASE STUDY ---
+
+const CaseStudyPrint = ({ project }) => {
+  const { t } = useI18n();
+  useDocumentTitle(t('print.caseStudyTitle', { title: project.title }));
+  const [ready, onSnapshot] = useSnapshotsDone(1);
+  const rows = specRows(project);
+  const figures = project.gallery.slice(0, 2);
+
+  return (
+    <>
+      <Toolbar backTo={`/projects/${project.id}`} ready={ready} />
+      <Page>
+        <header className="flex items-end justify-between gap-6 pb-3 border-b-2 border-neutral-900">
+          <div>
+            <div className="text-[8pt] font-mono tracking-[0.2em] text-neutral-500">{t('print.caseStudy', { id: project.id.toUpperCase() })}</div>
+            <h1 className="mt-1 text-[20pt] font-bold leading-tight">{project.title}</h1>
+          </div>
+          <div className="text-right text-[8pt] font-mono text-neutral-500">
+            <div>{metaLine(project)}</div>
+            {SITE.name && <div>{SITE.name}</div>}
+          </div>
+        </header>
+
+        <ProjectSnapshot key={project.id} project={project} onDone={onSnapshot} className="mt-4 w-full aspect-[16/9] object-cover rounded border border-neutral-200" />
+
+        <div className="mt-4 grid grid-cols-[1fr_62mm] gap-6">
+          <div>
+            <SectionTitle>{t('print.overview')}</SectionTitle>
+            <p className="whitespace-pre-line">{project.fullDescription || project.description}</p>
+            <p className="mt-3 text-[8pt] font-mono text-neutral-500">{project.tags.join(' · ')}</p>
+          </div>
+          <div>
+            <SectionTitle>{t('print.specifications')}</SectionTitle>
+            {rows.length > 0 ? (
+              <table className="w-full text-[9pt]">
+                <tbody>
+                  {rows.map(([label, value]) => (
+                    <tr key={label} className="border-b border-neutral-200">
+                      <th className="py-1 pr-2 text-left font-normal text-neutral-500">{label}</th>
+                      <td className="py-1 text-right font-bold">{value}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-[9pt] text-neutral-600">
+                {typeof project.specs === 'string' ? t('print.datasheet', { url: absoluteUrl(project.specs) }) : t('print.noSpecs')}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {figures.length > 0 && (
+          <div className="mt-4 grid grid-cols-2 gap-4 break-inside-avoid">
+            {figures.map((img, i) => (
+              <figure key={img.src}>
+                <img src={img.src} alt={img.alt} className="w-full aspect-[16/10] object-cover rounded border border-neutral-200" />
+                <figcaption className="mt-1 text-[8pt] text-neutral-600">{t('print.figure', { number: i + 1, caption: img.caption || img.alt })}</figcaption>
+              </figure>
+            ))}
+          </div>
+        )}
+
+        <footer className="mt-6 pt-2 border-t border-neutral-300 text-[8pt] font-mono text-neutral-500 flex flex-wrap gap-x-6">
+          <span>{t('print.interactiveModel', { url: absoluteUrl(`/projects/${project.id}`) })}</span>
+          {project.links.repository && <span>{t('print.source', { url: project.links.repository })}</span>}
+          {SITE.email && <span>{SITE.email}</span>}
+        </footer>
+      </Page>
+    </>
+  );
+};
+
+const CaseStudyRoute = () => {
+  const { id } = useParams();
+  const { locale } = useI18n();
+  const found = getProject(id);
+  const project = found && localizeProject(found, locale);
+  return project ? <CaseStudyPrint project={project} /> : <Navigate to="/" replace />;
+};
+
+/** Routes under /print/, rendered in place of the site. */
+const PrintViews = () => (
+  <div className="min-h-screen bg-neutral-200 print:bg-transparent">
+    <Routes>
+      <Route path="/print/resume" element={<ResumePrint />} />
+      <Route path="/print/projects/:id" element={<CaseStudyRoute />} />
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
+  </div>
+);
+
+export default PrintViews;
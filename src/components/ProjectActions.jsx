@@ -0,0 +1,165 @@
+import React from 'react';
+import { Download, FileDown, GitBranch, GitCommit, Star } from 'lucide-react';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- PROJECT ACTIONS ---
+// Spec sheet download, repository and case study links for the project
+// modal, plus the repository card fed by the snapshot in src/content/repos.json.
+
+// GitHub's linguist colours for the languages a portfolio is likely to show.
+const LANGUAGE_COLORS = {
+  Python: '#3572A5',
+  'C++': '#f34b7d',
+  C: '#555555',
+  MATLAB: '#e16737',
+  JavaScript: '#f1e05a',
+  TypeScript: '#3178c6',
+  Rust: '#dea584',
+  CMake: '#DA3434',
+  Shell: '#89e051',
+  'Jupyter Notebook': '#DA5B0B',
+};
+
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Standalone, printable HTML sheet for projects whose `specs` are rows
+// rather than a file, in the visitor's language.
+const buildDatasheet = (project, t, locale) => `<!doctype html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(t('actions.datasheetTitle', { title: project.title }))}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #18181b; max-width: 720px; margin: 40px auto; padding: 0 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  .id { font: 11px ui-monospace, monospace; color: #71717a; letter-spacing: 0.1em; }
+  table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+  th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #e4e4e7; }
+  th { width: 40%; font-weight: 600; color: #3f3f46; }
+  .tags { font: 12px ui-monospace, monospace; color: #52525b; }
+</style>
+</head>
+<body>
+<div class="id">${escapeHTML(t('actions.datasheet', { id: project.id.toUpperCase() }))}</div>
+<h1>${escapeHTML(project.title)}</h1>
+<p>${escapeHTML(project.fullDescription || project.description)}</p>
+<table>
+${Object.entries(project.specs).map(([label, value]) => `  <tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('\n')}
+</table>
+<p class="tags">${project.tags.map(escapeHTML).join(' · ')}</p>
+</body>
+</html>
+`;
+
+const downloadDatasheet = (project, t, locale) => {
+  const url = URL.createObjectURL(new Blob([buildDatasheet(project, t, locale)], { type: 'text/html' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${project.id}-datasheet.html`;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const relativeTime = (iso, locale) => {
+  const days = Math.round((new Date(iso) - Date.now()) / 86400000);
+  const rtf = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  if (Math.abs(days) < 30) return rtf.format(days, 'day');
+  if (Math.abs(days) < 365) return rtf.format(Math.round(days / 30), 'month');
+  return rtf.format(Math.round(days / 365), 'year');
+};
+
+/** Last commit, stars and language split from the repository snapshot. */
+export const RepositoryCard = ({ repo }) => {
+  const { t, locale } = useI18n();
+  const total = Object.values(repo.languages).reduce((sum, bytes) => sum + bytes, 0);
+  const languages = Object.entries(repo.languages)
+    .map(([name, bytes]) => ({ name, share: total ? bytes / total : 0 }))
+    .sort((a, b) => b.share - a.share);
+
+  return (
+    <div>
+      <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
+        <GitBranch size={14} className="text-accent-500" /> {t('actions.sourceRepository')}
+      </h3>
+      <div className="p-4 bg-zinc-900/50 border border-white/5 rounded space-y-3 text-xs">
+        <div className="flex items-center justify-between gap-3">
+          <a href={repo.url} target="_blank" rel="noopener noreferrer" className="font-mono text-accent-400 hover:text-white truncate">{repo.name}</a>
+          <span className="flex items-center gap-1 text-zinc-400 shrink-0"><Star size={12} /> {repo.stars}</span>
+        </div>
+
+        {repo.lastCommit && (
+          <a href={repo.lastCommit.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-zinc-400 hover:text-white">
+            <GitCommit size={12} className="shrink-0" />
+            <span className="font-mono text-zinc-500">{repo.lastCommit.sha.slice(0, 7)}</span>
+            <span className="truncate">{repo.lastCommit.message}</span>
+            <span className="ml-auto shrink-0 text-zinc-600">{relativeTime(repo.lastCommit.date, locale)}</span>
+          </a>
+        )}
+
+        {languages.length > 0 && (
+          <div>
+            <div className="flex h-1.5 rounded-full overflow-hidden bg-zinc-800">
+              {languages.map((lang) => (
+                <div key={lang.name} style={{ width: `${lang.share * 100}%`, background: LANGUAGE_COLORS[lang.name] || '#71717a' }} />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 font-mono text-[10px] text-zinc-500">
+              {languages.map((lang) => (
+                <span key={lang.name} className="flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-full" style={{ background: LANGUAGE_COLORS[lang.name] || '#71717a' }} />
+                  {lang.name} {(lang.share * 100).toLocaleString(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="font-mono text-[10px] text-zinc-600">{t('actions.snapshot', { date: repo.fetchedAt.slice(0, 10) })}</div>
+      </div>
+    </div>
+  );
+};
+
+const PRIMARY = 'flex items-center justify-center gap-2 py-3 bg-white text-black rounded font-bold text-sm hover:bg-accent-400 hover:text-white transition-all shadow-lg shadow-white/5';
+const SECONDARY = 'flex items-center justify-center gap-2 py-3 bg-zinc-900 border border-white/10 text-white rounded font-bold text-sm hover:border-accent-500 hover:text-accent-400 transition-all';
+const DISABLED = 'flex items-center justify-center gap-2 py-3 bg-zinc-900/50 border border-white/5 text-zinc-600 rounded font-bold text-sm cursor-not-allowed';
+
+const CASE_STUDY = 'col-span-2 flex items-center justify-center gap-2 py-2 text-[10px] font-mono tracking-widest text-zinc-500 hover:text-accent-400 transition-colors';
+
+/**
+ * Specifications and Repository buttons, and a link to the printable case
+ * study. A missing asset disables its button; with neither, only the case
+ * study link is shown.
+ */
+export const ProjectActions = ({ project }) => {
+  const { t, locale } = useI18n();
+  const { specs } = project;
+  const repository = project.links.repository;
+  const caseStudy = (
+    <a href={`/print/projects/${project.id}`} target="_blank" rel="noopener" className={CASE_STUDY}>
+      <FileDown size={12} /> {t('actions.caseStudy')}
+    </a>
+  );
+  if (!specs && !repository) return <div className="grid grid-cols-2 pt-6 border-t border-white/5 mt-auto">{caseStudy}</div>;
+
+  let specButton;
+  if (typeof specs === 'string') {
+    specButton = <a href={specs} download className={PRIMARY}><Download size={16} /> {t('actions.specifications')}</a>;
+  } else if (specs) {
+    specButton = <button onClick={() => downloadDatasheet(project, t, locale)} className={PRIMARY}><Download size={16} /> {t('actions.specifications')}</button>;
+  } else {
+    specButton = <button disabled title={t('actions.noSpecs')} className={DISABLED}><Download size={16} /> {t('actions.specifications')}</button>;
+  }
+
+  return (
+    <div className="grid grid-cols-2 gap-3 pt-6 border-t border-white/5 mt-auto">
+      {specButton}
+      {repository ? (
+        <a href={repository} target="_blank" rel="noopener noreferrer" className={SECONDARY}><GitBranch size={16} /> {t('actions.repository')}</a>
+      ) : (
+        <button disabled title={t('actions.noRepository')} className={DISABLED}><GitBranch size={16} /> {t('actions.repository')}</button>
+      )}
+      {caseStudy}
+    </div>
+  );
+};
@@ -0,0 +1,216 @@
+import React, { useCallback, useRef, useState, Suspense, lazy } from 'react';
+import { m, AnimatePresence } from 'framer-motion';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { X, Code, Camera, Layers as LayersIcon, Maximize } from 'lucide-react';
+import { PROJECT_COLOR_CLASSES } from '../content/colors.js';
+import { useFocusTrap } from '../hooks/useFocusTrap.js';
+import { useScrollLock } from '../hooks/useScrollLock.js';
+import { loadProjectViewer } from '../viewer/preload.js';
+import { HTMLProjectLoader } from '../viewer/ProjectLoader.jsx';
+import { assetUrl } from '../viewer/modelDetail.js';
+import { ViewportBoundary, ViewportOffline } from '../viewer/ViewportBoundary.jsx';
+import { supportsWebGL } from '../viewer/webgl.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+import Lightbox from './Lightbox.jsx';
+import { ProjectActions, RepositoryCard } from './ProjectActions.jsx';
+
+const ProjectView3D = lazy(loadProjectViewer);
+
+// The open figure lives in the URL (`?fig=2`), so the back button closes the
+// lightbox before the modal and a figure can be linked to directly.
+const useLightboxParam = (count) => {
+  const [params, setParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const fig = Number(params.get('fig'));
+  const index = Number.isInteger(fig) && fig >= 1 && fig <= count ? fig - 1 : null;
+
+  return {
+    index,
+    open: (i) => setParams({ fig: String(i + 1) }, { state: { ...location.state, lightbox: true } }),
+    show: (i) => setParams({ fig: String(i + 1) }, { replace: true, state: location.state }),
+    close: () => {
+      if (location.state?.lightbox) navigate(-1);
+      else setParams({}, { replace: true, state: location.state });
+    },
+  };
+};
+
+/**
+ * The modal's 3D viewport, or the project's images when it can't run: no
+ * WebGL at all, or a failure caught by the boundary, which offers a retry.
+ * A lazy component remembers a failed import, so a retry makes a new one to
+ * request the viewer chunk again. Prerendering assumes WebGL. `cameraView`
+ * passes a saved view picked in the data panel on to the viewer, which calls
+ * `onCameraViewShown` once the camera is on its way.
+ */
+const ProjectViewport = ({ project, cameraView, onCameraViewShown, onOpenImage }) => {
+  const [webgl] = useState(() => typeof window === 'undefined' || supportsWebGL());
+  const [Viewport, setViewport] = useState(() => ProjectView3D);
+  const offline = (props) => (
+    <ViewportOffline title={project.title} images={project.gallery} onOpenImage={onOpenImage} {...props} />
+  );
+
+  if (!webgl) return offline({ reason: 'unsupported' });
+
+  return (
+    <ViewportBoundary
+      surface="project"
+      fallback={({ retry }) => offline({
+        onRetry: () => {
+          setViewport(() => lazy(loadProjectViewer));
+          retry();
+        },
+      })}
+    >
+      <Suspense fallback={<HTMLProjectLoader src={assetUrl(project.results || project.model)} />}>
+        <Viewport project={project} cameraView={cameraView} onCameraViewShown={onCameraViewShown} />
+      </Suspense>
+    </ViewportBoundary>
+  );
+};
+
+/**
+ * A project's full-screen dialog: the 3D viewport beside its write-up,
+ * gallery and downloads. Loaded on first open (or card hover); the viewport
+ * follows in its own chunk with three.js.
+ */
+const ProjectModal = ({ project, onClose }) => {
+  const { t } = useI18n();
+  const lightbox = useLightboxParam(project.gallery.length);
+  // The saved view waiting to be shown; cleared once the viewer has it, so
+  // picking the same view again returns to it.
+  const [cameraView, setCameraView] = useState(null);
+  const cameraViewShown = useCallback(() => setCameraView(null), []);
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, true, { onEscape: onClose });
+  useScrollLock(true);
+  
+  return (
+    <>
+    <m.div 
+      initial={{ opacity: 0, scale: 0.95 }} 
+      animate={{ opacity: 1, scale: 1 }} 
+      exit={{ opacity: 0, scale: 0.95 }}
+      className="fixed inset-0 z-[60] flex items-center justify-center p-4 md:p-8 bg-black/80 backdrop-blur-sm"
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="project-dialog-title"
+        aria-describedby="project-dialog-description"
+        tabIndex={-1}
+        className="w-[95vw] max-w-[1800px] h-[92vh] bg-zinc-950 border border-white/10 rounded-xl overflow-hidden flex flex-col lg:flex-row shadow-2xl shadow-black relative outline-none"
+      >
+         
+         <button 
+            onClick={onClose} 
+            aria-label={t('modal.close')}
+            className="absolute top-4 right-4 z-20 p-2 bg-black/50 text-white/50 hover:text-white rounded-full border border-white/10 hover:bg-red-500/20 hover:border-red-500/50 transition-all"
+          >
+            <X size={20}/>
+         </button>
+
+         {/* Left: 3D Viewport */}
+         <div className="w-full lg:w-2/3 h-1/2 lg:h-full relative bg-zinc-900 border-b lg:border-b-0 lg:border-r border-white/10">
+            <ProjectViewport project={project} cameraView={cameraView} onCameraViewShown={cameraViewShown} onOpenImage={lightbox.open} />
+         </div>
+
+         {/* Right: Data Panel */}
+         <div className="w-full lg:w-1/3 h-1/2 lg:h-full bg-zinc-950 p-8 overflow-y-auto scrollbar-thin scrollbar-thumb-zinc-800 scrollbar-track-transparent flex flex-col">
+            
+            <div className="mb-8">
+               <div className="flex items-center gap-2 mb-4">
+                  <span className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase border ${PROJECT_COLOR_CLASSES[project.color].badge}`}>
+                    {t('modal.status')}
+                  </span>
+                  <span className="text-[10px] font-mono text-zinc-600">{t('modal.id', { id: project.id.toUpperCase() })}</span>
+               </div>
+
+               <h2 id="project-dialog-title" className="text-2xl font-bold text-white mb-4">{project.title}</h2>
+               
+               <p id="project-dialog-description" className="text-zinc-300 text-sm leading-7 border-l-2 border-zinc-800 pl-4">
+                 {project.fullDescription || project.description}
+               </p>
+            </div>
+
+            <div className="space-y-8 flex-1">
+               <div>
+                  <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
+                    <Code size={14} className="text-accent-500" /> {t('modal.architecture')}
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                     {project.tags.map(tag => (
+                        <span key={tag} className="px-3 py-1.5 text-xs font-mono text-accent-100 bg-accent-900/20 border border-accent-500/20 rounded-md">
+                           {tag}
+                        </span>
+                     ))}
+                  </div>
+               </div>
+
+               {project.views.length > 0 && (
+               <div>
+                  <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
+                    <Camera size={14} className="text-accent-500" /> {t('modal.views')}
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                     {project.views.map((view) => (
+                        <button
+                           key={view.name}
+                           onClick={() => setCameraView(view)}
+                           className="px-3 py-1.5 text-xs font-mono text-zinc-300 bg-zinc-900 border border-white/10 hover:border-accent-500/50 hover:text-white focus-visible:border-accent-500 outline-none rounded-md transition-colors"
+                        >
+                           {view.name}
+                        </button>
+                     ))}
+                  </div>
+               </div>
+               )}
+
+               {project.gallery.length > 0 && (
+               <div>
+                  <h3 className="text-xs font-bold text-white uppercase tracking-wider mb-4 flex items-center gap-2">
+                    <LayersIcon size={14} className="text-accent-500" /> {t('modal.gallery')}
+                  </h3>
+                  <div className="grid grid-cols-2 gap-3">
+                     {project.gallery.map((img, i) => (
+                       <button 
+                          key={img.src} 
+                          onClick={() => lightbox.open(i)}
+                          aria-label={t('modal.enlarge', { number: i + 1, alt: img.alt })}
+                          className="aspect-video bg-zinc-900 rounded border border-white/5 hover:border-accent-500/50 focus-visible:border-accent-500 outline-none transition-all cursor-zoom-in flex items-center justify-center group relative overflow-hidden"
+                       >
+                         <img src={img.thumb} alt="" loading="lazy" className="absolute inset-0 w-full h-full object-cover" />
+                         <span className="absolute inset-0 flex items-center justify-center opacity-0 group-hover:opacity-100 group-focus-visible:opacity-100 bg-black/50 transition-opacity">
+                            <Maximize size={20} className="text-white" />
+                         </span>
+                         <span className="absolute bottom-1 left-1.5 text-[10px] font-mono text-zinc-400 bg-black/60 px-1 rounded group-hover:opacity-0">{t('modal.figure', { number: String(i + 1).padStart(2, '0') })}</span>
+                       </button>
+                     ))}
+                  </div>
+               </div>
+               )}
+
+               {project.repo && <RepositoryCard repo={project.repo} />}
+            </div>
+            
+            <ProjectActions project={project} />
+         </div>
+      </div>
+    </m.div>
+    <AnimatePresence>
+      {lightbox.index !== null && (
+        <Lightbox
+          images={project.gallery}
+          index={lightbox.index}
+          onIndexChange={lightbox.show}
+          onClose={lightbox.close}
+        />
+      )}
+    </AnimatePresence>
+    </>
+  );
+};
+
+export default ProjectModal;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { HistoryControls, axeViolations, renderWithProviders } from '../test/render.jsx';
+import { getProject } from '../content/projects.js';
+import ProjectModal from './ProjectModal.jsx';
+
+// jsdom has no WebGL, so the viewport shows its offline panel without
+// reaching for the three.js chunk.
+vi.mock('../viewer/webgl.js', () => ({
+  gpuCapabilities: () => null,
+  supportsWebGL: () => false,
+  deviceTier: () => 'low',
+}));
+
+const project = getProject('rover');
+
+// The data panel's gallery; the offline viewport repeats the thumbnails.
+const galleryFigure = (index) => within(screen.getByRole('heading', { name: 'Render Gallery' }).parentElement)
+  .getByRole('button', { name: `Enlarge figure ${index + 1}: ${project.gallery[index].alt}` });
+
+const renderModal = (onClose = () => {}) => renderWithProviders(
+  <>
+    <HistoryControls />
+    <ProjectModal project={project} onClose={onClose} />
+  </>,
+  { route: `/projects/${project.id}` },
+);
+
+describe('ProjectModal', () => {
+  it('is a modal dialog labelled by the project title and described by its write-up', () => {
+    renderModal();
+    const dialog = screen.getByRole('dialog', { name: project.title });
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    expect(document.getElementById(dialog.getAttribute('aria-describedby')).textContent).toContain(project.fullDescription);
+    expect(dialog.contains(document.activeElement)).toBe(true);
+  });
+
+  it('has no axe violations', async () => {
+    renderModal();
+    expect(await axeViolations(screen.getByRole('dialog'))).toEqual([]);
+  });
+
+  it('closes on Escape', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    renderModal(onClose);
+    await user.keyboard('{Escape}');
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('opens figures in a lightbox that Escape closes on its own', async () => {
+    const user = userEvent.setup();
+    const onClose = vi.fn();
+    renderModal(onClose);
+    const figure = galleryFigure(0);
+    await user.click(figure);
+
+    expect(screen.getByTestId('url').textContent).toBe(`/projects/${project.id}?fig=1`);
+    const lightbox = screen.getByRole('dialog', { name: 'Image viewer' });
+    expect(await axeViolations(lightbox)).toEqual([]);
+
+    await user.keyboard('{Escape}');
+    await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Image viewer' })).toBeNull());
+    expect(onClose).not.toHaveBeenCalled();
+    expect(screen.getByRole('dialog', { name: project.title })).toBeTruthy();
+    expect(screen.getByTestId('url').textContent).toBe(`/projects/${project.id}`);
+    expect(document.activeElement).toBe(figure);
+  });
+
+  it('closes the lightbox, not the modal, on the back button', async () => {
+    const user = userEvent.setup();
+    renderModal();
+    await user.click(galleryFigure(1));
+    expect(screen.getByRole('dialog', { name: 'Image viewer' })).toBeTruthy();
+
+    await user.click(screen.getByRole('button', { name: 'Browser back' }));
+    await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Image viewer' })).toBeNull());
+    expect(screen.getByRole('dialog', { name: project.title })).toBeTruthy();
+  });
+});
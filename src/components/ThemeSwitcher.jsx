@@ -0,0 +1,28 @@
+import React from 'react';
+import { Palette } from 'lucide-react';
+import { THEMES } from '../theme/themes.js';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+const THEME_IDS = Object.keys(THEMES);
+
+/** Navbar button that steps through the colour presets. */
+const ThemeSwitcher = () => {
+  const { themeId, theme, setTheme } = useTheme();
+  const { t } = useI18n();
+  const next = THEME_IDS[(THEME_IDS.indexOf(themeId) + 1) % THEME_IDS.length];
+
+  return (
+    <button
+      onClick={() => setTheme(next)}
+      className="flex items-center gap-2 px-2 py-1 text-[10px] font-mono tracking-widest text-zinc-500 border border-white/10 rounded hover:text-white hover:border-accent-500/50 transition-colors"
+      aria-label={t('theme.label', { current: theme.label.toLowerCase(), next: THEMES[next].label.toLowerCase() })}
+      title={t('theme.title')}
+    >
+      <Palette size={12} className="text-accent-500" />
+      {theme.label}
+    </button>
+  );
+};
+
+export default ThemeSwitcher;
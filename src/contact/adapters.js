@@ -0,0 +1,72 @@
+// --- CONTACT DELIVERY ADAPTERS ---
+// Each adapter takes a validated `{ name, email, subject, message }` and
+// resolves with how it was delivered, or rejects with an Error. Known
+// failures carry a `code` (and `status` for HTTP) that the form turns into a
+// translated message; `message` is the English fallback.
+//
+//   'sent'    the message reached a backend
+//   'handoff' the visitor's mail client was opened to finish sending
+
+export const CONTACT_ADAPTERS = ['mailto', 'http', 'dev'];
+
+const deliveryError = (code, message, details) => Object.assign(new Error(message), { code, ...details });
+
+const mailtoAdapter = ({ email }) => ({
+  name: 'mailto',
+  async send(msg) {
+    if (!email) throw deliveryError('noAddress', 'No contact address is configured.');
+    const body = `${msg.message}\n\n— ${msg.name} <${msg.email}>`;
+    const params = new URLSearchParams({ subject: msg.subject || `Portfolio enquiry from ${msg.name}`, body });
+    // URLSearchParams encodes spaces as "+", which mail clients show literally.
+    window.location.href = `mailto:${email}?${params.toString().replace(/\+/g, '%20')}`;
+    return 'handoff';
+  },
+});
+
+// Posts JSON; works with Formspree, Getform, a serverless function or any
+// endpoint that answers 2xx on success.
+const httpAdapter = ({ endpoint }) => ({
+  name: 'http',
+  async send(msg) {
+    if (!endpoint) throw deliveryError('noEndpoint', 'No contact endpoint is configured.');
+    let res;
+    try {
+      res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(msg),
+      });
+    } catch {
+      throw deliveryError('unreachable', 'Could not reach the server. Check your connection and try again.');
+    }
+    if (!res.ok) throw deliveryError('rejected', `The server rejected the message (${res.status}).`, { status: res.status });
+    return 'sent';
+  },
+});
+
+// Logs instead of sending, for local development. A message containing
+// "fail" rejects, to exercise the error state.
+const devAdapter = () => ({
+  name: 'dev',
+  async send(msg) {
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    if (/fail/i.test(msg.message)) throw deliveryError('simulated', 'Dev stub: simulated delivery failure.');
+    console.info('[contact] dev stub received', msg);
+    return 'sent';
+  },
+});
+
+const FACTORIES = { mailto: mailtoAdapter, http: httpAdapter, dev: devAdapter };
+
+/**
+ * @param {{ adapter: string, endpoint: string | null }} contact `SITE.contact`
+ * @param {string} email Owner address, used by the mailto adapter.
+ */
+export const createContactAdapter = (contact, email) => {
+  const factory = FACTORIES[contact.adapter];
+  if (!factory) {
+    console.warn(`[contact] Unknown adapter "${contact.adapter}" (${CONTACT_ADAPTERS.join(', ')}); using mailto.`);
+    return mailtoAdapter({ email });
+  }
+  return factory({ ...contact, email });
+};
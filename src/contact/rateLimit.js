@@ -0,0 +1,34 @@
+// --- CONTACT RATE LIMIT ---
+// Client-side throttle on sends, remembered in localStorage across reloads.
+// It only slows down casual abuse; a real endpoint must still limit on its side.
+
+const KEY = 'contact:sent';
+const WINDOW_MS = 60 * 60 * 1000;
+const MAX_PER_WINDOW = 3;
+const MIN_GAP_MS = 30 * 1000;
+
+const readLog = () => {
+  try {
+    const log = JSON.parse(localStorage.getItem(KEY) || '[]');
+    return Array.isArray(log) ? log.filter((t) => Date.now() - t < WINDOW_MS) : [];
+  } catch {
+    return [];
+  }
+};
+
+/** Milliseconds until another message may be sent; 0 when allowed now. */
+export const retryAfter = () => {
+  const log = readLog();
+  const now = Date.now();
+  const gap = log.length ? log[log.length - 1] + MIN_GAP_MS - now : 0;
+  const windowMs = log.length >= MAX_PER_WINDOW ? log[log.length - MAX_PER_WINDOW] + WINDOW_MS - now : 0;
+  return Math.max(0, gap, windowMs);
+};
+
+export const recordSend = () => {
+  try {
+    localStorage.setItem(KEY, JSON.stringify([...readLog(), Date.now()]));
+  } catch {
+    // Storage disabled: the limit simply does not persist.
+  }
+};
@@ -0,0 +1,26 @@
+// --- CONTACT FORM VALIDATION ---
+
+export const LIMITS = { name: 100, subject: 150, message: 5000 };
+const MIN_MESSAGE = 20;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * @param {{ name: string, email: string, subject: string, message: string }} values
+ * @param {(key: string, params?: object) => string} t Translator for the messages.
+ * @returns {Record<string, string>} Problem per field; empty when valid.
+ */
+export const validateMessage = ({ name, email, subject, message }, t) => {
+  const errors = {};
+  if (!name.trim()) errors.name = t('form.errors.nameRequired');
+  else if (name.length > LIMITS.name) errors.name = t('form.errors.tooLong', { max: LIMITS.name });
+
+  if (!email.trim()) errors.email = t('form.errors.emailRequired');
+  else if (!EMAIL.test(email.trim())) errors.email = t('form.errors.emailInvalid');
+
+  if (subject.length > LIMITS.subject) errors.subject = t('form.errors.tooLong', { max: LIMITS.subject });
+
+  if (message.trim().length < MIN_MESSAGE) errors.message = t('form.errors.tooShort', { min: MIN_MESSAGE });
+  else if (message.length > LIMITS.message) errors.message = t('form.errors.tooLong', { max: LIMITS.message });
+  return errors;
+};
@@ -0,0 +1,69 @@
+// --- ARCHIVE QUERIES ---
+// Search, tag filter, year filter and sorting over the project collection.
+// Pure functions of a filter object, so the archive view can keep the whole
+// state in the URL.
+
+export const ARCHIVE_SORTS = ['date', 'discipline'];
+
+export const yearOf = (project) => (project.date ? project.date.slice(0, 4) : null);
+
+const searchText = (project) => [project.title, project.description, project.fullDescription]
+  .filter(Boolean)
+  .join(' ')
+  .toLowerCase();
+
+/** Every tag in use, most common first. */
+export const tagsOf = (projects) => {
+  const counts = new Map();
+  projects.forEach((p) => p.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+};
+
+/** Project count per year, newest first; undated projects count under null. */
+export const yearsOf = (projects) => {
+  const counts = new Map();
+  projects.forEach((p) => counts.set(yearOf(p), (counts.get(yearOf(p)) || 0) + 1));
+  return [...counts]
+    .map(([year, count]) => ({ year, count }))
+    .sort((a, b) => (b.year ?? '').localeCompare(a.year ?? ''));
+};
+
+/**
+ * @param {object[]} projects
+ * @param {{ query?: string, tags?: string[], year?: string | null }} filters
+ *   `query` terms must all appear in the title or descriptions; every
+ *   selected tag must be on the project.
+ */
+export const filterProjects = (projects, { query = '', tags = [], year = null }) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return projects.filter((p) => (
+    (!year || yearOf(p) === year)
+    && tags.every((tag) => p.tags.includes(tag))
+    && (terms.length === 0 || terms.every((term) => searchText(p).includes(term)))
+  ));
+};
+
+// Newest first; undated projects go last.
+const byDate = (a, b) => (b.date ?? '').localeCompare(a.date ?? '');
+
+/**
+ * Sorted copy of `projects`, grouped for display: by year when sorting by
+ * date, by discipline otherwise.
+ * @returns {{ key: string | null, projects: object[] }[]}
+ */
+export const groupProjects = (projects, sort) => {
+  const keyOf = sort === 'discipline' ? (p) => p.discipline : yearOf;
+  const sorted = [...projects].sort(sort === 'discipline'
+    ? (a, b) => Number(!a.discipline) - Number(!b.discipline)
+      || (a.discipline ?? '').localeCompare(b.discipline ?? '')
+      || byDate(a, b)
+    : byDate);
+
+  const groups = [];
+  sorted.forEach((p) => {
+    const key = keyOf(p);
+    if (groups.at(-1)?.key !== key) groups.push({ key, projects: [] });
+    groups.at(-1).projects.push(p);
+  });
+  return groups;
+};
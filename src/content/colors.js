@@ -0,0 +1,13 @@
+// Tailwind classes for the `color` names allowed by schema.js, spelled out in
+// full so Tailwind's content scan keeps them; a class built at runtime like
+// `bg-${color}-500` would be purged from the build.
+export const PROJECT_COLOR_CLASSES = {
+  red: { dot: 'bg-red-500', badge: 'bg-red-500/10 text-red-500 border-red-500/20' },
+  orange: { dot: 'bg-orange-500', badge: 'bg-orange-500/10 text-orange-500 border-orange-500/20' },
+  amber: { dot: 'bg-amber-500', badge: 'bg-amber-500/10 text-amber-500 border-amber-500/20' },
+  emerald: { dot: 'bg-emerald-500', badge: 'bg-emerald-500/10 text-emerald-500 border-emerald-500/20' },
+  sky: { dot: 'bg-sky-500', badge: 'bg-sky-500/10 text-sky-500 border-sky-500/20' },
+  blue: { dot: 'bg-blue-500', badge: 'bg-blue-500/10 text-blue-500 border-blue-500/20' },
+  purple: { dot: 'bg-purple-500', badge: 'bg-purple-500/10 text-purple-500 border-purple-500/20' },
+  pink: { dot: 'bg-pink-500', badge: 'bg-pink-500/10 text-pink-500 border-pink-500/20' },
+};
@@ -0,0 +1,4 @@
+import { Cpu, Cog, Wind, Layers, Wrench, FlaskConical, Zap, Target, Code } from 'lucide-react';
+
+// Maps the `icon` names allowed by schema.js to lucide-react components.
+export const PROJECT_ICONS = { Cpu, Cog, Wind, Layers, Wrench, FlaskConical, Zap, Target, Code };
@@ -0,0 +1,103 @@
+import { PROJECT_COLORS, modelFormatOf } from './schema.js';
+import { fallbackChain } from '../i18n/locales.js';
+import repoSnapshots from './repos.json';
+import modelBuilds from './models.json';
+
+// --- PROJECT COLLECTION ---
+// Every src/content/projects/*.json file becomes one project. The files are
+// validated at build time by plugins/content-collection.js, so here we only
+// normalise them into the shape the components expect. Repository metadata
+// comes from the snapshot written by `npm run sync:repos`, and optimised
+// models from the build manifest written by `npm run optimize:models`.
+
+const modules = import.meta.glob('./projects/*.json', { eager: true, import: 'default' });
+
+// A model built from its `source` loads the build's detail levels; one not
+// built yet falls back to `src`, or to the placeholder without one.
+const normaliseModel = (model, build) => {
+  if (!model) return null;
+  const { src, source = null, ...options } = typeof model === 'string' ? { src: model } : model;
+  const defaults = { scale: 1, up: 'y', units: 'm', lods: null, bounds: null };
+  if (source && build?.source === source) {
+    return { ...defaults, ...options, source, src: build.lods[0].src, format: 'glb', lods: build.lods, bounds: build.bounds };
+  }
+  if (!src) return null;
+  return { ...defaults, src, format: modelFormatOf(src), ...options, source };
+};
+
+const normaliseResults = (results) => (results
+  ? { scale: 1, up: 'y', units: 'm', fields: {}, field: null, colormap: 'rainbow', ...results }
+  : null);
+
+const normaliseGallery = (gallery = [], title) => gallery.map((img, i) => ({
+  thumb: img.src,
+  alt: `${title} — figure ${i + 1}`,
+  caption: null,
+  ...img,
+}));
+
+const normalise = (entry) => ({
+  date: null,
+  discipline: null,
+  archived: false,
+  fullDescription: null,
+  annotations: [],
+  views: [],
+  links: {},
+  translations: {},
+  ...entry,
+  model: normaliseModel(entry.model, modelBuilds[entry.id]),
+  results: normaliseResults(entry.results),
+  gallery: normaliseGallery(entry.gallery, entry.title),
+  specs: entry.specs ?? null,
+  repo: (entry.links?.repository && repoSnapshots[entry.id]) || null,
+  colorStr: PROJECT_COLORS[entry.color],
+});
+
+export const projects = Object.values(modules)
+  .map(normalise)
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.title.localeCompare(b.title));
+
+export const getProject = (id) => projects.find((p) => p.id === id) || null;
+
+// The home grid; archived projects are only listed in the archive.
+export const featuredProjects = projects.filter((p) => !p.archived);
+
+// --- LOCALIZED COPY ---
+
+const mergeList = (items, overrides) => items.map((item, i) => ({ ...item, ...overrides[i] }));
+
+const mergeFields = (results, fields) => ({
+  ...results,
+  fields: Object.fromEntries(Object.entries({ ...results.fields, ...fields })
+    .map(([name, meta]) => [name, { ...results.fields[name], ...meta }])),
+});
+
+const applyTranslation = (project, { title, description, fullDescription, annotations, views, gallery, specs, fields }) => ({
+  ...project,
+  title: title ?? project.title,
+  description: description ?? project.description,
+  fullDescription: fullDescription ?? project.fullDescription,
+  annotations: annotations ? mergeList(project.annotations, annotations) : project.annotations,
+  views: views ? mergeList(project.views, views) : project.views,
+  gallery: gallery ? mergeList(project.gallery, gallery) : project.gallery,
+  specs: specs ?? project.specs,
+  results: fields && project.results ? mergeFields(project.results, fields) : project.results,
+});
+
+const localized = new Map();
+
+/**
+ * `project` with its copy in `locale`, falling back field by field along the
+ * locale chain to the English in the project file. The result is cached, so
+ * the same project and locale always give the same object and memoised
+ * viewers don't reload.
+ */
+export const localizeProject = (project, locale) => {
+  const key = `${project.id}:${locale}`;
+  if (!localized.has(key)) {
+    const chain = fallbackChain(locale).map((id) => project.translations[id]).filter(Boolean);
+    localized.set(key, chain.reduceRight(applyTranslation, project));
+  }
+  return localized.get(key);
+};
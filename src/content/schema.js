@@ -0,0 +1,370 @@
+// --- PROJECT CONTENT SCHEMA ---
+// Shared by the runtime loader (src/content/projects.js) and the build-time
+// check (plugins/content-collection.js), so it must stay free of browser and
+// React imports.
+
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/locales.js';
+
+// Accent palette a project may use. Keys are Tailwind color names, values the
+// matching 500 shade for three.js materials; src/content/colors.js has the
+// matching classes.
+export const PROJECT_COLORS = {
+  red: '#ef4444',
+  orange: '#f97316',
+  amber: '#f59e0b',
+  emerald: '#10b981',
+  sky: '#0ea5e9',
+  blue: '#3b82f6',
+  purple: '#a855f7',
+  pink: '#ec4899',
+};
+
+// lucide-react icon names that src/content/icons.js knows how to render.
+export const ICON_NAMES = ['Cpu', 'Cog', 'Wind', 'Layers', 'Wrench', 'FlaskConical', 'Zap', 'Target', 'Code'];
+
+// 3D formats the viewer can load, keyed by file extension.
+export const MODEL_FORMATS = ['glb', 'gltf', 'stl', 'obj'];
+
+// Length of one model unit in metres, the viewer's scene unit.
+export const MODEL_UNITS = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254 };
+
+// Which model axis points up. CAD tools commonly export Z-up.
+export const MODEL_UP_AXES = ['y', 'z'];
+
+// Simulation result files and the colormaps they can be drawn with.
+export const RESULT_FORMATS = ['vtk', 'json'];
+export const RESULT_COLORMAPS = ['rainbow', 'viridis', 'coolwarm'];
+
+// Engineering disciplines the archive groups and sorts by.
+export const DISCIPLINES = ['Design', 'Structures', 'Fluids', 'Thermal', 'Dynamics', 'Robotics', 'Manufacturing'];
+
+export const modelFormatOf = (src) => src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}(?:-(?:0[1-9]|1[0-2])(?:-(?:0[1-9]|[12]\d|3[01]))?)?$/;
+
+const isString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const isUnit = (v) => Number.isFinite(v) && v >= 0 && v <= 1;
+const isColor = (v) => typeof v === 'string' && /^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/i.test(v);
+
+// Material properties a model config may override.
+const MATERIAL_PROPS = {
+  color: (v) => (isColor(v) ? null : 'must be a hex color'),
+  emissive: (v) => (isColor(v) ? null : 'must be a hex color'),
+  metalness: (v) => (isUnit(v) ? null : 'must be a number from 0 to 1'),
+  roughness: (v) => (isUnit(v) ? null : 'must be a number from 0 to 1'),
+  opacity: (v) => (isUnit(v) ? null : 'must be a number from 0 to 1'),
+  wireframe: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+};
+
+const checkMaterialProps = (v) => {
+  if (!isPlainObject(v)) return 'must be an object of material properties';
+  for (const [key, value] of Object.entries(v)) {
+    if (!(key in MATERIAL_PROPS)) return `"${key}" is not an overridable material property`;
+    const problem = MATERIAL_PROPS[key](value);
+    if (problem) return `"${key}" ${problem}`;
+  }
+  return null;
+};
+
+// A hide rule targets meshes by node name (`*` wildcards) or by size in
+// model units along the listed axes.
+const checkHideRule = (rule) => {
+  if (!isPlainObject(rule)) return 'must be an object';
+  if (isString(rule.name)) return Object.keys(rule).length === 1 ? null : 'a "name" rule takes no other options';
+  if (!Number.isFinite(rule.largerThan) || rule.largerThan <= 0) return 'needs a "name" pattern or a positive "largerThan" size';
+  if (rule.axes !== undefined && !/^(?!.*(.).*\1)[xyz]{1,3}$/.test(rule.axes)) return '"axes" must combine x, y and z, e.g. "xz"';
+  const extra = Object.keys(rule).find((key) => key !== 'largerThan' && key !== 'axes');
+  return extra ? `"${extra}" is not a hide rule option` : null;
+};
+
+const checkHide = (v) => {
+  if (!Array.isArray(v)) return 'must be an array of rules';
+  for (const [i, rule] of v.entries()) {
+    const problem = checkHideRule(rule);
+    if (problem) return `rule ${i} ${problem}`;
+  }
+  return null;
+};
+
+const checkMaterials = (v) => {
+  if (!isPlainObject(v)) return 'must be an object';
+  for (const [key, value] of Object.entries(v)) {
+    let problem;
+    if (key === 'keepOriginal') problem = typeof value === 'boolean' ? null : 'must be true or false';
+    else if (key === 'default') problem = checkMaterialProps(value);
+    else if (key === 'nodes') {
+      if (!isPlainObject(value)) problem = 'must map node name patterns to material properties';
+      else {
+        const bad = Object.entries(value).find(([, props]) => checkMaterialProps(props));
+        problem = bad && `"${bad[0]}" ${checkMaterialProps(bad[1])}`;
+      }
+    } else problem = 'is not a known materials option';
+    if (problem) return `"${key}" ${problem}`;
+  }
+  return null;
+};
+
+// Authored exploded-view offsets: node name pattern to [x, y, z].
+const checkExplode = (v) => {
+  if (!isPlainObject(v)) return 'must map node name patterns to [x, y, z] offsets';
+  const bad = Object.keys(v).find((key) => !(Array.isArray(v[key]) && v[key].length === 3 && v[key].every(Number.isFinite)));
+  return bad === undefined ? null : `"${bad}" must be an [x, y, z] array of numbers`;
+};
+
+const MODEL_FIELDS = {
+  src: (v) => (isString(v) ? null : 'must be an asset path string'),
+  source: (v) => {
+    if (!isString(v) || v.startsWith('/')) return 'must be a file path relative to the repository root';
+    return MODEL_FORMATS.includes(modelFormatOf(v)) ? null : `must end in ${MODEL_FORMATS.map((f) => `.${f}`).join(', ')}`;
+  },
+  format: (v) => (MODEL_FORMATS.includes(v) ? null : `must be one of ${MODEL_FORMATS.join(', ')}`),
+  scale: (v) => (Number.isFinite(v) && v > 0 ? null : 'must be a positive number'),
+  up: (v) => (MODEL_UP_AXES.includes(v) ? null : `must be one of ${MODEL_UP_AXES.join(', ')}`),
+  units: (v) => (v in MODEL_UNITS ? null : `must be one of ${Object.keys(MODEL_UNITS).join(', ')}`),
+  hide: checkHide,
+  materials: checkMaterials,
+  explode: checkExplode,
+};
+
+// `model` is either an asset path or an object with a `src` (a file served
+// as is) and/or a `source` (a CAD export for scripts/optimize-models.js),
+// plus the options above.
+const checkModel = (v) => {
+  const model = isString(v) ? { src: v } : v;
+  if (!isPlainObject(model)) return 'must be an asset path string or an object with a "src"';
+  if (model.src === undefined && model.source === undefined) return '"src" or "source" is required';
+
+  for (const [key, value] of Object.entries(model)) {
+    if (!(key in MODEL_FIELDS)) return `"${key}" is not a known model option`;
+    const problem = MODEL_FIELDS[key](value);
+    if (problem) return `"${key}" ${problem}`;
+  }
+  if (model.src !== undefined && model.format === undefined && !MODEL_FORMATS.includes(modelFormatOf(model.src))) {
+    return `"${model.src}" has no supported extension (${MODEL_FORMATS.join(', ')}); set "format" explicitly`;
+  }
+  return null;
+};
+
+// Simulation results share the model's unit and up-axis options.
+const RESULT_FIELDS = {
+  src: (v) => {
+    if (!isString(v)) return 'must be an asset path string';
+    return RESULT_FORMATS.includes(modelFormatOf(v)) ? null : `must end in ${RESULT_FORMATS.map((f) => `.${f}`).join(' or ')}`;
+  },
+  scale: MODEL_FIELDS.scale,
+  up: MODEL_FIELDS.up,
+  units: MODEL_FIELDS.units,
+  field: (v) => (isString(v) ? null : 'must name a field in the results file'),
+  colormap: (v) => (RESULT_COLORMAPS.includes(v) ? null : `must be one of ${RESULT_COLORMAPS.join(', ')}`),
+  fields: (v) => {
+    if (!isPlainObject(v)) return 'must map field names to { "label", "unit" }';
+    const bad = Object.entries(v).find(([, meta]) => !isPlainObject(meta)
+      || Object.entries(meta).some(([key, value]) => !['label', 'unit'].includes(key) || typeof value !== 'string'));
+    return bad ? `"${bad[0]}" may only set "label" and "unit" strings` : null;
+  },
+};
+
+const checkResults = (v) => {
+  if (!isPlainObject(v)) return 'must be an object with a "src"';
+  if (v.src === undefined) return '"src" is required';
+  for (const [key, value] of Object.entries(v)) {
+    if (!(key in RESULT_FIELDS)) return `"${key}" is not a known results option`;
+    const problem = RESULT_FIELDS[key](value);
+    if (problem) return `"${key}" ${problem}`;
+  }
+  return null;
+};
+
+// Callouts shown in the viewport, tied to a node (name pattern) or to a
+// coordinate in model units.
+const checkAnnotations = (v) => {
+  if (!Array.isArray(v)) return 'must be an array';
+  for (const [i, note] of v.entries()) {
+    if (!isPlainObject(note) || !isString(note.title) || !isString(note.text)) {
+      return `entry ${i} must have "title" and "text" strings`;
+    }
+    const hasNode = isString(note.node);
+    const hasPosition = Array.isArray(note.position) && note.position.length === 3 && note.position.every(Number.isFinite);
+    if (hasNode === hasPosition) return `entry ${i} needs either a "node" pattern or an [x, y, z] "position"`;
+    const extra = Object.keys(note).find((key) => !['title', 'text', 'node', 'position'].includes(key));
+    if (extra) return `entry ${i} has unknown option "${extra}"`;
+  }
+  return null;
+};
+
+// Named camera bookmarks for the viewport, in model units like annotations:
+// where the camera sits and the point it orbits around.
+const checkViews = (v) => {
+  if (!Array.isArray(v)) return 'must be an array';
+  const isPoint = (p) => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+  for (const [i, view] of v.entries()) {
+    if (!isPlainObject(view) || !isString(view.name)) return `entry ${i} must have a "name" string`;
+    if (!isPoint(view.position) || !isPoint(view.target)) return `entry ${i} needs [x, y, z] "position" and "target"`;
+    const extra = Object.keys(view).find((key) => !['name', 'position', 'target'].includes(key));
+    if (extra) return `entry ${i} has unknown option "${extra}"`;
+    if (v.findIndex((other) => other.name === view.name) !== i) return `entry ${i} repeats the name "${view.name}"`;
+  }
+  return null;
+};
+
+// Render gallery. `thumb` defaults to `src`; `alt` to a figure number.
+const GALLERY_FIELDS = ['src', 'thumb', 'alt', 'caption'];
+
+const checkGallery = (v) => {
+  if (!Array.isArray(v)) return 'must be an array';
+  for (const [i, img] of v.entries()) {
+    if (!isPlainObject(img) || !isString(img.src)) return `entry ${i} must be an object with a "src" string`;
+    const extra = Object.keys(img).find((key) => !GALLERY_FIELDS.includes(key));
+    if (extra) return `entry ${i} has unknown option "${extra}"`;
+    const bad = GALLERY_FIELDS.find((key) => img[key] !== undefined && !isString(img[key]));
+    if (bad) return `entry ${i} "${bad}" must be a non-empty string`;
+  }
+  return null;
+};
+
+// Spec sheet: a file to download (usually a PDF under public/), or a map of
+// datasheet rows that the modal turns into a generated sheet.
+const checkSpecs = (v) => {
+  if (isString(v)) return null;
+  if (!isPlainObject(v) || Object.keys(v).length === 0) return 'must be a file path or a non-empty map of rows';
+  const bad = Object.entries(v).find(([, value]) => !isString(value) && !Number.isFinite(value));
+  return bad ? `row "${bad[0]}" must be a string or number` : null;
+};
+
+const checkLinks = (v) => {
+  if (!isPlainObject(v)) return 'must be an object';
+  const bad = Object.keys(v).find((key) => !isString(v[key]));
+  if (bad !== undefined) return `"${bad}" must be a URL string`;
+  if (v.repository !== undefined && !/^https?:\/\//.test(v.repository)) return '"repository" must be an http(s) URL';
+  return null;
+};
+
+// Copy for other locales. Lists are matched by position: the n-th gallery
+// entry translates the n-th figure. Anything left out falls back to the
+// English fields above; tags stay untranslated so archive filters keep their
+// URLs.
+const checkTranslatedList = (v, keys) => {
+  if (!Array.isArray(v)) return 'must be an array';
+  for (const [i, item] of v.entries()) {
+    if (!isPlainObject(item)) return `entry ${i} must be an object`;
+    const extra = Object.keys(item).find((key) => !keys.includes(key));
+    if (extra) return `entry ${i} has unknown option "${extra}"`;
+    const bad = keys.find((key) => item[key] !== undefined && !isString(item[key]));
+    if (bad) return `entry ${i} "${bad}" must be a non-empty string`;
+  }
+  return null;
+};
+
+const checkText = (v) => (isString(v) ? null : 'must be a non-empty string');
+
+const TRANSLATION_FIELDS = {
+  title: checkText,
+  description: checkText,
+  fullDescription: checkText,
+  annotations: (v) => checkTranslatedList(v, ['title', 'text']),
+  views: (v) => checkTranslatedList(v, ['name']),
+  gallery: (v) => checkTranslatedList(v, ['alt', 'caption']),
+  specs: checkSpecs,
+  // Result field labels, by field name.
+  fields: (v) => {
+    if (!isPlainObject(v)) return 'must map result field names to { "label" }';
+    const bad = Object.entries(v).find(([, meta]) => !isPlainObject(meta) || Object.keys(meta).join() !== 'label' || !isString(meta.label));
+    return bad ? `"${bad[0]}" may only set a "label" string` : null;
+  },
+};
+
+const checkTranslations = (v) => {
+  if (!isPlainObject(v)) return 'must map locales to translated fields';
+  for (const [locale, fields] of Object.entries(v)) {
+    if (!(locale in LOCALES)) return `"${locale}" is not a supported locale (${Object.keys(LOCALES).join(', ')})`;
+    if (locale === DEFAULT_LOCALE) return `"${locale}" is the default locale; edit the project's own fields instead`;
+    if (!isPlainObject(fields)) return `"${locale}" must be an object`;
+    for (const [key, value] of Object.entries(fields)) {
+      if (!(key in TRANSLATION_FIELDS)) return `"${locale}.${key}" is not a translatable field`;
+      const problem = TRANSLATION_FIELDS[key](value);
+      if (problem) return `"${locale}.${key}" ${problem}`;
+    }
+  }
+  return null;
+};
+
+// Each rule returns an error message, or null when the value is acceptable.
+const FIELDS = {
+  id: { required: true, check: (v) => (isString(v) && ID_PATTERN.test(v) ? null : 'must be a lowercase kebab-case string') },
+  order: { required: false, check: (v) => (Number.isFinite(v) ? null : 'must be a number') },
+  date: { required: false, check: (v) => (typeof v === 'string' && DATE_PATTERN.test(v) ? null : 'must be "YYYY", "YYYY-MM" or "YYYY-MM-DD"') },
+  discipline: {
+    required: false,
+    check: (v) => (DISCIPLINES.includes(v) ? null : `must be one of ${DISCIPLINES.join(', ')}`),
+  },
+  archived: { required: false, check: (v) => (typeof v === 'boolean' ? null : 'must be true or false') },
+  title: { required: true, check: (v) => (isString(v) ? null : 'must be a non-empty string') },
+  description: { required: true, check: (v) => (isString(v) ? null : 'must be a non-empty string') },
+  fullDescription: { required: false, check: (v) => (isString(v) ? null : 'must be a non-empty string') },
+  tags: {
+    required: true,
+    check: (v) => (Array.isArray(v) && v.length > 0 && v.every(isString) ? null : 'must be a non-empty array of strings'),
+  },
+  icon: { required: true, check: (v) => (ICON_NAMES.includes(v) ? null : `must be one of ${ICON_NAMES.join(', ')}`) },
+  color: {
+    required: true,
+    check: (v) => (v in PROJECT_COLORS ? null : `must be one of ${Object.keys(PROJECT_COLORS).join(', ')}`),
+  },
+  model: { required: false, check: checkModel },
+  results: { required: false, check: checkResults },
+  annotations: { required: false, check: checkAnnotations },
+  views: { required: false, check: checkViews },
+  gallery: { required: false, check: checkGallery },
+  specs: { required: false, check: checkSpecs },
+  links: { required: false, check: checkLinks },
+  translations: { required: false, check: checkTranslations },
+};
+
+/**
+ * Validates a single project entry.
+ * @param {unknown} entry Parsed JSON of one project file.
+ * @returns {string[]} Human readable problems; empty when the entry is valid.
+ */
+export const validateProject = (entry) => {
+  if (!isPlainObject(entry)) return ['entry must be a JSON object'];
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (entry[field] === undefined) {
+      if (rule.required) errors.push(`"${field}" is required`);
+      continue;
+    }
+    const problem = rule.check(entry[field]);
+    if (problem) errors.push(`"${field}" ${problem}`);
+  }
+  for (const field of Object.keys(entry)) {
+    if (!(field in FIELDS)) errors.push(`"${field}" is not a known field`);
+  }
+  return errors;
+};
+
+/**
+ * Validates a whole collection, keyed by source file.
+ * @param {Record<string, unknown>} entries Map of file name to parsed entry.
+ * @returns {string[]} One line per problem, prefixed with the offending file.
+ */
+export const validateCollection = (entries) => {
+  const errors = [];
+  const seen = new Map();
+
+  for (const [file, entry] of Object.entries(entries)) {
+    validateProject(entry).forEach((msg) => errors.push(`${file}: ${msg}`));
+
+    const id = entry?.id;
+    if (typeof id !== 'string') continue;
+    if (seen.has(id)) errors.push(`${file}: duplicate id "${id}" (also used by ${seen.get(id)})`);
+    else seen.set(id, file);
+
+    const expected = file.split('/').pop().replace(/\.json$/, '');
+    if (id !== expected) errors.push(`${file}: id "${id}" must match the file name "${expected}.json"`);
+  }
+  return errors;
+};
@@ -0,0 +1,45 @@
+import site from './site.json';
+import { fallbackChain } from '../i18n/locales.js';
+
+// --- SITE CONFIG ---
+// Owner details from site.json. The contact adapter and endpoint can be
+// overridden per environment with VITE_CONTACT_ADAPTER and
+// VITE_CONTACT_ENDPOINT (e.g. in .env.local), so a deploy can post to a form
+// service while local development uses the stub. Failures in the 3D views
+// are reported to `errors.sink`, likewise overridable with VITE_ERROR_SINK
+// and VITE_ERROR_ENDPOINT. `url` is the deployed origin used for canonical
+// links and the sitemap; VITE_SITE_URL overrides it. `translations` holds
+// the headline and profile in other locales. Fields left empty (name, email,
+// url, social links) are left out wherever they would appear.
+
+const env = import.meta.env;
+
+export const SITE = {
+  ...site,
+  url: (env.VITE_SITE_URL || site.url || '').replace(/\/$/, ''),
+  social: Object.fromEntries(Object.entries(site.social || {}).filter(([, href]) => href)),
+  contact: {
+    ...site.contact,
+    adapter: env.VITE_CONTACT_ADAPTER || site.contact?.adapter || 'mailto',
+    endpoint: env.VITE_CONTACT_ENDPOINT || site.contact?.endpoint || null,
+  },
+  errors: {
+    sink: env.VITE_ERROR_SINK || site.errors?.sink || 'console',
+    endpoint: env.VITE_ERROR_ENDPOINT || site.errors?.endpoint || null,
+  },
+};
+
+const localized = new Map();
+
+/** SITE with the headline and profile in `locale`, falling back to English. */
+export const localizeSite = (locale) => {
+  if (!localized.has(locale)) {
+    const chain = fallbackChain(locale).map((id) => SITE.translations?.[id]).filter(Boolean);
+    localized.set(locale, chain.reduceRight((acc, { headline, profile }) => ({
+      ...acc,
+      headline: headline ?? acc.headline,
+      profile: { ...acc.profile, ...profile },
+    }), SITE));
+  }
+  return localized.get(locale);
+};
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Writable } from 'node:stream';
+import { renderToPipeableStream } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import { LazyMotion, MotionConfig, domAnimation } from 'framer-motion';
+import App from './App.jsx';
+import { ThemeProvider } from './theme/ThemeProvider.jsx';
+import { I18nProvider } from './i18n/I18nProvider.jsx';
+
+// --- SERVER ENTRY ---
+// Built and run by plugins/prerender.js after the client build. Mirrors the
+// tree in main.jsx with a StaticRouter, so crawlers and link previews get the
+// page's markup instead of an empty #root.
+
+export { sitePages, headTags } from './seo/meta.js';
+export { SITE } from './content/site.js';
+
+/**
+ * The app's HTML at `url`, in the default locale and theme. Waits for the
+ * lazy chunks on the page (such as the project modal) instead of rendering
+ * their loading fallbacks.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export const render = (url) => new Promise((resolve, reject) => {
+  let html = '';
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      html += chunk;
+      callback();
+    },
+    final(callback) {
+      resolve(html);
+      callback();
+    },
+  });
+
+  const stream = renderToPipeableStream(
+    <StaticRouter location={url}>
+      <MotionConfig reducedMotion="user">
+        <LazyMotion features={domAnimation} strict>
+          <I18nProvider>
+            <ThemeProvider>
+              <App />
+            </ThemeProvider>
+          </I18nProvider>
+        </LazyMotion>
+      </MotionConfig>
+    </StaticRouter>,
+    {
+      onAllReady: () => stream.pipe(sink),
+      onShellError: reject,
+    },
+  );
+});
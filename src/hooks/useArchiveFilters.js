@@ -0,0 +1,48 @@
+import { useCallback, useMemo } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import { ARCHIVE_SORTS } from '../content/archive.js';
+
+/**
+ * Archive filter state kept in the query string, e.g.
+ * `/archive?q=gear&tag=ANSYS&tag=CFD&year=2024&sort=discipline`, so a filtered
+ * view can be shared and survives opening a project and coming back.
+ * Updates replace the history entry rather than adding one per keystroke.
+ */
+export const useArchiveFilters = () => {
+  const [params, setParams] = useSearchParams();
+  const { state } = useLocation();
+
+  const filters = useMemo(() => ({
+    query: params.get('q') || '',
+    tags: params.getAll('tag'),
+    year: params.get('year'),
+    sort: ARCHIVE_SORTS.includes(params.get('sort')) ? params.get('sort') : ARCHIVE_SORTS[0],
+  }), [params]);
+
+  const update = useCallback((changes) => {
+    setParams((prev) => {
+      const next = { ...filters, ...changes };
+      const out = new URLSearchParams(prev);
+      ['q', 'tag', 'year', 'sort'].forEach((key) => out.delete(key));
+      if (next.query) out.set('q', next.query);
+      next.tags.forEach((tag) => out.append('tag', tag));
+      if (next.year) out.set('year', next.year);
+      if (next.sort !== ARCHIVE_SORTS[0]) out.set('sort', next.sort);
+      return out;
+    }, { replace: true, state }); // keep `fromHome` so closing still steps back
+  }, [filters, setParams, state]);
+
+  const toggleTag = useCallback((tag) => {
+    update({ tags: filters.tags.includes(tag) ? filters.tags.filter((t) => t !== tag) : [...filters.tags, tag] });
+  }, [filters.tags, update]);
+
+  return {
+    ...filters,
+    setQuery: (query) => update({ query }),
+    toggleTag,
+    setYear: (year) => update({ year }),
+    setSort: (sort) => update({ sort }),
+    clear: () => update({ query: '', tags: [], year: null }),
+    active: Boolean(filters.query || filters.tags.length || filters.year),
+  };
+};
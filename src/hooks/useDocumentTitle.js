@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+/**
+ * Sets `document.title` for the current route, e.g. "Cycloidal Drive FEA | Mechanical Engineering Portfolio",
+ * with the site title in the active language. Pass nothing to use the bare
+ * site title.
+ * @param {string} [title]
+ */
+export const useDocumentTitle = (title) => {
+  const { t } = useI18n();
+  const siteTitle = t('site.title');
+
+  useEffect(() => {
+    document.title = title ? `${title} | ${siteTitle}` : siteTitle;
+  }, [title, siteTitle]);
+};
@@ -0,0 +1,14 @@
+import { useCallback } from 'react';
+import { reportError } from '../reporting/errors.js';
+
+/**
+ * `reportError` bound to one surface, for failures a component handles
+ * itself (WebGL events, effects, handlers) rather than throwing to a
+ * boundary.
+ * @param {string} surface
+ * @returns {(error: unknown, detail?: Record<string, unknown>) => void}
+ */
+export const useErrorReporter = (surface) => useCallback(
+  (error, detail) => reportError(error, { ...detail, surface }),
+  [surface],
+);
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+// Active traps, innermost last. Only the innermost one handles keys, so a
+// lightbox over a modal closes on its own with Escape.
+const stack = [];
+
+const focusableIn = (container) => [...container.querySelectorAll(FOCUSABLE)]
+  .filter((el) => el.getClientRects().length > 0 && !el.closest('[aria-hidden="true"]'));
+
+/**
+ * Keeps keyboard focus inside `containerRef` while `active`: focus moves in
+ * on activation, Tab and Shift+Tab wrap around, and Escape calls `onEscape`.
+ * On deactivation focus returns to whatever had it before.
+ *
+ * @param {React.RefObject<HTMLElement>} containerRef
+ * @param {boolean} active
+ * @param {{ onEscape?: () => void, initialFocusRef?: React.RefObject<HTMLElement> }} [options]
+ */
+export const useFocusTrap = (containerRef, active, { onEscape, initialFocusRef } = {}) => {
+  const onEscapeRef = useRef(onEscape);
+  onEscapeRef.current = onEscape;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return undefined;
+    const previous = document.activeElement;
+    const trap = {};
+    stack.push(trap);
+
+    const target = initialFocusRef?.current || focusableIn(container)[0] || container;
+    target.focus({ preventScroll: true });
+
+    const onKeyDown = (e) => {
+      if (stack[stack.length - 1] !== trap) return;
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusableIn(container);
+      if (items.length === 0) {
+        e.preventDefault();
+        container.focus({ preventScroll: true });
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      stack.splice(stack.indexOf(trap), 1);
+      if (previous instanceof HTMLElement && document.contains(previous)) previous.focus({ preventScroll: true });
+    };
+  }, [active, containerRef, initialFocusRef]);
+};
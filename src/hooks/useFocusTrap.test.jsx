@@ -0,0 +1,92 @@
+import React, { useRef, useState } from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useFocusTrap } from './useFocusTrap.js';
+
+const Trap = ({ label, onEscape, children }) => {
+  const ref = useRef(null);
+  useFocusTrap(ref, true, { onEscape });
+  return <div ref={ref} role="dialog" aria-label={label} tabIndex={-1}>{children}</div>;
+};
+
+// A page with a button that opens a trapped panel, which can open another.
+const Page = ({ onEscape = () => {} }) => {
+  const [open, setOpen] = useState(false);
+  const [nested, setNested] = useState(false);
+
+  return (
+    <>
+      <button onClick={() => setOpen(true)}>Open</button>
+      {open && (
+        <Trap label="Outer" onEscape={() => { onEscape('outer'); setOpen(false); }}>
+          <button>First</button>
+          <a href="#middle">Middle</a>
+          <button onClick={() => setNested(true)}>Last</button>
+          {nested && (
+            <Trap label="Inner" onEscape={() => { onEscape('inner'); setNested(false); }}>
+              <button>Inner button</button>
+            </Trap>
+          )}
+        </Trap>
+      )}
+      <button>Outside</button>
+    </>
+  );
+};
+
+describe('useFocusTrap', () => {
+  it('moves focus to the first focusable element when it activates', async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'First' }));
+  });
+
+  it('wraps Tab and Shift+Tab around the container', async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByRole('link', { name: 'Middle' }));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Last' }));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'First' }));
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Last' }));
+  });
+
+  it('calls onEscape and gives focus back to the element that opened it', async () => {
+    const user = userEvent.setup();
+    const onEscape = vi.fn();
+    render(<Page onEscape={onEscape} />);
+    const opener = screen.getByRole('button', { name: 'Open' });
+    await user.click(opener);
+
+    await user.keyboard('{Escape}');
+    expect(onEscape).toHaveBeenCalledWith('outer');
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(document.activeElement).toBe(opener);
+  });
+
+  it('lets only the innermost trap handle keys', async () => {
+    const user = userEvent.setup();
+    const onEscape = vi.fn();
+    render(<Page onEscape={onEscape} />);
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+    const last = screen.getByRole('button', { name: 'Last' });
+    await user.click(last);
+
+    const inner = screen.getByRole('button', { name: 'Inner button' });
+    expect(document.activeElement).toBe(inner);
+    await user.tab();
+    expect(document.activeElement).toBe(inner);
+
+    await user.keyboard('{Escape}');
+    expect(onEscape.mock.calls).toEqual([['inner']]);
+    expect(screen.getByRole('dialog', { name: 'Outer' })).toBeTruthy();
+    expect(document.activeElement).toBe(last);
+  });
+});
@@ -0,0 +1,21 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Whether any part of an element is inside the viewport.
+ * @param {() => Element | null | undefined} getElement Called once after
+ *   mount, so it can read refs that are filled in during render.
+ */
+export const useInView = (getElement) => {
+  const [inView, setInView] = useState(true);
+  const getElementRef = useRef(getElement);
+
+  useEffect(() => {
+    const el = getElementRef.current();
+    if (!el) return undefined;
+    const observer = new IntersectionObserver(([entry]) => setInView(entry.isIntersecting));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  return inView;
+};
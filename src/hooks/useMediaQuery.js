@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Live result of a CSS media query.
+ * @param {string} query e.g. '(min-width: 768px)'
+ */
+export const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(() => typeof window !== 'undefined' && window.matchMedia(query).matches);
+
+  useEffect(() => {
+    const list = window.matchMedia(query);
+    const onChange = () => setMatches(list.matches);
+    onChange();
+    list.addEventListener('change', onChange);
+    return () => list.removeEventListener('change', onChange);
+  }, [query]);
+
+  return matches;
+};
+
+export const usePrefersReducedMotion = () => useMediaQuery('(prefers-reduced-motion: reduce)');
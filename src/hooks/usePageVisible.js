@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+
+/** False while the tab is in the background or the window is minimised. */
+export const usePageVisible = () => {
+  const [visible, setVisible] = useState(() => typeof document === 'undefined' || document.visibilityState !== 'hidden');
+
+  useEffect(() => {
+    const onChange = () => setVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', onChange);
+    return () => document.removeEventListener('visibilitychange', onChange);
+  }, []);
+
+  return visible;
+};
@@ -0,0 +1,30 @@
+import { useEffect } from 'react';
+
+// Overlays can stack (a lightbox over a modal), so the lock is counted and
+// only the last one to close restores the page.
+let locks = 0;
+let saved = null;
+
+/**
+ * Stops the page behind an overlay from scrolling while `active` is true.
+ * The scrollbar's width is padded back so the layout doesn't shift.
+ * @param {boolean} active
+ */
+export const useScrollLock = (active) => {
+  useEffect(() => {
+    if (!active) return undefined;
+    const { body, documentElement } = document;
+    if (locks++ === 0) {
+      saved = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+      const scrollbar = window.innerWidth - documentElement.clientWidth;
+      body.style.overflow = 'hidden';
+      if (scrollbar > 0) body.style.paddingRight = `${scrollbar}px`;
+    }
+    return () => {
+      if (--locks === 0) {
+        body.style.overflow = saved.overflow;
+        body.style.paddingRight = saved.paddingRight;
+      }
+    };
+  }, [active]);
+};
@@ -0,0 +1,49 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useScrollLock } from './useScrollLock.js';
+
+describe('useScrollLock', () => {
+  beforeEach(() => {
+    document.body.style.overflow = 'auto';
+    document.body.style.paddingRight = '';
+    // A 15px scrollbar beside a 1024px window.
+    Object.defineProperty(document.documentElement, 'clientWidth', { configurable: true, value: window.innerWidth - 15 });
+  });
+
+  afterEach(() => {
+    delete document.documentElement.clientWidth;
+  });
+
+  it('stops the page scrolling while active and pads out the scrollbar', () => {
+    const { unmount } = renderHook(() => useScrollLock(true));
+    expect(document.body.style.overflow).toBe('hidden');
+    expect(document.body.style.paddingRight).toBe('15px');
+
+    unmount();
+    expect(document.body.style.overflow).toBe('auto');
+    expect(document.body.style.paddingRight).toBe('');
+  });
+
+  it('does nothing while inactive, and releases when deactivated', () => {
+    const { rerender } = renderHook(({ active }) => useScrollLock(active), { initialProps: { active: false } });
+    expect(document.body.style.overflow).toBe('auto');
+
+    rerender({ active: true });
+    expect(document.body.style.overflow).toBe('hidden');
+    rerender({ active: false });
+    expect(document.body.style.overflow).toBe('auto');
+  });
+
+  it('keeps the page locked until the last of stacked overlays closes', () => {
+    const modal = renderHook(() => useScrollLock(true));
+    const lightbox = renderHook(() => useScrollLock(true));
+
+    modal.unmount();
+    expect(document.body.style.overflow).toBe('hidden');
+    expect(document.body.style.paddingRight).toBe('15px');
+
+    lightbox.unmount();
+    expect(document.body.style.overflow).toBe('auto');
+    expect(document.body.style.paddingRight).toBe('');
+  });
+});
@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// A section counts as active while it crosses the horizontal centre line of
+// the viewport, so exactly one section is active at a time.
+const CENTRE_LINE = '-50% 0px -50% 0px';
+
+const readHash = () => decodeURIComponent(window.location.hash.slice(1));
+
+const writeHash = (id, defaultId) => {
+  const { pathname, search } = window.location;
+  const next = id === defaultId ? `${pathname}${search}` : `${pathname}${search}#${encodeURIComponent(id)}`;
+  if (next !== `${pathname}${search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, '', next);
+  }
+};
+
+/**
+ * Tracks which `<section>` is in view and mirrors it into the URL hash.
+ *
+ * Sections opt in with `ref={registerSection}` and an `id` attribute; they are
+ * stored in `sectionsRef.current[id]` and observed from then on, so sections
+ * added later need no further wiring. On first load a `#id` deep link is
+ * scrolled into view once its section has registered.
+ *
+ * @param {React.MutableRefObject<Record<string, HTMLElement>>} sectionsRef
+ * @param {string} defaultId Section shown as active at the top of the page.
+ * @param {{ syncHash?: boolean }} [options] `syncHash: false` stops writing
+ *   the hash, e.g. while an overlay route owns the URL; it catches up when
+ *   turned back on.
+ */
+export const useScrollSpy = (sectionsRef, defaultId, { syncHash = true } = {}) => {
+  const [activeSection, setActiveSection] = useState(defaultId);
+  const observerRef = useRef(null);
+  const pendingHashRef = useRef(typeof window === 'undefined' ? '' : readHash());
+
+  const restoreDeepLink = useCallback((id, el) => {
+    if (pendingHashRef.current !== id) return;
+    setActiveSection(id);
+    requestAnimationFrame(() => {
+      el.scrollIntoView({ behavior: 'auto' });
+      pendingHashRef.current = '';
+    });
+  }, []);
+
+  const registerSection = useCallback((el) => {
+    const sections = sectionsRef.current;
+
+    if (!el) {
+      // React passes null on unmount; drop whatever left the document.
+      for (const [id, node] of Object.entries(sections)) {
+        if (!node.isConnected) {
+          observerRef.current?.unobserve(node);
+          delete sections[id];
+        }
+      }
+      return;
+    }
+
+    if (!el.id || sections[el.id] === el) return;
+    sections[el.id] = el;
+    observerRef.current?.observe(el);
+    restoreDeepLink(el.id, el);
+  }, [sectionsRef, restoreDeepLink]);
+
+  useEffect(() => {
+    const observer = new IntersectionObserver((entries) => {
+      const hit = entries.find((entry) => entry.isIntersecting);
+      if (hit) setActiveSection(hit.target.id);
+    }, { rootMargin: CENTRE_LINE });
+
+    observerRef.current = observer;
+    Object.values(sectionsRef.current).forEach((el) => observer.observe(el));
+
+    // A hash that names no section is left alone and stops blocking updates.
+    if (pendingHashRef.current && !sectionsRef.current[pendingHashRef.current]) {
+      pendingHashRef.current = '';
+    }
+
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, [sectionsRef]);
+
+  useEffect(() => {
+    if (!syncHash || pendingHashRef.current) return;
+    writeHash(activeSection, defaultId);
+  }, [activeSection, defaultId, syncHash]);
+
+  const scrollToSection = useCallback((id) => {
+    const element = sectionsRef.current[id];
+    if (element) element.scrollIntoView({ behavior: 'smooth' });
+  }, [sectionsRef]);
+
+  return { activeSection, registerSection, scrollToSection };
+};
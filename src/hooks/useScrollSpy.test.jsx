@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { useScrollSpy } from './useScrollSpy.js';
+
+// Lets the test say which section crosses the centre line.
+let crossCentre;
+class ControlledObserver {
+  constructor(callback) {
+    crossCentre = (target) => act(() => callback([{ isIntersecting: true, target }]));
+  }
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+const section = (id) => {
+  const el = document.createElement('section');
+  el.id = id;
+  document.body.append(el);
+  return el;
+};
+
+describe('useScrollSpy', () => {
+  const { IntersectionObserver } = window;
+
+  beforeEach(() => {
+    window.IntersectionObserver = ControlledObserver;
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    window.IntersectionObserver = IntersectionObserver;
+    document.body.replaceChildren();
+  });
+
+  const renderSpy = (syncHash) => renderHook(
+    ({ sync }) => useScrollSpy({ current: {} }, 'hero', { syncHash: sync }),
+    { initialProps: { sync: syncHash } },
+  );
+
+  it('mirrors the section in view into the hash', () => {
+    const { result } = renderSpy(true);
+    const profile = section('profile');
+    act(() => result.current.registerSection(profile));
+
+    crossCentre(profile);
+    expect(result.current.activeSection).toBe('profile');
+    expect(window.location.hash).toBe('#profile');
+  });
+
+  it('leaves the URL alone while an overlay owns it, and catches up after', () => {
+    const { result, rerender } = renderSpy(true);
+    const profile = section('profile');
+    act(() => result.current.registerSection(profile));
+
+    window.history.pushState(null, '', '/projects/rover');
+    rerender({ sync: false });
+    crossCentre(profile);
+    expect(result.current.activeSection).toBe('profile');
+    expect(`${window.location.pathname}${window.location.hash}`).toBe('/projects/rover');
+
+    window.history.replaceState(null, '', '/');
+    rerender({ sync: true });
+    expect(window.location.hash).toBe('#profile');
+  });
+});
@@ -0,0 +1,77 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { LOCALES, DEFAULT_LOCALE, LOCALE_STORAGE_KEY, matchLocale } from './locales.js';
+import { createTranslator } from './translate.js';
+import { convertQuantity } from './units.js';
+
+// --- I18N PROVIDER ---
+// Holds the active locale, mirrors it onto <html lang> and remembers the
+// visitor's pick. Without a stored choice the browser's language list
+// decides.
+
+const I18nContext = createContext(null);
+
+const storedLocale = () => {
+  try {
+    const id = localStorage.getItem(LOCALE_STORAGE_KEY);
+    return id in LOCALES ? id : null;
+  } catch {
+    return null;
+  }
+};
+
+const initialLocale = () => {
+  // Prerendering runs under Node, which has a `navigator` of its own.
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  return storedLocale() || matchLocale(navigator.languages?.length ? navigator.languages : [navigator.language || DEFAULT_LOCALE]);
+};
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleId] = useState(initialLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((id) => {
+    if (!(id in LOCALES)) return;
+    setLocaleId(id);
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, id);
+    } catch {
+      // Private mode: the choice just won't outlive the visit.
+    }
+  }, []);
+
+  const value = useMemo(() => {
+    const units = LOCALES[locale].units;
+    // Readouts re-render every frame while the diagram plays, so formatters
+    // are built once per precision.
+    const formatters = new Map();
+    const formatNumber = (number, digits = 0) => {
+      if (!formatters.has(digits)) {
+        formatters.set(digits, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+      }
+      return formatters.get(digits).format(number);
+    };
+    const formatQuantity = (number, unit, digits = 0) => {
+      const converted = convertQuantity(number, unit, units);
+      return `${formatNumber(converted.value, Math.max(0, digits + converted.digits))} ${converted.unit}`;
+    };
+
+    return { locale, setLocale, t: createTranslator(locale), units, formatNumber, formatQuantity };
+  }, [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * The active locale and its setter, `t(key, params)` for UI copy, the unit
+ * system ('metric' or 'imperial') and number formatters for it.
+ * `formatQuantity(value, unit, digits)` takes an SI value and its unit and
+ * returns it converted and formatted, e.g. "1.97 in" for 50 mm in en-US.
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used inside an I18nProvider.');
+  return context;
+};
@@ -0,0 +1,35 @@
+// --- LOCALES ---
+// Languages the site ships, and the unit system each one reads in. A regional
+// locale without its own catalog (en-US) borrows its language's messages and
+// only changes units and number formatting. Free of browser and React
+// imports so the content check can use it under Node.
+
+export const LOCALES = {
+  en: { label: 'English', units: 'metric' },
+  'en-US': { label: 'English (US)', units: 'imperial' },
+  de: { label: 'Deutsch', units: 'metric' },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_STORAGE_KEY = 'locale';
+
+const languageOf = (locale) => locale.split('-')[0];
+
+/**
+ * Best supported locale for a list of requested tags, e.g.
+ * navigator.languages: an exact match first, then the same language.
+ * @param {readonly string[]} requested
+ */
+export const matchLocale = (requested) => {
+  for (const tag of requested) {
+    const exact = Object.keys(LOCALES).find((id) => id.toLowerCase() === tag.toLowerCase());
+    if (exact) return exact;
+    const language = languageOf(tag).toLowerCase();
+    if (language in LOCALES) return language;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/** Locales to look a message or translation up in, most specific first. */
+export const fallbackChain = (locale) => [...new Set([locale, languageOf(locale), DEFAULT_LOCALE])];
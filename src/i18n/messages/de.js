@@ -0,0 +1,311 @@
+// --- GERMAN MESSAGES ---
+// Keys missing here fall back to the English catalog.
+
+export default {
+  site: {
+    title: 'Portfolio Maschinenbau',
+    notFound: 'Nicht gefunden',
+    archive: 'Archiv',
+  },
+
+  nav: {
+    hero: 'STATUS',
+    profile: 'PROFIL',
+    projects: 'PROJEKTE',
+    contact: 'KONTAKT',
+    openMenu: 'Menü öffnen',
+    closeMenu: 'Menü schließen',
+    drawer: 'Seitennavigation',
+  },
+
+  theme: {
+    label: 'Farbschema: {current}. Wechseln zu {next}',
+    title: 'Farbschema wechseln',
+  },
+
+  locale: {
+    label: 'Sprache',
+  },
+
+  hero: {
+    status: 'BETRIEBSSTATUS: AKTIV',
+    titleTop: 'FORTSCHRITTLICHE',
+    titleAccent: 'MECHANISCHE',
+    titleBottom: 'SYSTEME.',
+    design: 'KONSTRUKTION',
+    analysis: 'ANALYSE',
+    manufacturing: 'FERTIGUNG',
+    viewPortfolio: 'PORTFOLIO ANSEHEN',
+    contact: 'KONTAKT',
+    tolerance: 'TOL: ±{tolerance}',
+    drawing: 'ZEICHNUNGS-NR. 44-2B',
+    scroll: 'NACH_UNTEN',
+  },
+
+  profile: {
+    title: 'Ingenieursprofil',
+    resume: 'LEBENSLAUF.PDF',
+  },
+
+  projects: {
+    title: 'Ausgewählte Projekte',
+    directory: 'Verzeichnis: /engineering/portfolio/{year}',
+    viewArchive: 'Gesamtes Archiv',
+  },
+
+  contact: {
+    title: 'Lust auf Zusammenarbeit?',
+    pitch: 'Ich suche derzeit Stellen in Konstruktion und Robotik. Lassen Sie uns besprechen, wie ich Ihr Entwicklungsteam unterstützen kann.',
+    footer: '© {year} // GEBAUT MIT REACT-THREE-FIBER',
+    social: {
+      email: 'E-MAIL',
+    },
+  },
+
+  form: {
+    header: 'NEUE_NACHRICHT.TXT',
+    via: 'ÜBER {adapter}',
+    name: 'NAME',
+    email: 'E-MAIL',
+    subject: 'BETREFF',
+    message: 'NACHRICHT',
+    optional: ' // OPTIONAL',
+    send: 'NACHRICHT SENDEN',
+    sending: 'WIRD GESENDET',
+    failed: 'ÜBERTRAGUNG FEHLGESCHLAGEN // {reason}',
+    sent: 'ÜBERTRAGUNG ABGESCHLOSSEN',
+    sentText: 'Danke für Ihre Nachricht. Ich antworte innerhalb weniger Tage.',
+    handoff: 'AN MAILPROGRAMM ÜBERGEBEN',
+    handoffText: 'Ihr Mailprogramm sollte sich mit der ausgefüllten Nachricht geöffnet haben. Falls nicht, schreiben Sie an {email}.',
+    sendAnother: 'WEITERE NACHRICHT',
+    rateLimited: 'Zu viele Nachrichten. Bitte in {minutes} Min. erneut versuchen.',
+    tooFast: 'Das ging schnell. Bitte prüfen Sie Ihre Nachricht und versuchen Sie es erneut.',
+    errors: {
+      nameRequired: 'Bitte geben Sie Ihren Namen an.',
+      emailRequired: 'Bitte geben Sie Ihre E-Mail-Adresse an.',
+      emailInvalid: 'Bitte geben Sie eine gültige E-Mail-Adresse an.',
+      tooLong: 'Höchstens {max} Zeichen.',
+      tooShort: 'Mindestens {min} Zeichen.',
+    },
+    delivery: {
+      noAddress: 'Es ist keine Kontaktadresse eingerichtet.',
+      noEndpoint: 'Es ist kein Kontakt-Endpunkt eingerichtet.',
+      unreachable: 'Der Server ist nicht erreichbar. Prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+      rejected: 'Der Server hat die Nachricht abgelehnt ({status}).',
+      simulated: 'Dev-Stub: simulierter Zustellfehler.',
+    },
+  },
+
+  modal: {
+    close: 'Projekt schließen',
+    status: 'Status: Abgeschlossen',
+    architecture: 'Systemarchitektur',
+    gallery: 'Render-Galerie',
+    views: 'Gespeicherte Ansichten',
+    enlarge: 'Abbildung {number} vergrößern: {alt}',
+    figure: 'ABB_{number}',
+  },
+
+  actions: {
+    specifications: 'Datenblatt',
+    repository: 'Repository',
+    caseStudy: 'FALLSTUDIE.PDF',
+    noSpecs: 'Kein Datenblatt veröffentlicht',
+    noRepository: 'Kein öffentliches Repository',
+    sourceRepository: 'Quellcode-Repository',
+    snapshot: 'STAND {date}',
+    datasheet: 'DATENBLATT // {id}',
+    datasheetTitle: '{title} — Datenblatt',
+  },
+
+  viewer: {
+    viewport: 'INTERAKTIVES_ANSICHTSFENSTER',
+    loading: 'LADE_DATEN...',
+    cad: 'CAD',
+    results: 'ERGEBNISSE',
+    rotate: 'ZIEHEN ZUM DREHEN',
+    zoom: 'SCROLLEN ZUM ZOOMEN',
+    offline: 'ANSICHTSFENSTER_OFFLINE',
+    offlineError: 'Die 3D-Ansicht konnte nicht geladen werden.',
+    offlineUnsupported: 'Dieser Browser kann kein 3D darstellen (WebGL ist nicht verfügbar).',
+    offlineImages: 'Stattdessen zeigen die Renderings das Projekt.',
+    retry: 'ERNEUT VERSUCHEN',
+    contextLost: 'GPU_KONTEXT_VERLOREN // WIEDERHERSTELLEN...',
+  },
+
+  assembly: {
+    tree: 'BAUGRUPPE',
+    reset: 'Ansicht zurücksetzen',
+    explode: 'EXPLOSION',
+    collapse: 'Einklappen',
+    expand: 'Ausklappen',
+    isolate: 'Isolieren',
+    showAll: 'Alle zeigen',
+    show: 'Einblenden',
+    hide: 'Ausblenden',
+  },
+
+  inspection: {
+    measure: 'Abstand messen',
+    section: 'Schnittebene',
+    annotations: 'Anmerkungen',
+    measureTitle: 'MESSEN',
+    clear: 'Löschen',
+    distance: 'ABST.:',
+    pickFirst: 'ERSTEN PUNKT WÄHLEN',
+    pickSecond: 'ZWEITEN PUNKT WÄHLEN',
+    sectionTitle: 'SCHNITT',
+    flip: 'Seite wechseln',
+    offset: 'Schnittposition',
+    note: 'NOTIZ_{number}',
+  },
+
+  camera: {
+    faces: {
+      right: 'RECHTS',
+      left: 'LINKS',
+      top: 'OBEN',
+      bottom: 'UNTEN',
+      front: 'VORNE',
+      back: 'HINTEN',
+    },
+    presets: {
+      front: 'VORNE',
+      top: 'OBEN',
+      right: 'RECHTS',
+      iso: 'ISO',
+    },
+    fit: 'Modell einpassen',
+    pause: 'Automatische Drehung anhalten',
+    resume: 'Automatische Drehung fortsetzen',
+  },
+
+  results: {
+    title: 'ERGEBNISSE',
+    field: 'Ergebnisgröße',
+    clamped: 'BEGRENZT',
+    dataRange: 'DATENBEREICH',
+    reset: 'ZURÜCKSETZEN',
+    colormap: 'FARBSKALA',
+    deformation: 'VERFORMUNG',
+    deformationScale: 'Verformungsskalierung',
+    undeformed: 'UNVERF.',
+    trueScale: 'ECHT',
+    auto: 'AUTO',
+  },
+
+  lightbox: {
+    label: 'Bildbetrachter',
+    figure: 'ABB_{number} / {count}',
+    zoomOut: 'Verkleinern',
+    zoomIn: 'Vergrößern',
+    fit: 'Einpassen',
+    fitLabel: 'An Bildschirm anpassen',
+    close: 'Schließen',
+    closeLabel: 'Bildbetrachter schließen',
+    previous: 'Zurück',
+    next: 'Weiter',
+    show: '{alt} anzeigen',
+  },
+
+  archive: {
+    title: 'Projektarchiv',
+    directory: 'Verzeichnis: /engineering/portfolio/{year}',
+    close: 'Archiv schließen',
+    year: 'JAHR',
+    all: 'ALLE',
+    undated: 'OHNE DATUM',
+    unclassified: 'OHNE FACHGEBIET',
+    search: 'Titel und Beschreibungen durchsuchen',
+    searchLabel: 'Projekte durchsuchen',
+    sort: 'SORTIERUNG',
+    sorts: {
+      date: 'DATUM',
+      discipline: 'FACHGEBIET',
+    },
+    records: '{count} / {total} EINTRÄGE',
+    clear: 'FILTER ZURÜCKSETZEN',
+    empty: 'Keine Projekte entsprechen diesen Filtern.',
+  },
+
+  disciplines: {
+    Design: 'Konstruktion',
+    Structures: 'Strukturmechanik',
+    Fluids: 'Strömungsmechanik',
+    Thermal: 'Thermodynamik',
+    Dynamics: 'Dynamik',
+    Robotics: 'Robotik',
+    Manufacturing: 'Fertigung',
+  },
+
+  notFound: {
+    close: 'Schließen',
+    code: 'ERR_404 // TEIL_NICHT_GEFUNDEN',
+    title: 'Keine solche Zeichnung.',
+    before: 'Im Archiv gibt es keinen Eintrag für',
+    after: '. Er wurde möglicherweise umbenannt oder entfernt.',
+    back: 'Zurück zum Portfolio',
+  },
+
+  diagram: {
+    mechanism: 'Mechanismus',
+    mechanisms: {
+      'slider-crank': 'SCHUBKURBEL',
+      'four-bar': 'VIERGELENK',
+    },
+    figure: 'ABB 1.4 - KINEMATIK',
+    linkage: 'Getriebe: {mechanism}',
+    links: {
+      crank: 'KURBEL',
+      rod: 'PLEUEL',
+      coupler: 'KOPPEL',
+      rocker: 'SCHWINGE',
+      ground: 'GESTELL',
+    },
+    outputs: {
+      'slider-crank': { position: 'WEG', velocity: 'GESCHW', acceleration: 'BESCHL', link: 'PLEUEL' },
+      'four-bar': { position: 'SCHWINGE', link: 'KOPPEL' },
+    },
+    stroke: '{length} HUB',
+    ground: '{length} GESTELL',
+    rpm: 'U/MIN',
+    crankAngle: 'KURBEL θ',
+    problems: {
+      rodTooShort: 'PLEUEL MUSS LÄNGER ALS KURBEL SEIN',
+      nonGrashof: 'KEIN GRASHOF: KURBEL NICHT UMLAUFFÄHIG',
+    },
+    invalid: 'GETRIEBE_UNGÜLTIG',
+    running: 'SIMULATION_LÄUFT',
+    paused: 'SIMULATION_PAUSIERT',
+    play: 'Simulation starten',
+    pause: 'Simulation anhalten',
+    export: 'Eine Umdrehung als {format} exportieren',
+  },
+
+  print: {
+    back: 'ZURÜCK ZUR SEITE',
+    ready: 'BEREIT — IM DRUCKDIALOG „ALS PDF SPEICHERN“ WÄHLEN',
+    rendering: '3D-ANSICHTEN WERDEN GERENDERT…',
+    print: 'DRUCKEN / PDF',
+    resumeTitle: '{name} — Lebenslauf',
+    profile: 'Profil',
+    skills: 'Kenntnisse',
+    selectedProjects: 'Ausgewählte Projekte',
+    interactive: 'Interaktive 3D-Modelle und vollständige Fallstudien: {url}',
+    caseStudyTitle: '{title} — Fallstudie',
+    caseStudy: 'FALLSTUDIE // {id}',
+    overview: 'Überblick',
+    specifications: 'Technische Daten',
+    datasheet: 'Vollständiges Datenblatt: {url}',
+    noSpecs: 'Keine technischen Daten veröffentlicht.',
+    figure: 'Abb. {number} — {caption}',
+    interactiveModel: 'Interaktives Modell: {url}',
+    source: 'Quellcode: {url}',
+  },
+
+  snapshot: {
+    alt: '{title} — 3D-Ansicht',
+    none: 'KEINE 3D-VORSCHAU',
+    rendering: 'WIRD GERENDERT…',
+  },
+};
@@ -0,0 +1,321 @@
+// --- ENGLISH MESSAGES ---
+// The reference catalog: every key the UI asks for lives here, and other
+// catalogs fall back to it key by key. `{name}` placeholders are filled in
+// by the translator.
+
+export default {
+  site: {
+    title: 'Mechanical Engineering Portfolio',
+    notFound: 'Not Found',
+    archive: 'Archive',
+  },
+
+  nav: {
+    hero: 'STATUS',
+    profile: 'PROFILE',
+    projects: 'PROJECTS',
+    contact: 'CONTACT',
+    openMenu: 'Open menu',
+    closeMenu: 'Close menu',
+    drawer: 'Site navigation',
+  },
+
+  theme: {
+    label: 'Colour theme: {current}. Switch to {next}',
+    title: 'Switch colour theme',
+  },
+
+  locale: {
+    label: 'Language',
+  },
+
+  hero: {
+    status: 'OPERATIONAL STATUS: ACTIVE',
+    titleTop: 'ADVANCED',
+    titleAccent: 'MECHANICAL',
+    titleBottom: 'SYSTEMS.',
+    design: 'DESIGN',
+    analysis: 'ANALYSIS',
+    manufacturing: 'MFG',
+    viewPortfolio: 'VIEW PORTFOLIO',
+    contact: 'CONTACT',
+    reference: 'REF: ISO-9001',
+    tolerance: 'TOL: ±{tolerance}',
+    drawing: 'DRAWING NO. 44-2B',
+    scroll: 'SCROLL_DOWN',
+  },
+
+  profile: {
+    title: 'Engineering Profile',
+    resume: 'DOWNLOAD_RESUME.PDF',
+  },
+
+  projects: {
+    title: 'Selected Projects',
+    directory: 'Directory: /engineering/portfolio/{year}',
+    viewArchive: 'View All Archives',
+  },
+
+  contact: {
+    title: 'Ready to collaborate?',
+    pitch: "Currently seeking opportunities in Mechanical Design and Robotics Engineering. Let's discuss how I can contribute to your engineering team.",
+    footer: '© {year} // DESIGNED WITH REACT-THREE-FIBER',
+    social: {
+      email: 'EMAIL',
+      linkedin: 'LINKEDIN',
+      github: 'GITHUB',
+    },
+  },
+
+  form: {
+    header: 'NEW_MESSAGE.TXT',
+    via: 'VIA {adapter}',
+    name: 'NAME',
+    email: 'EMAIL',
+    subject: 'SUBJECT',
+    message: 'MESSAGE',
+    optional: ' // OPTIONAL',
+    send: 'SEND MESSAGE',
+    sending: 'SENDING',
+    failed: 'TRANSMISSION FAILED // {reason}',
+    sent: 'TRANSMISSION COMPLETE',
+    sentText: "Thanks for reaching out. I'll reply within a couple of days.",
+    handoff: 'HANDED OFF TO MAIL CLIENT',
+    handoffText: "Your email app should have opened with the message filled in. If it didn't, write to {email}.",
+    sendAnother: 'SEND ANOTHER',
+    rateLimited: 'Too many messages. Try again in {minutes} min.',
+    tooFast: 'That was quick. Please check your message and try again.',
+    errors: {
+      nameRequired: 'Name is required.',
+      emailRequired: 'Email is required.',
+      emailInvalid: 'Enter a valid email address.',
+      tooLong: 'Keep it under {max} characters.',
+      tooShort: 'Write at least {min} characters.',
+    },
+    delivery: {
+      noAddress: 'No contact address is configured.',
+      noEndpoint: 'No contact endpoint is configured.',
+      unreachable: 'Could not reach the server. Check your connection and try again.',
+      rejected: 'The server rejected the message ({status}).',
+      simulated: 'Dev stub: simulated delivery failure.',
+    },
+  },
+
+  modal: {
+    close: 'Close project',
+    status: 'Status: Complete',
+    id: 'ID: {id}',
+    architecture: 'System Architecture',
+    gallery: 'Render Gallery',
+    views: 'Saved Views',
+    enlarge: 'Enlarge figure {number}: {alt}',
+    figure: 'FIG_{number}',
+  },
+
+  actions: {
+    specifications: 'Specifications',
+    repository: 'Repository',
+    caseStudy: 'CASE_STUDY.PDF',
+    noSpecs: 'No spec sheet published',
+    noRepository: 'No public repository',
+    sourceRepository: 'Source Repository',
+    snapshot: 'SNAPSHOT {date}',
+    datasheet: 'DATASHEET // {id}',
+    datasheetTitle: '{title} — Datasheet',
+  },
+
+  viewer: {
+    viewport: 'INTERACTIVE_VIEWPORT',
+    loading: 'LOADING_ASSETS...',
+    progress: '{loaded} / {total} MB · {percent}%',
+    received: '{loaded} MB',
+    cad: 'CAD',
+    results: 'RESULTS',
+    rotate: 'DRAG TO ROTATE',
+    zoom: 'SCROLL TO ZOOM',
+    offline: 'VIEWPORT_OFFLINE',
+    offlineError: 'The 3D view failed to load.',
+    offlineUnsupported: 'This browser cannot display 3D (WebGL is unavailable).',
+    offlineImages: 'The renders show the project instead.',
+    retry: 'RETRY',
+    contextLost: 'GPU_CONTEXT_LOST // RESTORING...',
+  },
+
+  assembly: {
+    tree: 'ASSEMBLY_TREE',
+    reset: 'Reset view',
+    explode: 'EXPLODE',
+    collapse: 'Collapse',
+    expand: 'Expand',
+    isolate: 'Isolate',
+    showAll: 'Show all',
+    show: 'Show',
+    hide: 'Hide',
+  },
+
+  inspection: {
+    measure: 'Measure distance',
+    section: 'Section plane',
+    annotations: 'Annotations',
+    measureTitle: 'MEASURE',
+    clear: 'Clear',
+    distance: 'DIST:',
+    pickFirst: 'PICK FIRST POINT',
+    pickSecond: 'PICK SECOND POINT',
+    sectionTitle: 'SECTION',
+    flip: 'Flip side',
+    offset: 'Section offset',
+    note: 'NOTE_{number}',
+  },
+
+  camera: {
+    faces: {
+      right: 'RIGHT',
+      left: 'LEFT',
+      top: 'TOP',
+      bottom: 'BOTTOM',
+      front: 'FRONT',
+      back: 'BACK',
+    },
+    presets: {
+      front: 'FRONT',
+      top: 'TOP',
+      right: 'RIGHT',
+      iso: 'ISO',
+    },
+    fit: 'Fit model to view',
+    pause: 'Pause auto-rotate',
+    resume: 'Resume auto-rotate',
+  },
+
+  results: {
+    title: 'RESULTS',
+    field: 'Result field',
+    max: 'MAX',
+    min: 'MIN',
+    clamped: 'CLAMPED',
+    dataRange: 'DATA RANGE',
+    reset: 'RESET',
+    colormap: 'COLORMAP',
+    deformation: 'DEFORMATION',
+    deformationScale: 'Deformation scale',
+    undeformed: 'UNDEF',
+    trueScale: 'TRUE',
+    auto: 'AUTO',
+  },
+
+  lightbox: {
+    label: 'Image viewer',
+    figure: 'FIG_{number} / {count}',
+    zoomOut: 'Zoom out',
+    zoomIn: 'Zoom in',
+    fit: 'Fit',
+    fitLabel: 'Fit to screen',
+    close: 'Close',
+    closeLabel: 'Close image viewer',
+    previous: 'Previous',
+    next: 'Next',
+    show: 'Show {alt}',
+  },
+
+  archive: {
+    title: 'Project Archive',
+    directory: 'Directory: /engineering/portfolio/{year}',
+    close: 'Close archive',
+    year: 'YEAR',
+    all: 'ALL',
+    undated: 'UNDATED',
+    unclassified: 'UNCLASSIFIED',
+    search: 'Search titles and descriptions',
+    searchLabel: 'Search projects',
+    sort: 'SORT',
+    sorts: {
+      date: 'DATE',
+      discipline: 'DISCIPLINE',
+    },
+    records: '{count} / {total} RECORDS',
+    clear: 'CLEAR FILTERS',
+    empty: 'No projects match these filters.',
+  },
+
+  disciplines: {
+    Design: 'Design',
+    Structures: 'Structures',
+    Fluids: 'Fluids',
+    Thermal: 'Thermal',
+    Dynamics: 'Dynamics',
+    Robotics: 'Robotics',
+    Manufacturing: 'Manufacturing',
+  },
+
+  notFound: {
+    close: 'Close',
+    code: 'ERR_404 // PART_NOT_FOUND',
+    title: 'No such drawing.',
+    before: 'Nothing in the archive matches',
+    after: '. It may have been renamed or removed.',
+    back: 'Return to Portfolio',
+  },
+
+  diagram: {
+    mechanism: 'Mechanism',
+    mechanisms: {
+      'slider-crank': 'SLIDER-CRANK',
+      'four-bar': 'FOUR-BAR',
+    },
+    figure: 'FIG 1.4 - KINEMATICS',
+    linkage: '{mechanism} linkage',
+    links: {
+      crank: 'CRANK',
+      rod: 'ROD',
+      coupler: 'COUPLER',
+      rocker: 'ROCKER',
+      ground: 'GROUND',
+    },
+    outputs: {
+      'slider-crank': { position: 'DISP', velocity: 'VEL', acceleration: 'ACC', link: 'ROD' },
+      'four-bar': { position: 'ROCKER', velocity: 'ω', acceleration: 'α', link: 'COUPLER' },
+    },
+    stroke: '{length} STROKE',
+    ground: '{length} GROUND',
+    rpm: 'RPM',
+    crankAngle: 'CRANK θ',
+    problems: {
+      rodTooShort: 'ROD MUST BE LONGER THAN CRANK',
+      nonGrashof: 'NON-GRASHOF: CRANK CANNOT TURN FULLY',
+    },
+    invalid: 'LINKAGE_INVALID',
+    running: 'SIMULATION_RUNNING',
+    paused: 'SIMULATION_PAUSED',
+    play: 'Play simulation',
+    pause: 'Pause simulation',
+    export: 'Export one revolution as {format}',
+  },
+
+  print: {
+    back: 'BACK TO SITE',
+    ready: 'READY — USE “SAVE AS PDF” IN THE PRINT DIALOG',
+    rendering: 'RENDERING 3D SNAPSHOTS…',
+    print: 'PRINT / PDF',
+    resumeTitle: '{name} — Résumé',
+    profile: 'Profile',
+    skills: 'Skills',
+    selectedProjects: 'Selected Projects',
+    interactive: 'Interactive 3D models and full case studies: {url}',
+    caseStudyTitle: '{title} — Case Study',
+    caseStudy: 'CASE STUDY // {id}',
+    overview: 'Overview',
+    specifications: 'Specifications',
+    datasheet: 'Full datasheet: {url}',
+    noSpecs: 'No published specifications.',
+    figure: 'Fig. {number} — {caption}',
+    interactiveModel: 'Interactive model: {url}',
+    source: 'Source: {url}',
+  },
+
+  snapshot: {
+    alt: '{title} — 3D view',
+    none: 'NO 3D PREVIEW',
+    rendering: 'RENDERING…',
+  },
+};
@@ -0,0 +1,34 @@
+import { fallbackChain } from './locales.js';
+import en from './messages/en.js';
+import de from './messages/de.js';
+
+// --- TRANSLATOR ---
+// Looks dotted keys ("form.errors.tooLong") up in the message catalogs along
+// a locale's fallback chain, so a catalog only needs the keys it translates.
+
+const CATALOGS = { en, de };
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (message, params) => (params
+  ? message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])))
+  : message);
+
+/**
+ * A `t(key, params)` function for `locale`. Unknown keys come back as the key
+ * itself, with a warning in development, so a missing message is visible but
+ * never breaks the page.
+ * @param {string} locale
+ * @returns {(key: string, params?: Record<string, string | number>) => string}
+ */
+export const createTranslator = (locale) => {
+  const catalogs = fallbackChain(locale).map((id) => CATALOGS[id]).filter(Boolean);
+  return (key, params) => {
+    for (const catalog of catalogs) {
+      const message = lookup(catalog, key);
+      if (typeof message === 'string') return interpolate(message, params);
+    }
+    if (import.meta.env.DEV) console.warn(`[i18n] Missing message "${key}" for ${locale}.`);
+    return key;
+  };
+};
@@ -0,0 +1,35 @@
+// --- UNITS ---
+// Readouts are computed in SI and shown in the visitor's unit system. Only
+// the units listed here have an imperial counterpart; anything else (°, rad/s,
+// K) reads the same everywhere.
+
+// Imperial counterpart of each SI unit, the factor to multiply by and how
+// many more decimals the converted value needs to keep the same precision.
+const IMPERIAL = {
+  mm: { unit: 'in', factor: 1 / 25.4, digits: 2 },
+  cm: { unit: 'in', factor: 1 / 2.54, digits: 1 },
+  m: { unit: 'ft', factor: 1 / 0.3048, digits: 0 },
+  'm/s': { unit: 'ft/s', factor: 1 / 0.3048, digits: 0 },
+  'm/s²': { unit: 'ft/s²', factor: 1 / 0.3048, digits: 0 },
+  N: { unit: 'lbf', factor: 0.2248089, digits: 1 },
+  kN: { unit: 'lbf', factor: 224.8089, digits: -1 },
+  Pa: { unit: 'psi', factor: 1 / 6894.757, digits: 3 },
+  kPa: { unit: 'psi', factor: 1 / 6.894757, digits: 1 },
+  MPa: { unit: 'psi', factor: 145.0377, digits: -2 },
+};
+
+/**
+ * `value` in `unit`, expressed in `system` ('metric' or 'imperial').
+ * @returns {{ value: number, unit: string, digits: number }} `digits` is the
+ *   extra precision the new unit needs.
+ */
+export const convertQuantity = (value, unit, system) => {
+  const to = system === 'imperial' ? IMPERIAL[unit] : null;
+  return to ? { value: value * to.factor, unit: to.unit, digits: to.digits } : { value, unit, digits: 0 };
+};
+
+/** Length unit for readouts of `metres`: mm on metric, inches on imperial. */
+export const lengthUnit = (system) => (system === 'imperial' ? 'in' : 'mm');
+
+/** Converts a length in metres to the readout unit of `system`. */
+export const fromMetres = (metres, system) => (system === 'imperial' ? metres / 0.0254 : metres * 1000);
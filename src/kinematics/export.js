@@ -0,0 +1,74 @@
+import { MECHANISMS } from './linkages.js';
+
+// --- MOTION CURVE EXPORT ---
+// One revolution of a sampled cycle as a CSV table or a standalone SVG plot
+// of displacement, velocity and acceleration against crank angle.
+
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+const describe = (mechanism, links, rpm) =>
+  `${MECHANISMS[mechanism].label} ${MECHANISMS[mechanism].links.map((l) => `${l.label}=${links[l.key]}mm`).join(' ')} RPM=${rpm}`;
+
+/** @param {ReturnType<import('./linkages.js').sampleCycle>} samples */
+export const cycleToCSV = (mechanism, links, rpm, samples) => {
+  const { outputs, linkLabel } = MECHANISMS[mechanism];
+  const header = [
+    'crank_deg',
+    'time_s',
+    ...outputs.map((o) => o.field),
+    `${linkLabel.toLowerCase()}_angle_deg`,
+  ];
+  const rows = samples.map((s) => [
+    toDeg(s.theta).toFixed(1),
+    s.time.toExponential(6),
+    ...outputs.map((o) => s[o.key].toFixed(6)),
+    toDeg(s.linkAngle).toFixed(4),
+  ]);
+  return [`# ${describe(mechanism, links, rpm)}`, header.join(','), ...rows.map((r) => r.join(','))].join('\n') + '\n';
+};
+
+const PLOT = { width: 720, band: 160, left: 72, right: 24, top: 48, gap: 24 };
+const COLORS = ['#0ea5e9', '#f59e0b', '#10b981'];
+
+/** Three stacked plots over 0–360° of crank angle, one per output. */
+export const cycleToSVG = (mechanism, links, rpm, samples) => {
+  const { outputs } = MECHANISMS[mechanism];
+  const plotWidth = PLOT.width - PLOT.left - PLOT.right;
+  const height = PLOT.top + outputs.length * (PLOT.band + PLOT.gap);
+  const x = (theta) => PLOT.left + (toDeg(theta) / 360) * plotWidth;
+
+  const bands = outputs.map((output, i) => {
+    const values = samples.map((s) => s[output.key]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const top = PLOT.top + i * (PLOT.band + PLOT.gap);
+    const y = (v) => top + PLOT.band - ((v - min) / span) * PLOT.band;
+    const points = samples.map((s) => `${x(s.theta).toFixed(1)},${y(s[output.key]).toFixed(1)}`).join(' ');
+    const ticks = [0, 90, 180, 270, 360]
+      .map((deg) => `<line x1="${x((deg * Math.PI) / 180)}" y1="${top}" x2="${x((deg * Math.PI) / 180)}" y2="${top + PLOT.band}" stroke="#e4e4e7"/>`)
+      .join('');
+
+    return `<g>
+  ${ticks}
+  <rect x="${PLOT.left}" y="${top}" width="${plotWidth}" height="${PLOT.band}" fill="none" stroke="#a1a1aa"/>
+  <text x="${PLOT.left - 8}" y="${top + 10}" text-anchor="end">${max.toFixed(output.digits)}</text>
+  <text x="${PLOT.left - 8}" y="${top + PLOT.band}" text-anchor="end">${min.toFixed(output.digits)}</text>
+  <text x="${PLOT.left + 8}" y="${top + 16}" fill="${COLORS[i]}">${output.label} [${output.unit}]</text>
+  <polyline points="${points}" fill="none" stroke="${COLORS[i]}" stroke-width="2"/>
+</g>`;
+  });
+
+  const axis = [0, 90, 180, 270, 360]
+    .map((deg) => `<text x="${x((deg * Math.PI) / 180)}" y="${height - 4}" text-anchor="middle">${deg}°</text>`)
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${PLOT.width}" height="${height}" viewBox="0 0 ${PLOT.width} ${height}" font-family="ui-monospace, monospace" font-size="11" fill="#3f3f46">
+<rect width="100%" height="100%" fill="#ffffff"/>
+<text x="${PLOT.left}" y="24" font-size="13" fill="#18181b">${describe(mechanism, links, rpm)}</text>
+${bands.join('\n')}
+${axis}
+</svg>
+`;
+};
@@ -0,0 +1,155 @@
+// --- LINKAGE KINEMATICS ---
+// Position, velocity and acceleration of a slider-crank and a four-bar
+// linkage driven by a crank turning at constant speed. Lengths are in mm,
+// angles in radians, with y up and the crank pivot at the origin.
+
+// Step for the numerical derivatives of the four-bar's output angle.
+const STEP = 1e-3;
+
+const wrap = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+
+export const rpmToRadPerSec = (rpm) => (rpm * Math.PI * 2) / 60;
+
+/**
+ * Inline slider-crank with the cylinder on +y. `theta` is the crank angle
+ * from top dead centre; the outputs are the piston's displacement from TDC
+ * and its first and second derivatives with respect to `theta`.
+ */
+export const sliderCrank = ({ crank: r, rod: l }, theta) => {
+  const sin = Math.sin(theta);
+  const cos = Math.cos(theta);
+  const d = Math.sqrt(l * l - r * r * sin * sin);
+  const y = r * cos + d;
+
+  // y' and y'' with respect to theta; displacement from TDC is (r + l) - y.
+  const dy = -r * sin - (r * r * sin * cos) / d;
+  const ddy = -r * cos - (r * r * Math.cos(2 * theta)) / d - (r ** 4 * sin * sin * cos * cos) / d ** 3;
+
+  return {
+    joints: { crankPivot: [0, 0], crankPin: [r * sin, r * cos], piston: [0, y] },
+    linkAngle: Math.asin((r * sin) / l),
+    output: r + l - y,
+    d1: -dy,
+    d2: -ddy,
+  };
+};
+
+// Rocker angle of a four-bar for crank angle `theta`, on the open branch, or
+// null where the coupler and rocker cannot close the loop.
+const fourBarPosition = ({ crank: b, coupler: c, rocker: d, ground: a }, theta) => {
+  const ax = b * Math.cos(theta);
+  const ay = b * Math.sin(theta);
+  const dx = a - ax;
+  const dy = -ay;
+  const e = Math.hypot(dx, dy);
+  if (e > c + d || e < Math.abs(c - d)) return null;
+
+  const gamma = Math.acos(Math.min(1, Math.max(-1, (c * c + e * e - d * d) / (2 * c * e))));
+  const couplerAngle = Math.atan2(dy, dx) + gamma;
+  const bx = ax + c * Math.cos(couplerAngle);
+  const by = ay + c * Math.sin(couplerAngle);
+
+  return {
+    joints: { crankPivot: [0, 0], crankPin: [ax, ay], rockerPin: [bx, by], rockerPivot: [a, 0] },
+    linkAngle: wrap(couplerAngle),
+    output: Math.atan2(by, bx - a),
+  };
+};
+
+/**
+ * Four-bar with the ground link along +x from the crank pivot. The output is
+ * the rocker's angle and its derivatives with respect to the crank angle, or
+ * null where the linkage cannot be assembled.
+ */
+export const fourBar = (links, theta) => {
+  const here = fourBarPosition(links, theta);
+  const before = fourBarPosition(links, theta - STEP);
+  const after = fourBarPosition(links, theta + STEP);
+  if (!here || !before || !after) return null;
+
+  const back = wrap(here.output - before.output);
+  const ahead = wrap(after.output - here.output);
+  return { ...here, d1: (back + ahead) / (2 * STEP), d2: (ahead - back) / (STEP * STEP) };
+};
+
+// Grashof's condition with the crank as the shortest link: the only four-bar
+// whose input can turn all the way round.
+const isCrankRocker = ({ crank, coupler, rocker, ground }) => {
+  const lengths = [crank, coupler, rocker, ground].sort((x, y) => x - y);
+  return lengths[0] === crank && lengths[0] + lengths[3] <= lengths[1] + lengths[2];
+};
+
+/**
+ * Each mechanism's adjustable links, the quantities it reports and how to
+ * turn crank-angle derivatives into time derivatives at a crank speed `omega`.
+ * Labels are the English ones written into exported curves; `check` returns
+ * a problem code (diagram.problems.* in the message catalogs) or null.
+ */
+export const MECHANISMS = {
+  'slider-crank': {
+    label: 'SLIDER-CRANK',
+    solve: sliderCrank,
+    links: [
+      { key: 'crank', label: 'CRANK', min: 10, max: 60, step: 1, initial: 50 },
+      { key: 'rod', label: 'ROD', min: 70, max: 200, step: 1, initial: 120 },
+    ],
+    outputs: [
+      { key: 'position', label: 'DISP', unit: 'mm', field: 'displacement_mm', digits: 1 },
+      { key: 'velocity', label: 'VEL', unit: 'm/s', field: 'velocity_m_s', digits: 2 },
+      { key: 'acceleration', label: 'ACC', unit: 'm/s²', field: 'acceleration_m_s2', digits: 0 },
+    ],
+    linkLabel: 'ROD',
+    // mm → m for velocity and acceleration.
+    toTime: (s, omega) => ({ position: s.output, velocity: (s.d1 * omega) / 1000, acceleration: (s.d2 * omega * omega) / 1000 }),
+    check: ({ crank, rod }) => (rod > crank ? null : 'rodTooShort'),
+  },
+  'four-bar': {
+    label: 'FOUR-BAR',
+    solve: fourBar,
+    links: [
+      { key: 'crank', label: 'CRANK', min: 10, max: 60, step: 1, initial: 30 },
+      { key: 'coupler', label: 'COUPLER', min: 40, max: 160, step: 1, initial: 100 },
+      { key: 'rocker', label: 'ROCKER', min: 40, max: 160, step: 1, initial: 80 },
+      { key: 'ground', label: 'GROUND', min: 60, max: 160, step: 1, initial: 100 },
+    ],
+    outputs: [
+      { key: 'position', label: 'ROCKER', unit: '°', field: 'rocker_deg', digits: 1 },
+      { key: 'velocity', label: 'ω', unit: 'rad/s', field: 'omega_rad_s', digits: 1 },
+      { key: 'acceleration', label: 'α', unit: 'rad/s²', field: 'alpha_rad_s2', digits: 0 },
+    ],
+    linkLabel: 'COUPLER',
+    toTime: (s, omega) => ({ position: (s.output * 180) / Math.PI, velocity: s.d1 * omega, acceleration: s.d2 * omega * omega }),
+    check: (links) => (isCrankRocker(links) ? null : 'nonGrashof'),
+  },
+};
+
+export const initialLinks = (mechanism) =>
+  Object.fromEntries(MECHANISMS[mechanism].links.map((link) => [link.key, link.initial]));
+
+/**
+ * State of a mechanism at crank angle `theta` and crank speed `rpm`, or null
+ * where it cannot be assembled.
+ */
+export const evaluate = (mechanism, links, rpm, theta) => {
+  const { solve, toTime } = MECHANISMS[mechanism];
+  const solved = solve(links, theta);
+  if (!solved) return null;
+  return { theta, joints: solved.joints, linkAngle: solved.linkAngle, ...toTime(solved, rpmToRadPerSec(rpm)) };
+};
+
+/**
+ * One crank revolution sampled at `steps` even angles, with each sample's
+ * time from TDC. Null if the mechanism fails its check.
+ */
+export const sampleCycle = (mechanism, links, rpm, steps = 360) => {
+  if (MECHANISMS[mechanism].check(links)) return null;
+  const omega = rpmToRadPerSec(rpm);
+  const samples = [];
+  for (let i = 0; i < steps; i++) {
+    const theta = (i / steps) * Math.PI * 2;
+    const state = evaluate(mechanism, links, rpm, theta);
+    if (!state) return null;
+    samples.push({ ...state, time: theta / omega });
+  }
+  return samples;
+};
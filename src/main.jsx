@@ -1,10 +1,28 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
+import { LazyMotion, MotionConfig } from 'framer-motion'
 import App from './App.jsx'
+import { ThemeProvider } from './theme/ThemeProvider.jsx'
+import { I18nProvider } from './i18n/I18nProvider.jsx'
 import './index.css'
 
+// `m` components render their initial styles until these arrive.
+const loadMotionFeatures = () => import('./motionFeatures.js').then((features) => features.default)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      {/* Skip framer-motion transforms for visitors who ask for less motion. */}
+      <MotionConfig reducedMotion="user">
+        <LazyMotion features={loadMotionFeatures} strict>
+          <I18nProvider>
+            <ThemeProvider>
+              <App />
+            </ThemeProvider>
+          </I18nProvider>
+        </LazyMotion>
+      </MotionConfig>
+    </BrowserRouter>
   </React.StrictMode>,
 )
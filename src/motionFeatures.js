@@ -0,0 +1,4 @@
+// Animation features for the `m` components. main.jsx hands this module to
+// LazyMotion as a separate chunk, so framer-motion's animation code isn't
+// part of the first download.
+export { domAnimation as default } from 'framer-motion';
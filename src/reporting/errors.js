@@ -0,0 +1,81 @@
+import { SITE } from '../content/site.js';
+
+// --- ERROR REPORTING ---
+// Failures the page recovers from (a viewport that falls back to images, a
+// model swapped for the placeholder, a WebGL context that was lost) still
+// deserve a look. Each is handed to the sink named in `SITE.errors`:
+//
+//   'console' console.error with the full report (default)
+//   'http'    POSTs the report as JSON to `endpoint`
+//   'none'    drops it
+//
+// A page sends each distinct failure once and at most MAX_REPORTS in all, so
+// a component failing on every render can't flood the endpoint.
+
+export const ERROR_SINKS = ['console', 'http', 'none'];
+
+const MAX_REPORTS = 20;
+
+const consoleSink = () => (report, error) => console.error(`[${report.surface}] ${report.message}`, error, report);
+
+// sendBeacon outlives the page when a failure is followed by navigation;
+// fetch covers browsers without it or beacons the browser refuses.
+const httpSink = ({ endpoint }) => (report) => {
+  if (!endpoint) return;
+  const body = JSON.stringify(report);
+  if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) return;
+  fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+    .catch(() => {});
+};
+
+const noneSink = () => () => {};
+
+const FACTORIES = { console: consoleSink, http: httpSink, none: noneSink };
+
+/**
+ * @param {{ sink: string, endpoint: string | null }} config `SITE.errors`
+ * @returns {(report: object, error: unknown) => void}
+ */
+export const createErrorSink = (config) => {
+  const factory = FACTORIES[config.sink];
+  if (!factory) {
+    console.warn(`[errors] Unknown sink "${config.sink}" (${ERROR_SINKS.join(', ')}); using console.`);
+    return consoleSink();
+  }
+  return factory(config);
+};
+
+let sink = null;
+const reported = new Set();
+
+/**
+ * Reports a failure the UI has already recovered from. `surface` names where
+ * it happened ('project', 'background', 'snapshot', 'model'); any other
+ * fields are sent along as `detail`.
+ * @param {unknown} error
+ * @param {{ surface?: string } & Record<string, unknown>} [context]
+ */
+export const reportError = (error, { surface = 'app', ...detail } = {}) => {
+  const message = error instanceof Error ? error.message : String(error);
+  const key = `${surface}:${message}`;
+  if (reported.has(key) || reported.size >= MAX_REPORTS) return;
+  reported.add(key);
+
+  sink ??= createErrorSink(SITE.errors);
+  const report = {
+    surface,
+    message,
+    name: error instanceof Error ? error.name : null,
+    code: error?.code ?? null,
+    stack: error instanceof Error ? error.stack : null,
+    detail,
+    url: typeof location === 'undefined' ? null : location.href,
+    userAgent: typeof navigator === 'undefined' ? null : navigator.userAgent,
+    time: new Date().toISOString(),
+  };
+  try {
+    sink(report, error);
+  } catch {
+    // Reporting is best effort; it must never become the next failure.
+  }
+};
@@ -0,0 +1,139 @@
+import { SITE } from '../content/site.js';
+import { projects, featuredProjects } from '../content/projects.js';
+import { createTranslator } from '../i18n/translate.js';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+// --- PAGE METADATA ---
+// Head tags for the prerendered pages: title, description, canonical link,
+// Open Graph/Twitter cards and JSON-LD, all built from the site config and
+// the project catalog. Prerendered copy is in the default locale; the client
+// switches language after it loads.
+
+const t = createTranslator(DEFAULT_LOCALE);
+
+const DESCRIPTION_LENGTH = 160;
+
+const absolute = (path) => (/^https?:\/\//.test(path) ? path : `${SITE.url}${path}`);
+
+const truncate = (text, max = DESCRIPTION_LENGTH) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length <= max ? flat : `${flat.slice(0, max - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// --- JSON-LD ---
+
+const PERSON_ID = '#person';
+
+const person = () => ({
+  '@type': 'Person',
+  '@id': absolute(`/${PERSON_ID}`),
+  name: SITE.name || undefined,
+  jobTitle: SITE.headline,
+  description: SITE.profile?.summary,
+  url: absolute('/'),
+  email: SITE.email ? `mailto:${SITE.email}` : undefined,
+  sameAs: Object.values(SITE.social).length ? Object.values(SITE.social) : undefined,
+  knowsAbout: (SITE.profile?.skills || []).flatMap((skill) => skill.items),
+});
+
+const creativeWork = (project) => ({
+  '@type': 'CreativeWork',
+  '@id': absolute(`/projects/${project.id}#work`),
+  name: project.title,
+  description: project.fullDescription || project.description,
+  url: absolute(`/projects/${project.id}`),
+  image: [absolute(`/og/${project.id}.png`), ...project.gallery.map((img) => absolute(img.src))],
+  dateCreated: project.date || undefined,
+  genre: project.discipline || undefined,
+  keywords: project.tags.join(', '),
+  codeRepository: project.links.repository,
+  inLanguage: DEFAULT_LOCALE,
+  author: { '@id': absolute(`/${PERSON_ID}`) },
+});
+
+// --- PAGES ---
+
+/**
+ * @typedef {object} PageMeta
+ * @property {string} path       route, e.g. "/projects/rover"
+ * @property {string} title
+ * @property {string} description
+ * @property {string} type       Open Graph type
+ * @property {{ file: string, title: string, subtitle: string, label: string }} image
+ *   preview card to generate, written to `/og/<file>`
+ * @property {object} jsonLd
+ * @property {string|null} lastmod
+ */
+
+/** @returns {PageMeta} */
+const homePage = () => ({
+  path: '/',
+  title: t('site.title'),
+  description: truncate(`${SITE.headline}. ${SITE.profile?.summary || ''}`),
+  type: 'profile',
+  image: { file: 'home.png', title: SITE.name || t('site.title'), subtitle: SITE.headline, label: 'MECH.OS // PORTFOLIO' },
+  jsonLd: { '@context': 'https://schema.org', '@graph': [person(), ...featuredProjects.map(creativeWork)] },
+  lastmod: projects.map((p) => p.date).filter(Boolean).sort().pop() || null,
+});
+
+/** @returns {PageMeta} */
+const projectPage = (project) => ({
+  path: `/projects/${project.id}`,
+  title: `${project.title} | ${t('site.title')}`,
+  description: truncate(project.description),
+  type: 'article',
+  image: {
+    file: `${project.id}.png`,
+    title: project.title,
+    subtitle: project.description,
+    label: [`${project.id.toUpperCase()}.OBJ`, project.discipline && t(`disciplines.${project.discipline}`), project.date]
+      .filter(Boolean).join(' // '),
+  },
+  jsonLd: { '@context': 'https://schema.org', '@graph': [person(), creativeWork(project)] },
+  lastmod: project.date,
+});
+
+/** Every page to prerender: the home page and one per project. */
+export const sitePages = () => [homePage(), ...projects.map(projectPage)];
+
+/**
+ * The tags that replace index.html's `<title>` for `page`. Canonical links
+ * and link previews need absolute URLs, so they are left out until site.json
+ * has a `url`.
+ */
+export const headTags = (page) => {
+  const linked = Boolean(SITE.url);
+  const url = absolute(page.path);
+  const image = absolute(`/og/${page.image.file}`);
+  const meta = (attr, key, content) => `<meta ${attr}="${key}" content="${escapeHtml(content)}" />`;
+  // `<` is escaped so a description can't close the script element.
+  const jsonLd = JSON.stringify(page.jsonLd).replace(/</g, '\\u003c');
+
+  return [
+    `<title>${escapeHtml(page.title)}</title>`,
+    meta('name', 'description', page.description),
+    linked && `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta('property', 'og:type', page.type),
+    meta('property', 'og:site_name', t('site.title')),
+    meta('property', 'og:title', page.title),
+    meta('property', 'og:description', page.description),
+    ...(linked ? [
+      meta('property', 'og:url', url),
+      meta('property', 'og:image', image),
+      meta('property', 'og:image:width', 1200),
+      meta('property', 'og:image:height', 630),
+      meta('property', 'og:image:alt', page.image.title),
+    ] : []),
+    meta('name', 'twitter:card', linked ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', page.title),
+    meta('name', 'twitter:description', page.description),
+    linked && meta('name', 'twitter:image', image),
+    `<script type="application/ld+json">${jsonLd}</script>`,
+  ].filter(Boolean).join('\n    ');
+};
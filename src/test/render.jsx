@@ -0,0 +1,51 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter, useLocation, useNavigate } from 'react-router-dom';
+import { LazyMotion, MotionConfig, domAnimation } from 'framer-motion';
+import axe from 'axe-core';
+import { I18nProvider } from '../i18n/I18nProvider.jsx';
+import { ThemeProvider } from '../theme/ThemeProvider.jsx';
+
+/**
+ * Renders `ui` inside the providers main.jsx sets up, with a memory router
+ * starting at `route` and framer-motion transitions finishing at once.
+ * @param {React.ReactElement} ui
+ * @param {{ route?: string }} [options]
+ */
+export const renderWithProviders = (ui, { route = '/' } = {}) => render(
+  <MemoryRouter initialEntries={[route]}>
+    <MotionConfig transition={{ duration: 0 }}>
+      <LazyMotion features={domAnimation} strict>
+        <I18nProvider>
+          <ThemeProvider>{ui}</ThemeProvider>
+        </I18nProvider>
+      </LazyMotion>
+    </MotionConfig>
+  </MemoryRouter>,
+);
+
+/**
+ * Stands in for the browser's back button and address bar; render it next
+ * to the component under test.
+ */
+export const HistoryControls = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  return (
+    <>
+      <button onClick={() => navigate(-1)}>Browser back</button>
+      <output data-testid="url">{`${location.pathname}${location.search}`}</output>
+    </>
+  );
+};
+
+/**
+ * axe-core violations inside `element`. Colour contrast needs real layout
+ * and canvas, which jsdom doesn't have, so it is left to manual checks.
+ * @param {Element} element
+ * @returns {Promise<string[]>} one "rule: node" line per violation
+ */
+export const axeViolations = async (element) => {
+  const { violations } = await axe.run(element, { rules: { 'color-contrast': { enabled: false } } });
+  return violations.flatMap((v) => v.nodes.map((node) => `${v.id}: ${node.target.join(' ')}`));
+};
@@ -0,0 +1,40 @@
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// --- JSDOM GAPS ---
+// jsdom has no layout engine and leaves out a few browser APIs the app reads
+// on mount. These stand-ins report a wide, visible, motion-friendly page.
+
+// useFocusTrap skips elements without a box (display: none, collapsed);
+// without layout nothing has one, so treat every attached element as shown.
+Element.prototype.getClientRects = function getClientRects() {
+  return this.isConnected ? [this.getBoundingClientRect()] : [];
+};
+
+window.matchMedia ??= (query) => ({
+  matches: false,
+  media: query,
+  onchange: null,
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  addListener: () => {},
+  removeListener: () => {},
+  dispatchEvent: () => false,
+});
+
+window.IntersectionObserver ??= class IntersectionObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return [];
+  }
+};
+
+window.scrollTo = () => {};
+Element.prototype.scrollIntoView ??= () => {};
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
@@ -0,0 +1,54 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { THEMES, DEFAULT_THEME, LIGHT_THEME, THEME_STORAGE_KEY } from './themes.js';
+
+// --- THEME PROVIDER ---
+// Holds the active preset, mirrors it onto <html data-theme> for the CSS
+// variables and remembers the visitor's pick. index.html applies the stored
+// choice before first paint, so this only has to agree with it.
+
+const ThemeContext = createContext(null);
+
+const storedTheme = () => {
+  try {
+    const id = localStorage.getItem(THEME_STORAGE_KEY);
+    return id in THEMES ? id : null;
+  } catch {
+    return null;
+  }
+};
+
+const initialTheme = () => {
+  if (typeof window === 'undefined') return DEFAULT_THEME;
+  return storedTheme() || (window.matchMedia('(prefers-color-scheme: light)').matches ? LIGHT_THEME : DEFAULT_THEME);
+};
+
+export const ThemeProvider = ({ children }) => {
+  const [themeId, setThemeId] = useState(initialTheme);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = themeId;
+  }, [themeId]);
+
+  const setTheme = useCallback((id) => {
+    if (!(id in THEMES)) return;
+    setThemeId(id);
+    try {
+      localStorage.setItem(THEME_STORAGE_KEY, id);
+    } catch {
+      // Private mode: the choice just won't outlive the visit.
+    }
+  }, []);
+
+  const value = useMemo(() => ({ themeId, theme: THEMES[themeId], setTheme }), [themeId, setTheme]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+/**
+ * The active preset (`theme`, with the hex values for three.js materials),
+ * its id and a setter that persists the choice.
+ */
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used inside a ThemeProvider.');
+  return context;
+};
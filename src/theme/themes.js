@@ -0,0 +1,97 @@
+// --- THEME PRESETS ---
+// The site's colours in one place. tailwind.config.js turns every preset into
+// CSS variables behind the `accent`, `warning`, `zinc`, `white` and `black`
+// palettes, and the three.js scenes read the same values through useTheme(),
+// so a class like `text-accent-500` and a material's `theme.accent` always
+// agree. Must stay free of browser and React imports; the Tailwind config
+// loads it under Node.
+//
+// Neutral names keep their dark-theme meaning in every preset so class names
+// read the same everywhere: `white` is the strongest foreground, `black` the
+// deepest shade and zinc-950 the page background. Light presets invert them.
+
+export const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+const ZINC = { 50: '#fafafa', 100: '#f4f4f5', 200: '#e4e4e7', 300: '#d4d4d8', 400: '#a1a1aa', 500: '#71717a', 600: '#52525b', 700: '#3f3f46', 800: '#27272a', 900: '#18181b', 950: '#09090b' };
+const SKY = { 50: '#f0f9ff', 100: '#e0f2fe', 200: '#bae6fd', 300: '#7dd3fc', 400: '#38bdf8', 500: '#0ea5e9', 600: '#0284c7', 700: '#0369a1', 800: '#075985', 900: '#0c4a6e', 950: '#082f49' };
+const CYAN = { 50: '#ecfeff', 100: '#cffafe', 200: '#a5f3fc', 300: '#67e8f9', 400: '#22d3ee', 500: '#06b6d4', 600: '#0891b2', 700: '#0e7490', 800: '#155e75', 900: '#164e63', 950: '#083344' };
+const BLUE = { 50: '#eff6ff', 100: '#dbeafe', 200: '#bfdbfe', 300: '#93c5fd', 400: '#60a5fa', 500: '#3b82f6', 600: '#2563eb', 700: '#1d4ed8', 800: '#1e40af', 900: '#1e3a8a', 950: '#172554' };
+
+// Mirror a scale around 500, for presets where "lighter" means "closer to the
+// background".
+const invert = (scale) => Object.fromEntries(SHADES.map((shade, i) => [shade, scale[SHADES[SHADES.length - 1 - i]]]));
+
+// Fills in the flat keys the scenes use from a preset's palettes.
+const preset = ({ label, scheme, white, black, zinc, accent, warning, steel, stars }) => ({
+  label,
+  scheme,
+  palettes: { white, black, zinc, accent, warning },
+  bg: zinc[950],
+  text: zinc[50],
+  accent: accent[500],
+  warning: warning[500],
+  muted: zinc[500],
+  border: zinc[800],
+  surface: zinc[900],
+  // Structural greys for background geometry, 900 closest to the background.
+  steel,
+  stars,
+});
+
+export const THEMES = {
+  cad: preset({
+    label: 'CAD',
+    scheme: 'dark',
+    white: '#ffffff',
+    black: '#000000',
+    zinc: ZINC,
+    accent: SKY,
+    warning: { 400: '#fbbf24', 500: '#f59e0b' },
+    steel: { 600: '#475569', 700: '#334155', 800: '#1e293b', 900: '#0f172a' },
+    stars: true,
+  }),
+  blueprint: preset({
+    label: 'BLUEPRINT',
+    scheme: 'dark',
+    white: '#ffffff',
+    black: '#061a30',
+    zinc: { 50: '#f5f9fd', 100: '#e9f1f9', 200: '#d7e4f1', 300: '#bcd0e6', 400: '#98b3d3', 500: '#6d8fb8', 600: '#4a73a3', 700: '#2a5a8f', 800: '#1a4475', 900: '#0f3560', 950: '#0b2a4a' },
+    accent: CYAN,
+    warning: { 400: '#fde047', 500: '#facc15' },
+    steel: { 600: '#3d74b0', 700: '#2a5f99', 800: '#1b4b80', 900: '#123a66' },
+    stars: true,
+  }),
+  print: preset({
+    label: 'PRINT',
+    scheme: 'light',
+    white: '#09090b',
+    black: '#ffffff',
+    zinc: invert(ZINC),
+    accent: { ...invert(BLUE), 500: BLUE[600] },
+    warning: { 400: '#d97706', 500: '#b45309' },
+    steel: { 600: '#52525b', 700: '#71717a', 800: '#a1a1aa', 900: '#d4d4d8' },
+    stars: false,
+  }),
+};
+
+export const DEFAULT_THEME = 'cad';
+
+// Used when the visitor hasn't picked a theme and their system asks for light.
+export const LIGHT_THEME = 'print';
+
+export const THEME_STORAGE_KEY = 'theme';
+
+const channels = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+
+/**
+ * CSS custom properties for a preset, as space-separated RGB channels so
+ * Tailwind's opacity modifiers (`bg-accent-500/10`) keep working.
+ */
+export const themeVariables = (theme) => {
+  const vars = {};
+  Object.entries(theme.palettes).forEach(([name, value]) => {
+    if (typeof value === 'string') vars[`--color-${name}`] = channels(value);
+    else Object.entries(value).forEach(([shade, hex]) => { vars[`--color-${name}-${shade}`] = channels(hex); });
+  });
+  return vars;
+};
@@ -0,0 +1,119 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { ChevronRight, ChevronDown, Eye, EyeOff, Crosshair, Network, RotateCcw } from 'lucide-react';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- ASSEMBLY EXPLORER UI ---
+
+// Wireframe box drawn around the highlighted part. Lives inside the Canvas and
+// follows the part while it is exploded. Drawn in the theme's warning colour
+// unless `color` is given.
+export const AssemblyHighlight = ({ object, color }) => {
+  const { theme } = useTheme();
+  color = color || theme.warning;
+  const helper = useMemo(() => (object ? new THREE.BoxHelper(object, color) : null), [object, color]);
+
+  useEffect(() => () => helper?.dispose(), [helper]);
+  useFrame(() => helper?.update());
+
+  return helper ? <primitive object={helper} /> : null;
+};
+
+const TreeNode = ({ node, depth, assembly }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(depth < 1);
+  const { hidden, toggleHidden, isolatedId, toggleIsolated, highlightedId, setHighlightedId } = assembly;
+  const isHidden = hidden.has(node.id);
+  const isIsolated = isolatedId === node.id;
+  const isHighlighted = highlightedId === node.id;
+
+  return (
+    <li>
+      <div
+        className={`group flex items-center gap-1 pr-1 rounded ${isHighlighted ? 'bg-warning-500/10 text-warning-400' : 'text-zinc-400 hover:bg-white/5 hover:text-white'}`}
+        style={{ paddingLeft: depth * 12 }}
+        onMouseEnter={() => setHighlightedId(node.id)}
+        onMouseLeave={() => setHighlightedId(null)}
+      >
+        <button
+          onClick={() => setOpen(!open)}
+          className={`p-0.5 text-zinc-600 hover:text-white ${node.children.length ? '' : 'invisible'}`}
+          aria-label={open ? t('assembly.collapse') : t('assembly.expand')}
+        >
+          {open ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+        </button>
+        <span className={`flex-1 truncate py-1 ${isHidden ? 'line-through opacity-50' : ''}`} title={node.name}>{node.name}</span>
+        <button
+          onClick={() => toggleIsolated(node.id)}
+          className={`p-0.5 ${isIsolated ? 'text-accent-400' : 'text-zinc-600 opacity-0 group-hover:opacity-100 hover:text-white'}`}
+          title={isIsolated ? t('assembly.showAll') : t('assembly.isolate')}
+        >
+          <Crosshair size={10} />
+        </button>
+        <button
+          onClick={() => toggleHidden(node.id)}
+          className={`p-0.5 ${isHidden ? 'text-zinc-500' : 'text-zinc-600 opacity-0 group-hover:opacity-100 hover:text-white'}`}
+          title={isHidden ? t('assembly.show') : t('assembly.hide')}
+        >
+          {isHidden ? <EyeOff size={10} /> : <Eye size={10} />}
+        </button>
+      </div>
+      {open && node.children.length > 0 && (
+        <ul>
+          {node.children.map((child) => (
+            <TreeNode key={child.id} node={child} depth={depth + 1} assembly={assembly} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Collapsible assembly tree plus exploded-view slider, overlaid on the viewport.
+ * @param {{ assembly: ReturnType<typeof import('./assembly.js').useAssembly> }} props
+ */
+export const AssemblyPanel = ({ assembly }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const { tree, canExplode, explode, setExplode, reset } = assembly;
+
+  if (!tree) return null;
+
+  return (
+    <div className="absolute top-6 right-6 z-10 w-64 max-h-[calc(100%-6rem)] flex flex-col bg-zinc-950/80 backdrop-blur-sm border border-white/10 rounded text-[10px] font-mono">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-white/10">
+        <button onClick={() => setOpen(!open)} className="flex items-center gap-2 text-accent-500 tracking-widest hover:text-white">
+          <Network size={12} /> {t('assembly.tree')} {open ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+        </button>
+        <button onClick={reset} className="text-zinc-500 hover:text-white" title={t('assembly.reset')}>
+          <RotateCcw size={12} />
+        </button>
+      </div>
+
+      {open && (
+        <ul className="flex-1 overflow-y-auto p-2 scrollbar-thin scrollbar-thumb-zinc-800 scrollbar-track-transparent">
+          <TreeNode node={tree} depth={0} assembly={assembly} />
+        </ul>
+      )}
+
+      {canExplode && (
+        <label className="flex items-center gap-3 px-3 py-2 border-t border-white/10 text-zinc-500">
+          <span className="tracking-widest">{t('assembly.explode')}</span>
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.01}
+            value={explode}
+            onChange={(e) => setExplode(Number(e.target.value))}
+            className="flex-1 accent-accent-500"
+          />
+          <span className="w-8 text-right text-white">{Math.round(explode * 100)}%</span>
+        </label>
+      )}
+    </div>
+  );
+};
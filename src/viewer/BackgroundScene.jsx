@@ -0,0 +1,150 @@
+import React, { useState, useRef, useMemo, Suspense } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { PerspectiveCamera, Stars, PerformanceMonitor } from '@react-three/drei';
+import { GearTrain } from './GearTrain.jsx';
+import { ViewportCanvas } from './ViewportCanvas.jsx';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+
+// --- BACKGROUND SCENE ---
+// The hero's 3D backdrop, in its own chunk so the page paints (over the
+// static poster) before three.js has downloaded.
+
+// 1. GEAR TRAIN
+// A meshing involute train: the 16-tooth driver turns the wireframe pinion
+// and, through the 24-tooth idler, the 12-tooth output.
+const backgroundTrain = (theme) => ({
+  module: 0.25,
+  pressureAngle: 20,
+  backlash: 0.02,
+  faceWidth: 0.4,
+  gears: [
+    { teeth: 16, color: theme.steel[800] },
+    { teeth: 10, mesh: 0, angle: 10, color: theme.accent, wireframe: true },
+    { teeth: 24, mesh: 0, angle: -95, color: theme.steel[900] },
+    { teeth: 12, mesh: 2, angle: -15, color: theme.steel[700] },
+  ],
+});
+
+// 2. PROCEDURAL DRONE
+const Drone = () => {
+  const { theme } = useTheme();
+  const groupRef = useRef();
+  
+  useFrame(({ clock }) => {
+    if (!groupRef.current) return;
+    const t = clock.getElapsedTime();
+    
+    // Flight Path
+    groupRef.current.position.x = Math.sin(t * 0.5) * 8;
+    groupRef.current.position.y = Math.cos(t * 0.3) * 4 + 2;
+    groupRef.current.position.z = Math.sin(t * 0.2) * 5 - 5;
+    
+    // Banking
+    groupRef.current.rotation.z = -Math.cos(t * 0.5) * 0.2;
+    groupRef.current.rotation.x = Math.sin(t * 0.3) * 0.1;
+  });
+
+  return (
+    <group ref={groupRef} scale={0.5}>
+       <mesh>
+         <boxGeometry args={[1, 0.2, 1]} />
+         <meshStandardMaterial color={theme.steel[700]} />
+       </mesh>
+       <mesh rotation={[0, Math.PI/4, 0]}>
+         <boxGeometry args={[2.5, 0.1, 0.2]} />
+         <meshStandardMaterial color={theme.steel[800]} />
+       </mesh>
+       <mesh rotation={[0, -Math.PI/4, 0]}>
+         <boxGeometry args={[2.5, 0.1, 0.2]} />
+         <meshStandardMaterial color={theme.steel[800]} />
+       </mesh>
+       {[[-1, 0, 1], [1, 0, 1], [-1, 0, -1], [1, 0, -1]].map((pos, i) => (
+         <mesh key={i} position={[pos[0], 0.2, pos[2]]}>
+            <cylinderGeometry args={[0.4, 0.4, 0.05, 8]} />
+            <meshStandardMaterial color={theme.accent} emissive={theme.accent} emissiveIntensity={0.5} transparent opacity={0.6} />
+         </mesh>
+       ))}
+    </group>
+  );
+};
+
+// 3. BACKGROUND SCENE
+// Effects per quality tier; BackgroundView steps down as frame time grows.
+const BACKGROUND_QUALITY = {
+  high: { stars: 1000, drone: true },
+  medium: { stars: 400, drone: true },
+  low: { stars: 0, drone: false },
+};
+
+const MainScene = ({ quality = BACKGROUND_QUALITY.high }) => {
+  const { theme } = useTheme();
+  const train = useMemo(() => backgroundTrain(theme), [theme]);
+  const groupRef = useRef();
+
+  useFrame((state) => {
+    const t = state.clock.getElapsedTime();
+    if (groupRef.current) {
+      groupRef.current.rotation.y = Math.sin(t * 0.1) * 0.1;
+    }
+  });
+
+  return (
+    <>
+      <PerspectiveCamera makeDefault position={[0, 0, 10]} fov={50} />
+      <color attach="background" args={[theme.bg]} />
+      
+      <ambientLight intensity={0.2} />
+      <spotLight position={[10, 10, 10]} angle={0.5} penumbra={1} intensity={1} color={theme.accent} />
+      <spotLight position={[-10, -10, -5]} angle={0.5} penumbra={1} intensity={0.5} color="white" />
+      
+      <group ref={groupRef} rotation={[0.5, 0, 0]} position={[2, 0, -5]}>
+        <GearTrain train={train} speed={0.1} position={[-2, 2, 0]} />
+        <mesh position={[-2, 2, -2]} rotation={[Math.PI/2, 0, 0]}>
+          <cylinderGeometry args={[0.2, 0.2, 8, 16]} />
+          <meshStandardMaterial color={theme.steel[600]} metalness={0.9} roughness={0.2} />
+        </mesh>
+      </group>
+
+      {quality.drone && <Drone />}
+      {theme.stars && quality.stars > 0 && <Stars radius={100} depth={50} count={quality.stars} factor={4} saturation={0} fade speed={1} />}
+      <fog attach="fog" args={[theme.bg, 5, 20]} />
+    </>
+  );
+};
+
+// 4. CANVAS
+
+// Highest DPR worth rendering the background at; sharper adds nothing behind
+// the page's gradient overlays.
+const MAX_BACKGROUND_DPR = 2;
+
+const qualityTier = (factor) => (factor < 0.3 ? 'low' : factor < 0.6 ? 'medium' : 'high');
+
+/**
+ * Renders continuously while `animate` is set, otherwise a single still
+ * frame. While animating, PerformanceMonitor's frame-time factor scales the
+ * DPR and drops stars and the drone on slow devices.
+ * @param {{ animate: boolean }} props
+ */
+const BackgroundScene = ({ animate }) => {
+  const maxDpr = Math.min(window.devicePixelRatio || 1, MAX_BACKGROUND_DPR);
+  const [dpr, setDpr] = useState(maxDpr);
+  const [tier, setTier] = useState('high');
+
+  const adapt = ({ factor }) => {
+    setDpr(Math.round((1 + (maxDpr - 1) * factor) * 4) / 4);
+    setTier(qualityTier(factor));
+  };
+
+  return (
+    <ViewportCanvas surface="background" status={false} dpr={dpr} frameloop={animate ? 'always' : 'demand'} gl={{ antialias: true }}>
+      <PerformanceMonitor factor={1} onChange={adapt} onFallback={() => adapt({ factor: 0 })}>
+        <Suspense fallback={null}>
+          <MainScene quality={BACKGROUND_QUALITY[tier]} />
+        </Suspense>
+      </PerformanceMonitor>
+    </ViewportCanvas>
+  );
+};
+
+export default BackgroundScene;
@@ -0,0 +1,149 @@
+import React, { useEffect, useImperativeHandle, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { GizmoHelper, GizmoViewcube, useBounds } from '@react-three/drei';
+import * as THREE from 'three';
+import { Focus, Pause, Play } from 'lucide-react';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- CAMERA NAVIGATION ---
+// CAD-style views for the project viewport: snaps to the standard
+// directions, the project's named bookmarks, a view cube and fit-to-model.
+// Snaps and bookmarks glide the camera and the orbit target together; fit
+// goes through the viewport's <Bounds>, as the initial framing does.
+
+// View directions, from the model's centre towards the camera. Top leans a
+// hair towards the front so the orbit never looks exactly along its up axis.
+export const CAMERA_PRESETS = {
+  front: [0, 0, 1],
+  top: [0, 1, 0.001],
+  right: [1, 0, 0],
+  iso: [1, 1, 1],
+};
+
+const TRANSITION_SECONDS = 0.8;
+
+const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);
+
+/**
+ * Camera commands for the HTML toolbar and the data panel, handed out
+ * through `rigRef` since they run outside the canvas. Must sit inside
+ * <Bounds>, with OrbitControls as the default controls.
+ *
+ *   preset(name)          glide to a CAMERA_PRESETS view at fitting distance
+ *   bookmark(view, frame) glide to a `views` entry, given in `frame`'s units
+ *   fit()                 reframe the whole model through <Bounds>
+ *
+ * @param {{ rigRef: React.MutableRefObject<object | null> }} props
+ */
+export const CameraRig = ({ rigRef }) => {
+  const bounds = useBounds();
+  const { camera, controls } = useThree();
+  const move = useRef(null);
+
+  // Grabbing the view ends a glide in progress.
+  useEffect(() => {
+    if (!controls) return undefined;
+    const stop = () => { move.current = null; };
+    controls.addEventListener('start', stop);
+    return () => controls.removeEventListener('start', stop);
+  }, [controls]);
+
+  useFrame((_, delta) => {
+    const glide = move.current;
+    if (!glide || !controls) return;
+    glide.t = Math.min(1, glide.t + delta / TRANSITION_SECONDS);
+    const k = easeInOut(glide.t);
+    camera.position.lerpVectors(glide.from.position, glide.to.position, k);
+    controls.target.lerpVectors(glide.from.target, glide.to.target, k);
+    controls.update();
+    if (glide.t === 1) move.current = null;
+  });
+
+  useImperativeHandle(rigRef, () => {
+    const glideTo = (position, target) => {
+      if (!controls) return;
+      move.current = {
+        t: 0,
+        from: { position: camera.position.clone(), target: controls.target.clone() },
+        to: { position, target },
+      };
+    };
+
+    return {
+      preset: (name) => {
+        // refresh() also drops the goal of a fit still under way.
+        const { center, distance } = bounds.refresh().getSize();
+        const direction = new THREE.Vector3(...CAMERA_PRESETS[name]).normalize();
+        glideTo(center.clone().addScaledVector(direction, distance), center);
+      },
+      bookmark: (view, frame) => {
+        bounds.refresh();
+        glideTo(frame.localToWorld(new THREE.Vector3(...view.position)), frame.localToWorld(new THREE.Vector3(...view.target)));
+      },
+      fit: () => {
+        move.current = null;
+        bounds.refresh().clip().fit();
+      },
+    };
+  }, [bounds, camera, controls]);
+
+  return null;
+};
+
+/**
+ * Clickable view cube in the viewport's lower left, in the theme's colours.
+ * Faces, edges and corners turn the camera to look along them; `onNavigate`
+ * fires on each click.
+ * @param {{ onNavigate: () => void }} props
+ */
+export const ViewCube = ({ onNavigate }) => {
+  const { theme } = useTheme();
+  const { t } = useI18n();
+  const faces = ['right', 'left', 'top', 'bottom', 'front', 'back'].map((face) => t(`camera.faces.${face}`));
+
+  return (
+    <GizmoHelper alignment="bottom-left" margin={[72, 140]}>
+      <group onClick={onNavigate}>
+        <GizmoViewcube
+          faces={faces}
+          font="bold 18px ui-monospace, monospace"
+          color={theme.surface}
+          textColor={theme.text}
+          strokeColor={theme.border}
+          hoverColor={theme.accent}
+        />
+      </group>
+    </GizmoHelper>
+  );
+};
+
+/**
+ * Preset snaps, fit-to-model and the auto-rotate pause, under the view cube.
+ * @param {{ onPreset: (name: string) => void, onFit: () => void, motion: boolean, onToggleMotion: () => void }} props
+ */
+export const CameraToolbar = ({ onPreset, onFit, motion, onToggleMotion }) => {
+  const { t } = useI18n();
+  const button = 'px-2 py-1 bg-zinc-950/80 border border-white/10 rounded text-zinc-500 hover:text-white hover:border-accent-500/50 transition-colors';
+
+  return (
+    <div className="absolute bottom-14 left-6 z-10 flex items-center gap-1 text-[10px] font-mono tracking-widest">
+      {Object.keys(CAMERA_PRESETS).map((name) => (
+        <button key={name} onClick={() => onPreset(name)} className={button}>
+          {t(`camera.presets.${name}`)}
+        </button>
+      ))}
+      <button onClick={onFit} className={`${button} ml-1`} title={t('camera.fit')} aria-label={t('camera.fit')}>
+        <Focus size={12} />
+      </button>
+      <button
+        onClick={onToggleMotion}
+        className={button}
+        title={t(motion ? 'camera.pause' : 'camera.resume')}
+        aria-label={t(motion ? 'camera.pause' : 'camera.resume')}
+      >
+        {motion ? <Pause size={12} /> : <Play size={12} />}
+      </button>
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+import React, { forwardRef, useMemo, useRef, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { involuteGearShape, layoutGearTrain } from './gears.js';
+
+// --- GEAR TRAIN ---
+// Involute spur gears laid out and driven by layoutGearTrain, so every mesh
+// is at the right centre distance and turns at its tooth ratio.
+
+// Longest step the animation takes in one frame, so the train doesn't jump
+// after the frameloop has been paused.
+const MAX_STEP = 0.1;
+
+/**
+ * One extruded spur gear, centred on its face width and turning about Z.
+ * Takes the same options as involuteGearShape plus `faceWidth` and material
+ * props; `wireframe` gears glow in their own colour.
+ */
+export const InvoluteGear = forwardRef(({
+  module,
+  teeth,
+  pressureAngle = 20,
+  backlash = 0,
+  holeRadius,
+  faceWidth = module * 8,
+  color = '#334155',
+  wireframe = false,
+  ...props
+}, ref) => {
+  const geometry = useMemo(() => {
+    const shape = involuteGearShape({ module, teeth, pressureAngle, backlash, holeRadius });
+    const bevel = module * 0.08;
+    const geo = new THREE.ExtrudeGeometry(shape, {
+      depth: faceWidth - bevel * 2,
+      bevelEnabled: true,
+      bevelThickness: bevel,
+      bevelSize: bevel,
+      bevelSegments: 1,
+      curveSegments: 16,
+    });
+    geo.translate(0, 0, -(faceWidth - bevel * 2) / 2);
+    return geo;
+  }, [module, teeth, pressureAngle, backlash, holeRadius, faceWidth]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <mesh ref={ref} geometry={geometry} {...props}>
+      <meshStandardMaterial
+        color={color}
+        roughness={0.5}
+        metalness={0.8}
+        wireframe={wireframe}
+        emissive={wireframe ? color : '#000000'}
+        emissiveIntensity={wireframe ? 0.5 : 0}
+      />
+    </mesh>
+  );
+});
+InvoluteGear.displayName = 'InvoluteGear';
+
+/**
+ * A described gear train, animated with correct relative speeds.
+ * @param {{ train: { module: number, pressureAngle?: number, backlash?: number, faceWidth?: number, gears: object[] }, speed?: number, paused?: boolean }} props
+ *   `train.gears` as for layoutGearTrain, each optionally with `color` and
+ *   `wireframe`. `speed` is the first gear's angular velocity in rad/s.
+ */
+export const GearTrain = ({ train, speed = 0.5, paused = false, ...props }) => {
+  const layout = useMemo(() => layoutGearTrain(train), [train]);
+  const gearRefs = useRef([]);
+  const angle = useRef(0);
+
+  useFrame((_, delta) => {
+    if (!paused) angle.current += Math.min(delta, MAX_STEP) * speed;
+    layout.forEach((gear, i) => {
+      const ref = gearRefs.current[i];
+      if (ref) ref.rotation.z = gear.phase + gear.ratio * angle.current;
+    });
+  });
+
+  return (
+    <group {...props}>
+      {layout.map((gear, i) => (
+        <InvoluteGear
+          key={i}
+          ref={(el) => { gearRefs.current[i] = el; }}
+          module={gear.module}
+          teeth={gear.teeth}
+          pressureAngle={gear.pressureAngle}
+          backlash={train.backlash}
+          holeRadius={gear.holeRadius}
+          faceWidth={gear.faceWidth ?? train.faceWidth}
+          color={gear.color}
+          wireframe={gear.wireframe}
+          position={gear.position}
+          rotation={[0, 0, gear.phase]}
+        />
+      ))}
+    </group>
+  );
+};
@@ -0,0 +1,338 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { Ruler, Scissors, MessageSquare, FlipHorizontal, X } from 'lucide-react';
+import { SECTION_AXES, isShown } from './inspection.js';
+import { boxInFrame } from './assembly.js';
+import { globToRegExp } from './modelTuning.js';
+import { MODEL_UNITS } from '../content/schema.js';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+import { fromMetres, lengthUnit } from '../i18n/units.js';
+
+// --- INSPECTION TOOLS ---
+// R3F pieces render inside the Canvas; InspectionToolbar is the DOM overlay
+// that drives them.
+
+/**
+ * Formatter for distances given in a model's file `units`, read out in mm or
+ * inches to suit the visitor's locale.
+ */
+export const useFormatLength = () => {
+  const { units: system, formatNumber } = useI18n();
+  return (value, units) => {
+    const length = fromMetres(value * MODEL_UNITS[units], system);
+    return `${formatNumber(length, length < 10 ? 3 : 2)} ${lengthUnit(system)}`;
+  };
+};
+
+// 1. MEASUREMENT (rendered inside the model frame)
+
+const Marker = ({ position, children }) => (
+  <Html position={position} center style={{ pointerEvents: 'none' }}>
+    {children || <div className="w-2 h-2 rounded-full bg-warning-500 ring-2 ring-black" />}
+  </Html>
+);
+
+/**
+ * Point-to-point distance readout. Points are in the model's file `units`;
+ * `scale` is the model's extra scale factor, applied before conversion.
+ */
+export const MeasureOverlay = ({ points, units, scale = 1 }) => {
+  const { theme } = useTheme();
+  const formatLength = useFormatLength();
+  if (!points.length) return null;
+  const [a, b] = points;
+
+  return (
+    <>
+      {points.map((p, i) => <Marker key={i} position={p} />)}
+      {b && (
+        <>
+          <Line points={[a, b]} color={theme.warning} lineWidth={2} depthTest={false} renderOrder={2} />
+          <Marker position={a.clone().lerp(b, 0.5)}>
+            <div className="px-2 py-1 bg-black/80 border border-warning-500/50 rounded text-[10px] font-mono text-warning-400 whitespace-nowrap">
+              {formatLength(a.distanceTo(b) * scale, units)}
+            </div>
+          </Marker>
+        </>
+      )}
+    </>
+  );
+};
+
+// 2. SECTION PLANE WITH CAPS (rendered in world space)
+// Caps use the stencil technique from three.js' clipping examples: each mesh
+// is drawn again, back faces incrementing and front faces decrementing the
+// stencil buffer, which leaves a non-zero value exactly where the plane cuts
+// through solid material. The cap quad is then drawn only there.
+
+const stencilMaterial = (plane, side, op) => new THREE.MeshBasicMaterial({
+  side,
+  clippingPlanes: [plane],
+  depthWrite: false,
+  depthTest: false,
+  colorWrite: false,
+  stencilWrite: true,
+  stencilFunc: THREE.AlwaysStencilFunc,
+  stencilFail: op,
+  stencilZFail: op,
+  stencilZPass: op,
+});
+
+export const SectionPlane = ({ root, section }) => {
+  const { gl } = useThree();
+  const { theme } = useTheme();
+  const capRef = useRef();
+  const { plane, axis, offset, flipped } = section;
+
+  const capMaterial = useMemo(() => new THREE.MeshStandardMaterial({
+    metalness: 0.1,
+    roughness: 0.75,
+    side: THREE.DoubleSide,
+    stencilWrite: true,
+    stencilRef: 0,
+    stencilFunc: THREE.NotEqualStencilFunc,
+    stencilFail: THREE.ReplaceStencilOp,
+    stencilZFail: THREE.ReplaceStencilOp,
+    stencilZPass: THREE.ReplaceStencilOp,
+  }), []);
+
+  useEffect(() => () => capMaterial.dispose(), [capMaterial]);
+  useEffect(() => { capMaterial.color.set(theme.warning); }, [capMaterial, theme.warning]);
+
+  // Clip the model's materials and attach stencil helpers; undo on exit so
+  // the cached scene is left untouched.
+  useEffect(() => {
+    const back = stencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+    const front = stencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+    const saved = new Map();
+    const helpers = [];
+
+    root.traverse((child) => {
+      if (!child.isMesh || child.userData.sectionHelper || child.userData.tuningHidden) return;
+      [].concat(child.material).forEach((m) => {
+        if (!saved.has(m)) saved.set(m, m.clippingPlanes);
+        m.clippingPlanes = [plane];
+        m.needsUpdate = true;
+      });
+      for (const material of [back, front]) {
+        const helper = new THREE.Mesh(child.geometry, material);
+        helper.renderOrder = 1;
+        helper.raycast = () => {};
+        helper.userData.sectionHelper = true;
+        helpers.push([child, helper]);
+      }
+    });
+    helpers.forEach(([mesh, helper]) => mesh.add(helper));
+
+    const previousLocal = gl.localClippingEnabled;
+    gl.localClippingEnabled = true;
+
+    return () => {
+      gl.localClippingEnabled = previousLocal;
+      helpers.forEach(([mesh, helper]) => mesh.remove(helper));
+      saved.forEach((planes, m) => {
+        m.clippingPlanes = planes;
+        m.needsUpdate = true;
+      });
+      back.dispose();
+      front.dispose();
+    };
+  }, [root, plane, gl]);
+
+  // The plane sweeps the model's current bounds, so it keeps up with the
+  // exploded view and part visibility.
+  useFrame(() => {
+    const box = boxInFrame(root);
+    if (box.isEmpty()) return;
+    const normal = SECTION_AXES[axis].clone().multiplyScalar(flipped ? 1 : -1);
+    const point = box.getCenter(new THREE.Vector3());
+    point[axis] = THREE.MathUtils.lerp(box.min[axis], box.max[axis], offset);
+    plane.setFromNormalAndCoplanarPoint(normal, point);
+
+    const cap = capRef.current;
+    if (!cap) return;
+    plane.coplanarPoint(cap.position);
+    cap.lookAt(cap.position.clone().sub(plane.normal));
+    cap.scale.setScalar(box.getSize(new THREE.Vector3()).length() * 1.5);
+  });
+
+  return (
+    <mesh
+      ref={capRef}
+      material={capMaterial}
+      renderOrder={1.1}
+      raycast={() => {}}
+      userData={{ sectionHelper: true }}
+      onAfterRender={(renderer) => renderer.clearStencil()}
+    >
+      <planeGeometry />
+    </mesh>
+  );
+};
+
+// 3. ANNOTATION HOTSPOTS (rendered inside the model frame)
+
+const findNode = (root, pattern) => {
+  const regex = globToRegExp(pattern);
+  let found = null;
+  root.traverse((node) => {
+    if (!found && node.name && regex.test(node.name)) found = node;
+  });
+  return found;
+};
+
+const Hotspot = ({ index, annotation, root, open, onToggle }) => {
+  const { t } = useI18n();
+  const groupRef = useRef();
+  const domRef = useRef();
+  const node = useMemo(() => (annotation.node ? findNode(root, annotation.node) : null), [annotation.node, root]);
+
+  // Node-tied callouts follow their part through explode, and disappear
+  // with it when it is hidden or isolated away. Html ignores `visible`, so
+  // the DOM is toggled directly.
+  useFrame(() => {
+    const group = groupRef.current;
+    if (!group || !node) return;
+    if (domRef.current) domRef.current.style.display = isShown(node) ? '' : 'none';
+    const box = boxInFrame(node, group.parent);
+    if (!box.isEmpty()) box.getCenter(group.position);
+  });
+
+  if (annotation.node && !node) return null;
+
+  return (
+    <group ref={groupRef} position={annotation.position}>
+      <Html center zIndexRange={[20, 10]}>
+        <div ref={domRef} className="relative">
+          <button
+            onClick={onToggle}
+            className={`w-6 h-6 rounded-full border text-[10px] font-mono font-bold flex items-center justify-center transition-colors ${open ? 'bg-accent-500 border-accent-300 text-white' : 'bg-black/70 border-accent-500 text-accent-400 hover:bg-accent-500 hover:text-white'}`}
+            aria-expanded={open}
+            aria-label={annotation.title}
+          >
+            {index + 1}
+          </button>
+          {open && (
+            <div className="absolute left-8 top-1/2 -translate-y-1/2 w-56 p-3 bg-zinc-950/95 border border-accent-500/40 rounded shadow-xl shadow-black">
+              <div className="text-[10px] font-mono text-accent-500 tracking-widest mb-1">{t('inspection.note', { number: String(index + 1).padStart(2, '0') })}</div>
+              <div className="text-sm font-bold text-white mb-1">{annotation.title}</div>
+              <p className="text-xs text-zinc-400 leading-relaxed">{annotation.text}</p>
+            </div>
+          )}
+        </div>
+      </Html>
+    </group>
+  );
+};
+
+/**
+ * Numbered callouts from the project's `annotations`, placed at a node's
+ * centre or at a coordinate in model units.
+ */
+export const AnnotationHotspots = ({ annotations, root }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  return annotations.map((annotation, i) => (
+    <Hotspot
+      key={i}
+      index={i}
+      annotation={annotation}
+      root={root}
+      open={openIndex === i}
+      onToggle={() => setOpenIndex(openIndex === i ? null : i)}
+    />
+  ));
+};
+
+// 4. TOOLBAR (DOM overlay)
+
+const ToolButton = ({ active, onClick, label, children }) => (
+  <button
+    onClick={onClick}
+    title={label}
+    aria-pressed={active}
+    className={`w-8 h-8 flex items-center justify-center rounded border transition-colors ${active ? 'bg-accent-500/20 border-accent-500 text-accent-400' : 'bg-zinc-950/80 border-white/10 text-zinc-500 hover:text-white hover:border-white/30'}`}
+  >
+    {children}
+  </button>
+);
+
+export const InspectionToolbar = ({ inspection, units, scale = 1, hasAnnotations }) => {
+  const { t } = useI18n();
+  const formatLength = useFormatLength();
+  const { measure, section, annotations } = inspection;
+  const [a, b] = measure.points;
+
+  return (
+    <div className="absolute top-24 left-6 z-10 flex items-start gap-2 text-[10px] font-mono">
+      <div className="flex flex-col gap-2">
+        <ToolButton active={measure.active} onClick={() => measure.setActive(!measure.active)} label={t('inspection.measure')}>
+          <Ruler size={14} />
+        </ToolButton>
+        <ToolButton active={section.enabled} onClick={() => section.setEnabled(!section.enabled)} label={t('inspection.section')}>
+          <Scissors size={14} />
+        </ToolButton>
+        {hasAnnotations && (
+          <ToolButton active={annotations.visible} onClick={() => annotations.setVisible(!annotations.visible)} label={t('inspection.annotations')}>
+            <MessageSquare size={14} />
+          </ToolButton>
+        )}
+      </div>
+
+      <div className="flex flex-col gap-2">
+        {measure.active && (
+          <div className="px-3 py-2 bg-zinc-950/80 backdrop-blur-sm border border-white/10 rounded text-zinc-500 min-w-[11rem]">
+            <div className="flex items-center justify-between gap-3 mb-1">
+              <span className="text-accent-500 tracking-widest">{t('inspection.measureTitle')}</span>
+              {measure.points.length > 0 && (
+                <button onClick={measure.clear} className="hover:text-white" title={t('inspection.clear')}><X size={10} /></button>
+              )}
+            </div>
+            {b ? (
+              <span>{t('inspection.distance')} <span className="text-warning-400">{formatLength(a.distanceTo(b) * scale, units)}</span></span>
+            ) : (
+              <span>{a ? t('inspection.pickSecond') : t('inspection.pickFirst')}</span>
+            )}
+          </div>
+        )}
+
+        {section.enabled && (
+          <div className="px-3 py-2 bg-zinc-950/80 backdrop-blur-sm border border-white/10 rounded text-zinc-500 min-w-[11rem] flex flex-col gap-2">
+            <span className="text-accent-500 tracking-widest">{t('inspection.sectionTitle')}</span>
+            <div className="flex items-center gap-1">
+              {Object.keys(SECTION_AXES).map((key) => (
+                <button
+                  key={key}
+                  onClick={() => section.setAxis(key)}
+                  className={`w-6 py-0.5 rounded border uppercase ${section.axis === key ? 'border-accent-500 text-accent-400' : 'border-white/10 hover:text-white'}`}
+                >
+                  {key}
+                </button>
+              ))}
+              <button
+                onClick={() => section.setFlipped(!section.flipped)}
+                className={`ml-auto p-1 rounded border ${section.flipped ? 'border-accent-500 text-accent-400' : 'border-white/10 hover:text-white'}`}
+                title={t('inspection.flip')}
+              >
+                <FlipHorizontal size={10} />
+              </button>
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.005}
+              value={section.offset}
+              onChange={(e) => section.setOffset(Number(e.target.value))}
+              className="accent-accent-500"
+              aria-label={t('inspection.offset')}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
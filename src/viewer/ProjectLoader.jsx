@@ -0,0 +1,38 @@
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import { useDownloadProgress } from './loadProgress.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * Viewport overlay while the viewer code or a project's model is on its way.
+ * With `src` it shows the bytes received so far, and a bar once the server
+ * has sent the file size.
+ * @param {{ src?: string | null }} props
+ */
+export const HTMLProjectLoader = ({ src = null }) => {
+  const { t, formatNumber } = useI18n();
+  const download = useDownloadProgress(src);
+  const fraction = download?.total ? Math.min(1, download.loaded / download.total) : null;
+  const megabytes = (bytes) => formatNumber(bytes / MEGABYTE, 1);
+
+  return (
+    <div role="status" className="absolute inset-0 flex flex-col items-center justify-center text-white z-20 pointer-events-none">
+       <Loader2 className="w-8 h-8 animate-spin text-accent-500 mb-2" />
+       <span className="text-xs font-mono tracking-widest text-zinc-500">{t('viewer.loading')}</span>
+       {download && (
+         <>
+           <div className="mt-3 w-48 h-1 bg-white/10 rounded overflow-hidden">
+              {fraction !== null && <div className="h-full bg-accent-500 transition-[width]" style={{ width: `${fraction * 100}%` }} />}
+           </div>
+           <span className="mt-2 text-[10px] font-mono text-zinc-500">
+              {fraction !== null
+                ? t('viewer.progress', { loaded: megabytes(download.loaded), total: megabytes(download.total), percent: Math.round(fraction * 100) })
+                : t('viewer.received', { loaded: megabytes(download.loaded) })}
+           </span>
+         </>
+       )}
+    </div>
+  );
+};
@@ -0,0 +1,210 @@
+import React, { Component, useMemo, useState } from 'react';
+import { Box3, Euler, Matrix4, Vector3 } from 'three';
+import { useLoader } from '@react-three/fiber';
+import { Center } from '@react-three/drei';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { MODEL_UNITS } from '../content/schema.js';
+import { useModelTuning } from './modelTuning.js';
+import { withProgress } from './loadProgress.js';
+import { assetUrl } from './modelDetail.js';
+import { gpuCapabilities } from './webgl.js';
+import { reportError } from '../reporting/errors.js';
+
+// Rotation that brings each supported up-axis onto three.js' +Y.
+const UP_ROTATION = {
+  y: [0, 0, 0],
+  z: [-Math.PI / 2, 0, 0],
+};
+
+// --- FORMAT LOADERS ---
+// Each loader hands its object to useModelTuning, which applies the model's
+// hide rules and material overrides. The loaders report download progress
+// for the viewport's loading overlay.
+
+const ProgressGLTFLoader = withProgress(GLTFLoader);
+const ProgressSTLLoader = withProgress(STLLoader);
+const ProgressOBJLoader = withProgress(OBJLoader);
+
+// The decoders drei's useGLTF sets up: Draco and meshopt. KTX2 textures from
+// scripts/optimize-models.js are transcoded by Basis. The Draco and Basis
+// files are served from the site by plugins/decoders.js, copied from the
+// installed three.js.
+const DRACO_DECODER_PATH = '/decoders/draco/';
+const BASIS_TRANSCODER_PATH = '/decoders/basis/';
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// Models are preloaded before any canvas exists, so KTX2Loader is set up
+// from the WebGL probe. detectSupport only reads `extensions.has()` and
+// `capabilities.isWebGL2` off the renderer, which the probe can answer.
+const getKTX2Loader = () => {
+  const gpu = gpuCapabilities();
+  if (!ktx2Loader && gpu) {
+    const loader = new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH);
+    loader.detectSupport({ extensions: gpu.extensions, capabilities: { isWebGL2: gpu.webgl2 } });
+    ktx2Loader = loader;
+  }
+  return ktx2Loader;
+};
+
+const extendGLTF = (loader) => {
+  dracoLoader ??= new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+  const ktx2 = getKTX2Loader();
+  loader.setDRACOLoader(dracoLoader);
+  if (ktx2) loader.setKTX2Loader(ktx2);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+};
+
+const GLTFAsset = ({ model, src, onReady }) => {
+  const { scene } = useLoader(ProgressGLTFLoader, src, extendGLTF);
+  useModelTuning(scene, model, onReady);
+
+  return <primitive object={scene} />;
+};
+
+// STL carries geometry only, so it gets the project's accent material.
+const STLAsset = ({ model, src, color, onReady }) => {
+  const geometry = useLoader(ProgressSTLLoader, src);
+  const [mesh, setMesh] = useState(null);
+  useModelTuning(mesh, model, onReady);
+
+  return (
+    <mesh ref={setMesh} geometry={geometry}>
+      <meshStandardMaterial color={color} roughness={0.4} metalness={0.6} />
+    </mesh>
+  );
+};
+
+const OBJAsset = ({ model, src, onReady }) => {
+  const group = useLoader(ProgressOBJLoader, src);
+  useModelTuning(group, model, onReady);
+
+  return <primitive object={group} />;
+};
+
+const ASSET_LOADERS = {
+  glb: GLTFAsset,
+  gltf: GLTFAsset,
+  stl: STLAsset,
+  obj: OBJAsset,
+};
+
+const FILE_LOADERS = {
+  glb: [ProgressGLTFLoader, extendGLTF],
+  gltf: [ProgressGLTFLoader, extendGLTF],
+  stl: [ProgressSTLLoader],
+  obj: [ProgressOBJLoader],
+};
+
+/**
+ * Starts fetching and parsing `model` into R3F's loader cache, so the viewer
+ * finds it ready (or in flight) when it mounts. Optimised models preload
+ * the detail level this device will show.
+ * @param {{ src: string, format: string } | null} model
+ */
+export const preloadModel = (model) => {
+  const loader = model && FILE_LOADERS[model.format];
+  if (loader) useLoader.preload(loader[0], assetUrl(model), loader[1]);
+};
+
+// R3F caches a failed load like a successful one; forgetting it lets the
+// next mount (a retry, or reopening the project) fetch the file again.
+const forgetModel = (model, src) => {
+  const loader = FILE_LOADERS[model.format];
+  if (loader) useLoader.clear(loader[0], src);
+};
+
+// --- PLACEHOLDER ---
+
+export const PlaceholderModel = ({ color }) => (
+  <Center top>
+    <mesh castShadow receiveShadow>
+      <boxGeometry args={[1, 1, 1]} />
+      <meshStandardMaterial color={color} roughness={0.3} metalness={0.8} />
+    </mesh>
+  </Center>
+);
+
+// Swaps in the placeholder when a model fails to fetch or parse (a missing
+// file comes back as the SPA's index.html and fails in the parser), and
+// reports it. `onError` lets the owner drop the failed file from its cache.
+export class ModelErrorBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    reportError(error, { surface: 'model', src: this.props.src });
+    this.props.onError?.(error);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.src !== this.props.src && this.state.failed) this.setState({ failed: false });
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+// Where a model's precomputed bounds put it once rotated and scaled:
+// centred over the origin and resting on the grid, as <Center top> would
+// place it after measuring every vertex.
+const groundedPosition = ({ min, max }, rotation, scale) => {
+  const box = new Box3(new Vector3(...min), new Vector3(...max))
+    .applyMatrix4(new Matrix4().makeRotationFromEuler(new Euler(...rotation)).scale(new Vector3(scale, scale, scale)));
+  const center = box.getCenter(new Vector3());
+  return [-center.x, -box.min.y, -center.z];
+};
+
+/**
+ * Scales and rotates its children from a file's units and up-axis into the
+ * viewer's metres and Y-up, then centres them on the grid, from the
+ * pipeline's `bounds` when the frame has them.
+ * @param {{ frame: { scale: number, up: string, units: string, bounds?: { min: number[], max: number[] } | null }, children: React.ReactNode }} props
+ */
+export const ModelFrame = ({ frame, children }) => {
+  const rotation = UP_ROTATION[frame.up];
+  const scale = MODEL_UNITS[frame.units] * frame.scale;
+  const position = useMemo(
+    () => (frame.bounds ? groundedPosition(frame.bounds, rotation, scale) : null),
+    [frame.bounds, rotation, scale],
+  );
+  const content = <group rotation={rotation} scale={scale}>{children}</group>;
+
+  return position ? <group position={position}>{content}</group> : <Center top>{content}</Center>;
+};
+
+/**
+ * Renders a project's declared model, normalised to metres and Y-up.
+ * Projects without a model, or with a format we cannot load, get the placeholder.
+ * `onReady` receives the loaded object once its tuning has been applied.
+ * `children` render in the model's own frame, so their coordinates are in
+ * the file's units. Optimised models load the detail level picked for the
+ * device unless `lod` asks for one.
+ * @param {{ model: { src: string, format: string, scale: number, up: string, units: string } | null, color: string, lod?: number, onReady?: Function, children?: React.ReactNode }} props
+ */
+export const ProjectModel = ({ model, color, lod, onReady, children }) => {
+  const Asset = model && ASSET_LOADERS[model.format];
+  const placeholder = <PlaceholderModel color={color} />;
+
+  // Other formats are rejected by the content schema at build time.
+  if (!Asset) return placeholder;
+  const src = assetUrl(model, lod);
+
+  return (
+    <ModelErrorBoundary src={src} fallback={placeholder} onError={() => forgetModel(model, src)}>
+      <ModelFrame frame={model}>
+        <Asset model={model} src={src} color={color} onReady={onReady} />
+        {children}
+      </ModelFrame>
+    </ModelErrorBoundary>
+  );
+};
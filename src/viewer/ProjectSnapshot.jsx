@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useRef, Suspense } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { Environment } from '@react-three/drei';
+import * as THREE from 'three';
+import { ProjectModel } from './ProjectModel.jsx';
+import { ProjectResults, useResultsView } from './ResultsView.jsx';
+import { boxInFrame } from './assembly.js';
+import { supportsWebGL } from './webgl.js';
+import { ViewportBoundary } from './ViewportBoundary.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- PROJECT SNAPSHOT ---
+// Renders a project's viewport once, off to the side, and hands back a PNG
+// for print layouts. Shows the same view the modal opens on (results when
+// the project has them), framed from a fixed three-quarter angle on white.
+
+// Frames to let loaders, tuning and result colouring settle before capture.
+const SETTLE_FRAMES = 30;
+const GIVE_UP_MS = 20000;
+const VIEW_DIRECTION = new THREE.Vector3(1, 0.8, 1.4).normalize();
+
+// Captured images by project id, so a case study opened after the résumé
+// doesn't render again.
+const cache = new Map();
+
+// One snapshot canvas at a time; a page of them would each hold a WebGL
+// context and load every model at once.
+let queue = Promise.resolve();
+const takeTurn = () => {
+  let release;
+  const turn = new Promise((resolve) => { release = resolve; });
+  const ready = queue.then(() => release);
+  queue = queue.then(() => turn);
+  return ready;
+};
+
+const Capture = ({ onCapture }) => {
+  const { gl, scene, camera } = useThree();
+  const frames = useRef(0);
+
+  useFrame(() => {
+    frames.current += 1;
+    if (frames.current !== SETTLE_FRAMES) return;
+
+    const box = boxInFrame(scene);
+    if (box.isEmpty()) return onCapture(null);
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const distance = (sphere.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2)) * 1.05;
+    camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance);
+    camera.near = distance / 100;
+    camera.far = distance * 100;
+    camera.lookAt(sphere.center);
+    camera.updateProjectionMatrix();
+
+    // Read back in the same task as the render, before the buffer is cleared.
+    gl.render(scene, camera);
+    onCapture(gl.domElement.toDataURL('image/png'));
+  });
+
+  return null;
+};
+
+const SnapshotScene = ({ project, onCapture }) => {
+  const resultsView = useResultsView(project.results);
+
+  return (
+    <Canvas gl={{ antialias: true }} dpr={2} camera={{ fov: 35 }}>
+      <color attach="background" args={['#ffffff']} />
+      <ambientLight intensity={0.7} />
+      <directionalLight position={[5, 8, 5]} intensity={1.2} />
+      <Suspense fallback={null}>
+        <Environment preset="city" />
+        {project.results ? (
+          <ProjectResults config={project.results} view={resultsView} color={project.colorStr} />
+        ) : (
+          // Print gets the finest detail level whatever the device.
+          <ProjectModel model={project.model} color={project.colorStr} lod={0} />
+        )}
+        <Capture onCapture={onCapture} />
+      </Suspense>
+    </Canvas>
+  );
+};
+
+/**
+ * A still of `project`'s 3D view. `onDone` fires once with the image URL, or
+ * null when WebGL is missing or the render fails or times out, so print
+ * pages know when they're complete.
+ * @param {{ project: object, className?: string, onDone?: (src: string | null) => void }} props
+ */
+export const ProjectSnapshot = ({ project, className = '', onDone }) => {
+  const { t } = useI18n();
+  const [src, setSrc] = useState(() => cache.get(project.id));
+  // The capture callback, while this snapshot holds the render slot.
+  const [capture, setCapture] = useState(null);
+  const onDoneRef = useRef(onDone);
+  onDoneRef.current = onDone;
+
+  useEffect(() => {
+    const { id } = project;
+    let settled = false;
+    let release = null;
+    let timer;
+
+    const finish = (url) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (url) cache.set(id, url);
+      setSrc(url);
+      setCapture(null);
+      release?.();
+      onDoneRef.current?.(url);
+    };
+
+    const known = cache.get(id);
+    if (known || !supportsWebGL()) {
+      finish(known || null);
+      return undefined;
+    }
+
+    takeTurn().then((turn) => {
+      release = turn;
+      if (settled) return turn();
+      setCapture(() => finish);
+      timer = setTimeout(() => finish(null), GIVE_UP_MS);
+    });
+    return () => {
+      settled = true;
+      clearTimeout(timer);
+      release?.();
+    };
+  }, [project]);
+
+  if (src) return <img src={src} alt={t('snapshot.alt', { title: project.title })} className={className} />;
+
+  return (
+    <div className={`relative ${className}`}>
+      {capture && (
+        <div className="absolute inset-0 opacity-0 pointer-events-none" aria-hidden="true">
+          <ViewportBoundary surface="snapshot" onError={() => capture(null)}>
+            <SnapshotScene project={project} onCapture={capture} />
+          </ViewportBoundary>
+        </div>
+      )}
+      <div className="absolute inset-0 flex items-center justify-center text-[10px] font-mono text-neutral-400 border border-dashed border-neutral-300">
+        {src === null ? t('snapshot.none') : t('snapshot.rendering')}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,210 @@
+import React, { useState, useRef, useEffect, useCallback, Suspense, lazy } from 'react';
+import { Float, OrbitControls, Bounds } from '@react-three/drei';
+import { MousePointer2, Maximize } from 'lucide-react';
+import { ProjectModel, preloadModel } from './ProjectModel.jsx';
+import { useAssembly } from './assembly.js';
+import { AssemblyPanel, AssemblyHighlight } from './AssemblyExplorer.jsx';
+import { useInspection, firstVisibleHit } from './inspection.js';
+import { InspectionToolbar, MeasureOverlay, SectionPlane, AnnotationHotspots } from './InspectionTools.jsx';
+import { useResultsView, ProjectResults, ResultsLegend, preloadResults } from './ResultsView.jsx';
+import { HTMLProjectLoader } from './ProjectLoader.jsx';
+import { ViewportCanvas } from './ViewportCanvas.jsx';
+import { CameraRig, CameraToolbar, ViewCube } from './CameraControls.jsx';
+import { useDownloadProgress } from './loadProgress.js';
+import { assetUrl } from './modelDetail.js';
+import { useTheme } from '../theme/ThemeProvider.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+import { usePrefersReducedMotion } from '../hooks/useMediaQuery.js';
+
+// --- PROJECT VIEWER ---
+// The 3D half of the project modal. This module and everything it pulls in
+// (three.js, R3F, drei, the loaders) form the viewer chunk, loaded through
+// ./preload.js.
+
+const SceneEnvironment = lazy(() => import('./SceneEnvironment.jsx'));
+
+/** Starts downloading the file the viewer opens `project` on. */
+export const preloadProjectAssets = (project) => {
+  if (project.results) preloadResults(project.results);
+  else preloadModel(project.model);
+};
+
+// --- SCENE ---
+// Bounds fits whatever loads to the camera view. Auto-rotate and the float
+// wobble run only while `motion` is on and nothing is being inspected.
+
+const ProjectScene = ({ project, modelRoot, onModelReady, highlighted, inspection, showResults, resultsView, motion, rigRef, onNavigate }) => {
+  const { theme } = useTheme();
+  const { measure, section, annotations } = inspection;
+  const idle = motion && !measure.active && !section.enabled;
+  const frame = showResults ? project.results : project.model;
+
+  // Measured points are kept in the model's own frame (file units).
+  const handlePick = (e) => {
+    if (!measure.active || !modelRoot || e.delta > 4) return;
+    const hit = firstVisibleHit(e, section.enabled ? section.plane : null);
+    if (!hit) return;
+    e.stopPropagation();
+    measure.addPoint(modelRoot.parent.worldToLocal(hit.point.clone()));
+  };
+
+  return (
+    <>
+      <OrbitControls enablePan={true} autoRotate={idle} autoRotateSpeed={0.8} makeDefault />
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[5, 8, 5]} intensity={1.2} castShadow />
+      <directionalLight position={[-5, 3, -5]} intensity={0.5} color={theme.accent} />
+      <Suspense fallback={null}>
+        <SceneEnvironment />
+      </Suspense>
+      
+      {/* Bounds ensures the model fits perfectly in the camera view */}
+      <Bounds fit clip observe margin={1.2}>
+        <CameraRig rigRef={rigRef} />
+        <Float enabled={idle} speed={2} rotationIntensity={0.1} floatIntensity={0.1} floatingRange={[-0.05, 0.05]}>
+          <group onClick={handlePick}>
+            {showResults ? (
+              <ProjectResults config={project.results} view={resultsView} color={project.colorStr} onReady={onModelReady}>
+                {modelRoot && <MeasureOverlay points={measure.points} units={frame.units} scale={frame.scale} />}
+              </ProjectResults>
+            ) : (
+              <ProjectModel model={project.model} color={project.colorStr} onReady={onModelReady}>
+                {modelRoot && <MeasureOverlay points={measure.points} units={frame.units} scale={frame.scale} />}
+                {modelRoot && annotations.visible && <AnnotationHotspots annotations={project.annotations} root={modelRoot} />}
+              </ProjectModel>
+            )}
+          </group>
+        </Float>
+      </Bounds>
+      <ViewCube onNavigate={onNavigate} />
+      <AssemblyHighlight object={highlighted} />
+      {modelRoot && section.enabled && <SectionPlane root={modelRoot} section={section} />}
+      
+      <group position={[0, -0.5, 0]}>
+        <gridHelper args={[20, 20, theme.steel[800], theme.steel[900]]} />
+      </group>
+    </>
+  );
+};
+
+// --- VIEWPORT ---
+
+/**
+ * The project modal's interactive viewport. Loaded lazily with three.js;
+ * shows download progress over the canvas until the model has arrived.
+ * `cameraView` is one of the project's `views` picked in the data panel;
+ * the camera glides there and `onCameraViewShown` lets the owner clear it.
+ * @param {{ project: object, cameraView?: { name: string, position: number[], target: number[] } | null, onCameraViewShown?: () => void }} props
+ */
+const ProjectView3D = ({ project, cameraView = null, onCameraViewShown }) => {
+  const { theme } = useTheme();
+  const { t } = useI18n();
+  const [modelRoot, setModelRoot] = useState(null);
+  const [showResults, setShowResults] = useState(Boolean(project.results));
+  const assembly = useAssembly(modelRoot, showResults ? undefined : project.model?.explode);
+  const inspection = useInspection();
+  const resultsView = useResultsView(project.results);
+  const frame = showResults ? project.results : project.model;
+  const src = assetUrl(frame);
+  const download = useDownloadProgress(src);
+  const loading = Boolean(frame) && download?.state !== 'done' && download?.state !== 'error';
+  const rig = useRef(null);
+  const reducedMotion = usePrefersReducedMotion();
+  const [motion, setMotion] = useState(!reducedMotion);
+  const clearMeasure = inspection.measure.clear;
+
+  const switchView = useCallback((results) => {
+    if (results === showResults) return;
+    setModelRoot(null);
+    clearMeasure();
+    setShowResults(results);
+  }, [showResults, clearMeasure]);
+
+  // Picking a view stops the turntable, or it would carry the camera away.
+  const navigate = useCallback((go) => {
+    setMotion(false);
+    go?.(rig.current);
+  }, []);
+
+  // Bookmarks are placed in the CAD model's frame: leave the results view
+  // first, then glide once the model is in.
+  useEffect(() => {
+    if (!cameraView) return;
+    if (showResults) {
+      switchView(false);
+      return;
+    }
+    if (!modelRoot || !rig.current) return;
+    navigate((camera) => camera.bookmark(cameraView, modelRoot.parent));
+    onCameraViewShown?.();
+  }, [cameraView, modelRoot, showResults, switchView, navigate, onCameraViewShown]);
+
+  return (
+    <div className="w-full h-full relative bg-zinc-900">
+      <div className="absolute top-6 left-6 z-10 flex flex-col gap-2 pointer-events-none">
+         <span className="text-xs font-mono text-accent-500 tracking-widest">{t('viewer.viewport')}</span>
+         <h2 className="text-2xl font-bold text-white">{project.title}</h2>
+      </div>
+
+      {project.results && (
+        <div className="absolute bottom-6 right-6 z-10 flex text-[10px] font-mono border border-white/10 rounded overflow-hidden">
+          {[['cad', false], ['results', true]].map(([label, results]) => (
+            <button 
+              key={label}
+              onClick={() => switchView(results)}
+              className={`px-3 py-1.5 tracking-widest transition-colors ${showResults === results ? 'bg-accent-500/20 text-accent-400' : 'bg-zinc-950/80 text-zinc-500 hover:text-white'}`}
+            >
+              {t(`viewer.${label}`)}
+            </button>
+          ))}
+        </div>
+      )}
+    
+      <ViewportCanvas surface="project" shadows camera={{ position: [4, 4, 6], fov: 45 }}>
+        <color attach="background" args={[theme.bg]} />
+        <Suspense fallback={null}>
+          <ProjectScene 
+            project={project} 
+            modelRoot={modelRoot} 
+            onModelReady={setModelRoot} 
+            highlighted={assembly.highlighted} 
+            inspection={inspection} 
+            showResults={showResults} 
+            resultsView={resultsView} 
+            motion={motion}
+            rigRef={rig}
+            onNavigate={() => navigate()}
+          />
+        </Suspense>
+      </ViewportCanvas>
+
+      {loading && <HTMLProjectLoader src={src} />}
+    
+      <AssemblyPanel assembly={assembly} />
+      {modelRoot && (
+        <InspectionToolbar 
+          inspection={inspection} 
+          units={frame.units} 
+          scale={frame.scale} 
+          hasAnnotations={!showResults && project.annotations.length > 0} 
+        />
+      )}
+      {showResults && <ResultsLegend view={resultsView} />}
+      {modelRoot && (
+        <CameraToolbar
+          onPreset={(name) => navigate((camera) => camera.preset(name))}
+          onFit={() => rig.current?.fit()}
+          motion={motion}
+          onToggleMotion={() => setMotion(!motion)}
+        />
+      )}
+
+      <div className="absolute bottom-6 left-6 flex items-center gap-4 text-[10px] font-mono text-zinc-500 pointer-events-none">
+         <div className="flex items-center gap-1"><MousePointer2 size={10}/> {t('viewer.rotate')}</div>
+         <div className="flex items-center gap-1"><Maximize size={10}/> {t('viewer.zoom')}</div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectView3D;
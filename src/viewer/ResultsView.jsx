@@ -0,0 +1,276 @@
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { useLoader } from '@react-three/fiber';
+import * as THREE from 'three';
+import { Activity } from 'lucide-react';
+import { ResultsLoader } from './resultsFormats.js';
+import { withProgress } from './loadProgress.js';
+import { COLORMAPS, sampleColormap, colormapGradient } from './colormaps.js';
+import { ModelFrame, ModelErrorBoundary, PlaceholderModel } from './ProjectModel.jsx';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+import { convertQuantity } from '../i18n/units.js';
+
+// --- SIMULATION RESULTS VIEW ---
+// Contour plot of a per-vertex scalar field on the exported mesh, with an
+// exaggerated deformed shape when the file carries displacements.
+
+const LEGEND_TICKS = 9;
+
+const ProgressResultsLoader = withProgress(ResultsLoader);
+
+// Deformation that moves the largest displacement by this fraction of the
+// mesh diagonal, the usual "auto scale" of FEA post-processors.
+const AUTO_DEFORM_FRACTION = 0.05;
+
+export const formatResult = (value) => {
+  if (value === 0) return '0';
+  const abs = Math.abs(value);
+  return abs >= 1e4 || abs < 1e-2 ? value.toExponential(2) : value.toPrecision(4);
+};
+
+/**
+ * Legend and display state for a results view. The data itself loads inside
+ * the Canvas, which reports it back through `setData`.
+ * @param {object | null} config The project's normalised `results` entry.
+ */
+export const useResultsView = (config) => {
+  const [data, setData] = useState(null);
+  const [fieldName, setFieldName] = useState(config?.field || null);
+  const [colormap, setColormap] = useState(config?.colormap || 'rainbow');
+  const [clamp, setClamp] = useState(null); // null = the field's own range
+  const [deformScale, setDeformScale] = useState(null); // null = auto
+
+  // Labels and units from the project entry win over the file's own names.
+  const fields = useMemo(
+    () => (data ? data.fields.map((f) => ({ ...f, ...config.fields[f.name] })) : []),
+    [data, config],
+  );
+  const field = fields.find((f) => f.name === fieldName) || fields[0] || null;
+
+  const autoScale = useMemo(() => {
+    if (!data?.displacement) return 0;
+    let maxDisp = 0;
+    for (let i = 0; i < data.displacement.length; i += 3) {
+      maxDisp = Math.max(maxDisp, Math.hypot(data.displacement[i], data.displacement[i + 1], data.displacement[i + 2]));
+    }
+    const box = new THREE.Box3().setFromArray(data.positions);
+    const diagonal = box.getSize(new THREE.Vector3()).length();
+    return maxDisp > 0 ? (diagonal * AUTO_DEFORM_FRACTION) / maxDisp : 0;
+  }, [data]);
+
+  const selectField = useCallback((name) => {
+    setFieldName(name);
+    setClamp(null);
+  }, []);
+
+  return {
+    data,
+    setData,
+    fields,
+    field,
+    selectField,
+    colormap,
+    setColormap,
+    range: field ? clamp || { min: field.min, max: field.max } : null,
+    clamped: clamp !== null,
+    setClamp,
+    canDeform: autoScale > 0,
+    autoScale,
+    deformScale: deformScale ?? autoScale,
+    setDeformScale,
+  };
+};
+
+// 1. CONTOUR MESH (inside the Canvas)
+
+const buildGeometry = (data) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(data.positions.slice(), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(data.positions.length), 3));
+  if (data.indices) geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+  return geometry;
+};
+
+/** Starts loading `config.src` into R3F's loader cache, like preloadModel. */
+export const preloadResults = (config) => {
+  if (config) useLoader.preload(ProgressResultsLoader, config.src);
+};
+
+/**
+ * Loads `config.src` and draws it coloured by the view's field. Goes inside
+ * a ModelFrame so results use the same unit and up-axis handling as models.
+ */
+export const ResultsModel = ({ config, view, onReady }) => {
+  const data = useLoader(ProgressResultsLoader, config.src);
+  const [mesh, setMesh] = useState(null);
+  const geometry = useMemo(() => buildGeometry(data), [data]);
+  const { setData, field, range, colormap, deformScale } = view;
+
+  useEffect(() => setData(data), [data, setData]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  useEffect(() => {
+    const colors = geometry.getAttribute('color');
+    const color = new THREE.Color();
+    const span = range && range.max > range.min ? range.max - range.min : 1;
+    for (let i = 0; i < colors.count; i++) {
+      if (field) sampleColormap(colormap, (field.values[i] - range.min) / span, color);
+      else color.set('#94a3b8');
+      colors.setXYZ(i, color.r, color.g, color.b);
+    }
+    colors.needsUpdate = true;
+  }, [geometry, field, range?.min, range?.max, colormap]);
+
+  useEffect(() => {
+    const position = geometry.getAttribute('position');
+    const base = data.positions;
+    const disp = data.displacement;
+    for (let i = 0; i < base.length; i++) {
+      position.array[i] = base[i] + (disp ? disp[i] * deformScale : 0);
+    }
+    position.needsUpdate = true;
+    geometry.computeVertexNormals();
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+  }, [geometry, data, deformScale]);
+
+  useEffect(() => {
+    if (mesh) onReady?.(mesh);
+  }, [mesh, onReady]);
+
+  return (
+    <mesh ref={setMesh} geometry={geometry} name={field?.label || 'Results'}>
+      <meshStandardMaterial vertexColors side={THREE.DoubleSide} roughness={0.7} metalness={0.05} />
+    </mesh>
+  );
+};
+
+// 2. LEGEND (DOM overlay)
+
+const NumberInput = ({ label, value, onCommit }) => {
+  const [draft, setDraft] = useState(formatResult(value));
+  useEffect(() => setDraft(formatResult(value)), [value]);
+
+  const commit = () => {
+    const n = Number(draft);
+    if (Number.isFinite(n)) onCommit(n);
+    else setDraft(formatResult(value));
+  };
+
+  return (
+    <label className="flex items-center justify-between gap-2">
+      <span>{label}</span>
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        className="w-24 px-1.5 py-0.5 bg-black/40 border border-white/10 rounded text-right text-white focus:border-accent-500 outline-none"
+      />
+    </label>
+  );
+};
+
+/**
+ * Legend, field and colormap pickers and range clamp for a results view.
+ * Stresses, pressures and forces are shown in the visitor's unit system;
+ * the clamp inputs take values in the displayed unit.
+ */
+export const ResultsLegend = ({ view }) => {
+  const { t, units } = useI18n();
+  const { fields, field, selectField, colormap, setColormap, range, clamped, setClamp } = view;
+  if (!field) return null;
+
+  // The conversions are linear, so one factor maps the whole range.
+  const display = convertQuantity(1, field.unit, units);
+  const ticks = Array.from({ length: LEGEND_TICKS }, (_, i) => range.max - ((range.max - range.min) * i) / (LEGEND_TICKS - 1));
+  const setRange = (next) => setClamp({ ...range, ...next });
+
+  return (
+    <div className="absolute bottom-16 right-6 z-10 w-60 p-3 bg-zinc-950/80 backdrop-blur-sm border border-white/10 rounded text-[10px] font-mono text-zinc-500 flex flex-col gap-3">
+      <div className="flex items-center gap-2 text-accent-500 tracking-widest">
+        <Activity size={12} /> {t('results.title')}
+      </div>
+
+      <select
+        value={field.name}
+        onChange={(e) => selectField(e.target.value)}
+        className="bg-black/40 border border-white/10 rounded px-1.5 py-1 text-white outline-none focus:border-accent-500"
+        aria-label={t('results.field')}
+      >
+        {fields.map((f) => <option key={f.name} value={f.name}>{f.label}</option>)}
+      </select>
+
+      <div className="flex gap-3">
+        <div className="w-3 rounded-sm border border-white/10" style={{ background: colormapGradient(colormap) }} />
+        <div className="flex-1 flex flex-col justify-between text-zinc-300">
+          {ticks.map((tick, i) => (
+            <span key={i}>{formatResult(tick * display.value)}{display.unit && <span className="text-zinc-600"> {display.unit}</span>}</span>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-1.5 pt-2 border-t border-white/10">
+        <NumberInput label={t('results.max')} value={range.max * display.value} onCommit={(max) => setRange({ max: max / display.value })} />
+        <NumberInput label={t('results.min')} value={range.min * display.value} onCommit={(min) => setRange({ min: min / display.value })} />
+        <div className="flex items-center justify-between">
+          <span>{clamped ? t('results.clamped') : t('results.dataRange')}</span>
+          {clamped && <button onClick={() => setClamp(null)} className="text-accent-500 hover:text-white">{t('results.reset')}</button>}
+        </div>
+      </div>
+
+      <label className="flex items-center justify-between gap-2">
+        <span>{t('results.colormap')}</span>
+        <select
+          value={colormap}
+          onChange={(e) => setColormap(e.target.value)}
+          className="bg-black/40 border border-white/10 rounded px-1.5 py-0.5 text-white outline-none focus:border-accent-500"
+        >
+          {Object.keys(COLORMAPS).map((name) => <option key={name} value={name}>{name.toUpperCase()}</option>)}
+        </select>
+      </label>
+
+      {view.canDeform && (
+        <div className="flex flex-col gap-1.5 pt-2 border-t border-white/10">
+          <div className="flex items-center justify-between">
+            <span>{t('results.deformation')}</span>
+            <span className="text-white">×{formatResult(view.deformScale)}</span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={view.autoScale * 4}
+            step={view.autoScale / 100}
+            value={view.deformScale}
+            onChange={(e) => view.setDeformScale(Number(e.target.value))}
+            className="accent-accent-500"
+            aria-label={t('results.deformationScale')}
+          />
+          <div className="flex gap-1">
+            {[['undeformed', 0], ['trueScale', 1], ['auto', null]].map(([label, value]) => (
+              <button
+                key={label}
+                onClick={() => view.setDeformScale(value)}
+                className="flex-1 py-0.5 rounded border border-white/10 hover:border-accent-500 hover:text-white"
+              >
+                {t(`results.${label}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Results counterpart of ProjectModel: loads and frames the results mesh,
+ * falling back to the placeholder if the file is missing or unreadable.
+ */
+export const ProjectResults = ({ config, view, color, onReady, children }) => (
+  <ModelErrorBoundary src={config.src} fallback={<PlaceholderModel color={color} />}>
+    <ModelFrame frame={config}>
+      <ResultsModel config={config} view={view} onReady={onReady} />
+      {children}
+    </ModelFrame>
+  </ModelErrorBoundary>
+);
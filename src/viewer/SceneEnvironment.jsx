@@ -0,0 +1,9 @@
+import React from 'react';
+import { Environment } from '@react-three/drei';
+
+// Image-based lighting for the project viewport. Split into its own chunk
+// and Suspense boundary, so neither its loaders nor the HDRI download hold up
+// the model.
+const SceneEnvironment = () => <Environment preset="city" />;
+
+export default SceneEnvironment;
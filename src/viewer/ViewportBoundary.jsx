@@ -0,0 +1,100 @@
+import React, { Component } from 'react';
+import { MonitorOff, RotateCcw } from 'lucide-react';
+import { reportError } from '../reporting/errors.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- VIEWPORT FAILURES ---
+// Each 3D surface (project viewport, background, print snapshots) sits in a
+// ViewportBoundary, so a WebGL context that can't be created or doesn't come
+// back, or a viewer chunk that fails to download, is contained to that
+// surface instead of unmounting the app. Kept free of three.js so the
+// fallback renders when the 3D chunk is what failed.
+
+/**
+ * Catches errors thrown by a 3D surface, reports them and renders `fallback`
+ * in its place. A function fallback receives `retry`, which remounts the
+ * surface with a fresh canvas. `onError` runs after the report.
+ * @extends {Component<{ surface: string, fallback?: React.ReactNode | ((props: { error: Error, retry: () => void }) => React.ReactNode), onError?: (error: Error) => void, children: React.ReactNode }>}
+ */
+export class ViewportBoundary extends Component {
+  state = { error: null, attempt: 0 };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    reportError(error, { surface: this.props.surface, componentStack: info.componentStack });
+    this.props.onError?.(error);
+  }
+
+  retry = () => this.setState(({ attempt }) => ({ error: null, attempt: attempt + 1 }));
+
+  render() {
+    const { error, attempt } = this.state;
+    const { fallback = null, children } = this.props;
+    if (error) return typeof fallback === 'function' ? fallback({ error, retry: this.retry }) : fallback;
+    return <React.Fragment key={attempt}>{children}</React.Fragment>;
+  }
+}
+
+/**
+ * Stands in for a project viewport that can't render: the project's first
+ * gallery image behind a VIEWPORT_OFFLINE notice, the rest as thumbnails
+ * that open the lightbox, and a retry when the failure may pass.
+ * @param {{ title: string, images: { src: string, thumb: string, alt: string }[], reason?: 'error' | 'unsupported', onRetry?: () => void, onOpenImage?: (index: number) => void }} props
+ */
+export const ViewportOffline = ({ title, images, reason = 'error', onRetry, onOpenImage }) => {
+  const { t } = useI18n();
+  const [cover] = images;
+
+  return (
+    <div role="alert" className="absolute inset-0 overflow-hidden bg-zinc-900">
+      {cover ? (
+        <img src={cover.src} alt={cover.alt} className="absolute inset-0 w-full h-full object-cover opacity-30" />
+      ) : (
+        <div className="absolute inset-0 opacity-[0.05]"
+             style={{
+               backgroundImage: `linear-gradient(to right, rgb(var(--color-white)) 1px, transparent 1px), linear-gradient(to bottom, rgb(var(--color-white)) 1px, transparent 1px)`,
+               backgroundSize: '40px 40px'
+             }} />
+      )}
+
+      <div className="absolute top-6 left-6 flex flex-col gap-2">
+         <span className="text-xs font-mono text-warning-400 tracking-widest">{t('viewer.offline')}</span>
+         <h2 className="text-2xl font-bold text-white">{title}</h2>
+      </div>
+
+      <div className="absolute inset-0 flex flex-col items-center justify-center gap-3 p-6 text-center">
+         <MonitorOff className="w-8 h-8 text-zinc-500" />
+         <p className="max-w-sm text-xs font-mono text-zinc-400">
+            {t(reason === 'unsupported' ? 'viewer.offlineUnsupported' : 'viewer.offlineError')}
+            {images.length > 0 && ` ${t('viewer.offlineImages')}`}
+         </p>
+         {onRetry && (
+           <button
+             onClick={onRetry}
+             className="mt-1 flex items-center gap-2 px-3 py-1.5 text-[10px] font-mono tracking-widest border border-accent-500/50 text-accent-400 bg-accent-500/10 hover:bg-accent-500/20 rounded transition-colors"
+           >
+             <RotateCcw size={12} /> {t('viewer.retry')}
+           </button>
+         )}
+      </div>
+
+      {onOpenImage && images.length > 0 && (
+        <div className="absolute bottom-6 left-6 right-6 flex gap-2 overflow-x-auto">
+          {images.map((img, i) => (
+            <button
+              key={img.src}
+              onClick={() => onOpenImage(i)}
+              aria-label={t('modal.enlarge', { number: i + 1, alt: img.alt })}
+              className="shrink-0 w-24 aspect-video relative rounded overflow-hidden border border-white/10 hover:border-accent-500/50 focus-visible:border-accent-500 outline-none transition-colors cursor-zoom-in"
+            >
+              <img src={img.thumb} alt="" loading="lazy" className="absolute inset-0 w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { useErrorReporter } from '../hooks/useErrorReporter.js';
+import { useI18n } from '../i18n/I18nProvider.jsx';
+
+// --- CONTEXT LOSS ---
+// Browsers take WebGL contexts away when the GPU resets, the driver crashes
+// or too many pages hold one. three.js keeps the canvas restorable; once the
+// context is back the scene is remounted from scratch, since the textures
+// and buffers uploaded before the loss are gone. A context that stays lost,
+// or keeps being lost, is thrown to the surrounding ViewportBoundary.
+
+const RESTORE_TIMEOUT_MS = 5000;
+const MAX_RESTORES = 3;
+
+const contextError = (message) => Object.assign(new Error(message), { code: 'contextLost' });
+
+/**
+ * R3F's Canvas with WebGL context-loss recovery. Takes Canvas' props, plus
+ * the `surface` name failures are reported under and `status` to show a
+ * notice over the canvas while the context is being restored.
+ * @param {{ surface: string, status?: boolean, onCreated?: Function, children: React.ReactNode } & Record<string, unknown>} props
+ */
+export const ViewportCanvas = ({ surface, status = true, onCreated, children, ...props }) => {
+  const { t } = useI18n();
+  const report = useErrorReporter(surface);
+  const [restores, setRestores] = useState(0);
+  const [lost, setLost] = useState(false);
+  const [failure, setFailure] = useState(null);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  if (failure) throw failure;
+
+  const handleCreated = (state) => {
+    const canvas = state.gl.domElement;
+    canvas.addEventListener('webglcontextlost', () => {
+      setLost(true);
+      report(contextError('WebGL context lost'), { restores });
+      timer.current = setTimeout(
+        () => setFailure(contextError(`WebGL context not restored within ${RESTORE_TIMEOUT_MS} ms`)),
+        RESTORE_TIMEOUT_MS,
+      );
+    });
+    canvas.addEventListener('webglcontextrestored', () => {
+      clearTimeout(timer.current);
+      if (restores >= MAX_RESTORES) {
+        setFailure(contextError(`WebGL context lost ${restores + 1} times`));
+        return;
+      }
+      setLost(false);
+      setRestores(restores + 1);
+    });
+    onCreated?.(state);
+  };
+
+  return (
+    <>
+      <Canvas key={restores} {...props} onCreated={handleCreated}>
+        {children}
+      </Canvas>
+      {status && lost && (
+        <div role="status" className="absolute inset-0 flex items-center justify-center pointer-events-none">
+          <span className="text-xs font-mono tracking-widest text-zinc-500">{t('viewer.contextLost')}</span>
+        </div>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,182 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import * as THREE from 'three';
+import { globToRegExp } from './modelTuning.js';
+
+// --- ASSEMBLY EXPLORER ---
+// Exploded view and part visibility for a loaded model. Everything here
+// mutates the cached scene in place and is undone when the viewer unmounts.
+
+/**
+ * Bounding box of the meshes under `object` that tuning has not hidden,
+ * expressed in the local space of `frame` (world space when omitted).
+ * @param {THREE.Object3D} object
+ * @param {THREE.Object3D} [frame]
+ * @returns {THREE.Box3}
+ */
+export const boxInFrame = (object, frame) => {
+  const box = new THREE.Box3();
+  const toFrame = frame ? frame.matrixWorld.clone().invert() : new THREE.Matrix4();
+  object.traverse((child) => {
+    if (!child.isMesh || child.userData.tuningHidden) return;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    const matrix = toFrame.clone().multiply(child.matrixWorld);
+    box.union(child.geometry.boundingBox.clone().applyMatrix4(matrix));
+  });
+  return box;
+};
+
+const hasVisibleMesh = (object) => {
+  let found = false;
+  object.traverse((child) => {
+    if (child.isMesh && !child.userData.tuningHidden) found = true;
+  });
+  return found;
+};
+
+// GLTF exports usually wrap the assembly in one or more single-child nodes;
+// the sub-assemblies are the children of the first node that branches.
+const findAssemblyRoot = (root) => {
+  let node = root;
+  while (node.children.length === 1 && !node.isMesh) node = node.children[0];
+  return node;
+};
+
+/**
+ * Builds a plain tree of the model's nodes for the assembly panel, skipping
+ * branches whose meshes were all hidden by the model's tuning rules.
+ * @param {THREE.Object3D} root
+ * @returns {{ id: string, name: string, object: THREE.Object3D, children: object[] }}
+ */
+export const buildAssemblyTree = (root) => {
+  const walk = (node) => ({
+    id: node.uuid,
+    name: node.name || (node.isMesh ? 'Mesh' : node.type),
+    object: node,
+    children: node.children.filter(hasVisibleMesh).map(walk),
+  });
+  return walk(findAssemblyRoot(root));
+};
+
+/**
+ * Works out how far each part travels at full explode.
+ *
+ * Top-level sub-assemblies move away from the assembly centre by half its
+ * diagonal. Nodes named in `authored` (pattern to [x, y, z] in model units)
+ * use that vector instead, wherever they sit in the hierarchy.
+ * @param {THREE.Object3D} root
+ * @param {Record<string, number[]>} [authored]
+ * @returns {Map<THREE.Object3D, THREE.Vector3>} Offsets in each node's parent space.
+ */
+export const computeExplodeVectors = (root, authored = {}) => {
+  root.updateMatrixWorld(true);
+  const vectors = new Map();
+  const assembly = findAssemblyRoot(root);
+  const parts = assembly.children.filter(hasVisibleMesh);
+
+  if (parts.length > 1) {
+    const frameBox = boxInFrame(assembly, assembly);
+    const centre = frameBox.getCenter(new THREE.Vector3());
+    const reach = frameBox.getSize(new THREE.Vector3()).length() * 0.5;
+
+    for (const part of parts) {
+      const partCentre = boxInFrame(part, assembly).getCenter(new THREE.Vector3());
+      const dir = partCentre.sub(centre);
+      if (dir.lengthSq() < 1e-12) dir.set(0, 1, 0);
+      vectors.set(part, dir.normalize().multiplyScalar(reach));
+    }
+  }
+
+  const rules = Object.entries(authored).map(([pattern, vec]) => [globToRegExp(pattern), new THREE.Vector3(...vec)]);
+  if (rules.length) {
+    root.traverse((node) => {
+      const rule = rules.find(([regex]) => node.name && regex.test(node.name));
+      if (rule) vectors.set(node, rule[1].clone());
+    });
+  }
+  return vectors;
+};
+
+// Hidden nodes stay hidden; when a node is isolated only it, its descendants
+// and the ancestors needed to reach it are shown.
+const applyVisibility = (root, hidden, isolated) => {
+  const lineage = new Set();
+  for (let node = isolated; node; node = node.parent) lineage.add(node);
+
+  const walk = (node, insideIsolated) => {
+    const inside = insideIsolated || node === isolated;
+    if (!node.userData.tuningHidden) {
+      node.visible = !hidden.has(node.uuid) && (!isolated || inside || lineage.has(node));
+    }
+    node.children.forEach((child) => walk(child, inside));
+  };
+  walk(root, false);
+};
+
+const applyExplode = (vectors, amount) => {
+  vectors.forEach((vec, node) => {
+    node.userData.assemblyBase ??= node.position.clone();
+    node.position.copy(node.userData.assemblyBase).addScaledVector(vec, amount);
+  });
+};
+
+/**
+ * State for the exploded view and assembly tree of one loaded model.
+ * @param {THREE.Object3D | null} root Object passed to ProjectModel's `onReady`.
+ * @param {Record<string, number[]>} [authored] The model's `explode` vectors.
+ */
+export const useAssembly = (root, authored) => {
+  const [explode, setExplode] = useState(0);
+  const [hidden, setHidden] = useState(() => new Set());
+  const [isolatedId, setIsolatedId] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+
+  const tree = useMemo(() => (root ? buildAssemblyTree(root) : null), [root]);
+  const vectors = useMemo(() => (root ? computeExplodeVectors(root, authored) : new Map()), [root, authored]);
+
+  const findObject = useCallback((id) => (root && id ? root.getObjectByProperty('uuid', id) : null), [root]);
+
+  useEffect(() => applyExplode(vectors, explode), [vectors, explode]);
+
+  useEffect(() => {
+    if (root) applyVisibility(root, hidden, findObject(isolatedId));
+  }, [root, hidden, isolatedId, findObject]);
+
+  // Put the shared, cached scene back the way the loader left it.
+  useEffect(() => () => {
+    applyExplode(vectors, 0);
+    if (root) applyVisibility(root, new Set(), null);
+  }, [root, vectors]);
+
+  const toggleHidden = useCallback((id) => {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const toggleIsolated = useCallback((id) => setIsolatedId((prev) => (prev === id ? null : id)), []);
+
+  const reset = useCallback(() => {
+    setExplode(0);
+    setHidden(new Set());
+    setIsolatedId(null);
+    setHighlightedId(null);
+  }, []);
+
+  return {
+    tree,
+    canExplode: vectors.size > 0,
+    explode,
+    setExplode,
+    hidden,
+    toggleHidden,
+    isolatedId,
+    toggleIsolated,
+    highlighted: findObject(highlightedId),
+    highlightedId,
+    setHighlightedId,
+    reset,
+  };
+};
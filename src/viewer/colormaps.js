@@ -0,0 +1,30 @@
+import * as THREE from 'three';
+
+// --- COLORMAPS ---
+// Evenly spaced stops, low to high. `rainbow` matches the blue-to-red contour
+// scale of ANSYS and most FEA post-processors.
+export const COLORMAPS = {
+  rainbow: ['#0000ff', '#00ffff', '#00ff00', '#ffff00', '#ff0000'],
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  coolwarm: ['#3b4cc0', '#8db0fe', '#dddddd', '#f49a7b', '#b40426'],
+};
+
+const STOPS = Object.fromEntries(
+  Object.entries(COLORMAPS).map(([name, hexes]) => [name, hexes.map((hex) => new THREE.Color(hex))]),
+);
+
+/**
+ * Writes the colour for normalised value `t` (0..1, clamped) into `target`.
+ * @param {string} name Key of {@link COLORMAPS}.
+ * @param {number} t
+ * @param {THREE.Color} target
+ */
+export const sampleColormap = (name, t, target) => {
+  const stops = STOPS[name] || STOPS.rainbow;
+  const x = THREE.MathUtils.clamp(t, 0, 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  return target.copy(stops[i]).lerp(stops[i + 1], x - i);
+};
+
+/** CSS gradient for a legend bar, high values at the top. */
+export const colormapGradient = (name) => `linear-gradient(to top, ${(COLORMAPS[name] || COLORMAPS.rainbow).join(', ')})`;
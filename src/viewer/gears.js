@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+// --- INVOLUTE GEARS ---
+// Spur gear profiles and gear train layout. Dimensions follow the usual
+// metric conventions: module m, pitch radius m·z/2, addendum 1·m and
+// dedendum 1.25·m, all in scene units.
+
+const FLANK_STEPS = 8;
+const ARC_STEPS = 4;
+
+const inv = (a) => Math.tan(a) - a;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * @param {{ module: number, teeth: number, pressureAngle?: number }} gear
+ *   `pressureAngle` in degrees, 20 by default.
+ */
+export const gearDimensions = ({ module, teeth, pressureAngle = 20 }) => {
+  const pitchRadius = (module * teeth) / 2;
+  return {
+    pitchRadius,
+    baseRadius: pitchRadius * Math.cos(toRad(pressureAngle)),
+    outerRadius: pitchRadius + module,
+    rootRadius: pitchRadius - 1.25 * module,
+  };
+};
+
+/** Centre distance of two meshing spur gears of the same module. */
+export const centerDistance = (module, teethA, teethB) => (module * (teethA + teethB)) / 2;
+
+/**
+ * Outline of a spur gear with involute flanks, tooth 0 centred on +X.
+ * @param {{ module: number, teeth: number, pressureAngle?: number, backlash?: number, holeRadius?: number }} gear
+ *   `backlash` is the circular backlash of the mesh; each gear gives up half
+ *   of it from its tooth thickness. `holeRadius` 0 leaves the gear solid.
+ * @returns {THREE.Shape}
+ */
+export const involuteGearShape = ({ module, teeth, pressureAngle = 20, backlash = 0, holeRadius }) => {
+  const { pitchRadius, baseRadius, outerRadius, rootRadius } = gearDimensions({ module, teeth, pressureAngle });
+  const alpha = toRad(pressureAngle);
+
+  // Half the tooth's angular thickness at radius r, measured from its centre.
+  const halfThickness = (Math.PI * module) / 2 - backlash / 2;
+  const halfAngleAt = (r) => {
+    const ar = Math.acos(Math.min(1, baseRadius / r));
+    return halfThickness / (2 * pitchRadius) + inv(alpha) - inv(ar);
+  };
+
+  // Involutes only exist outside the base circle; below it the flank runs
+  // radially down to the root.
+  const flankStart = Math.max(baseRadius, rootRadius);
+  const tipHalf = Math.max(halfAngleAt(outerRadius), 0);
+  const baseHalf = halfAngleAt(flankStart);
+  const pitch = (Math.PI * 2) / teeth;
+
+  const shape = new THREE.Shape();
+  const point = (r, a, first = false) => {
+    const x = r * Math.cos(a);
+    const y = r * Math.sin(a);
+    if (first) shape.moveTo(x, y);
+    else shape.lineTo(x, y);
+  };
+
+  for (let i = 0; i < teeth; i++) {
+    const c = i * pitch;
+    point(rootRadius, c - baseHalf, i === 0);
+    for (let s = 0; s <= FLANK_STEPS; s++) {
+      const r = flankStart + ((outerRadius - flankStart) * s) / FLANK_STEPS;
+      point(r, c - Math.max(halfAngleAt(r), 0));
+    }
+    for (let s = 1; s < ARC_STEPS; s++) point(outerRadius, c - tipHalf + (2 * tipHalf * s) / ARC_STEPS);
+    for (let s = FLANK_STEPS; s >= 0; s--) {
+      const r = flankStart + ((outerRadius - flankStart) * s) / FLANK_STEPS;
+      point(r, c + Math.max(halfAngleAt(r), 0));
+    }
+    point(rootRadius, c + baseHalf);
+    const gapStart = c + baseHalf;
+    const gapEnd = c + pitch - baseHalf;
+    for (let s = 1; s < ARC_STEPS; s++) point(rootRadius, gapStart + ((gapEnd - gapStart) * s) / ARC_STEPS);
+  }
+  shape.closePath();
+
+  const hole = holeRadius ?? rootRadius * 0.4;
+  if (hole > 0) {
+    const path = new THREE.Path();
+    path.absarc(0, 0, hole, 0, Math.PI * 2, true);
+    shape.holes.push(path);
+  }
+  return shape;
+};
+
+/**
+ * Places the gears of a train and works out their speeds and tooth phases.
+ *
+ * Each entry after the first either meshes with an earlier gear
+ * (`mesh: index`, at `angle` degrees around it) or shares an earlier gear's
+ * axle (`on: index`, a compound stage; it may use its own `module`).
+ * Meshing gears must share a module.
+ *
+ * @param {{ module: number, pressureAngle?: number, faceWidth?: number, gears: object[] }} train
+ * @returns {{ position: [number, number, number], ratio: number, phase: number, module: number, teeth: number, pitchRadius: number }[]}
+ *   `ratio` is the gear's angular velocity over the first gear's (negative
+ *   means the opposite direction); `phase` the angle at t = 0 that makes its
+ *   teeth fall into its partner's gaps.
+ */
+export const layoutGearTrain = ({ module, pressureAngle = 20, faceWidth = module * 8, gears }) => {
+  const placed = [];
+
+  gears.forEach((gear, i) => {
+    const m = gear.module ?? module;
+    const base = { ...gear, module: m, pressureAngle, pitchRadius: (m * gear.teeth) / 2 };
+
+    if (i === 0) {
+      placed.push({ ...base, position: [0, 0, 0], ratio: 1, phase: 0 });
+      return;
+    }
+
+    if (gear.on !== undefined) {
+      const axle = placed[gear.on];
+      if (!axle) throw new Error(`Gear ${i} is on gear ${gear.on}, which is not defined before it.`);
+      const [x, y, z] = axle.position;
+      placed.push({ ...base, position: [x, y, z + (gear.offset ?? faceWidth * 1.5)], ratio: axle.ratio, phase: axle.phase });
+      return;
+    }
+
+    const parent = placed[gear.mesh];
+    if (!parent) throw new Error(`Gear ${i} meshes with gear ${gear.mesh}, which is not defined before it.`);
+    if (Math.abs(parent.module - m) > 1e-9) throw new Error(`Gear ${i} (module ${m}) cannot mesh with gear ${gear.mesh} (module ${parent.module}).`);
+
+    const theta = toRad(gear.angle ?? 0);
+    const distance = centerDistance(m, parent.teeth, gear.teeth);
+    const [px, py, pz] = parent.position;
+
+    // Where along its tooth pitch the parent sits on the line of centres;
+    // the child must present a gap there, and rolling keeps the sum fixed.
+    const f = ((((theta - parent.phase) * parent.teeth) / (Math.PI * 2)) % 1 + 1) % 1;
+    const phase = theta + Math.PI - ((0.5 - f) * Math.PI * 2) / gear.teeth;
+
+    placed.push({
+      ...base,
+      position: [px + distance * Math.cos(theta), py + distance * Math.sin(theta), pz],
+      ratio: (-parent.ratio * parent.teeth) / gear.teeth,
+      phase,
+    });
+  });
+
+  return placed;
+};
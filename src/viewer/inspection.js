@@ -0,0 +1,65 @@
+import { useState, useMemo, useCallback } from 'react';
+import * as THREE from 'three';
+
+// --- INSPECTION TOOL STATE ---
+// Measurement, section plane and annotation toggles for the project viewport.
+// Measured points are stored in the model's own frame (file units), so they
+// stay attached to the part while the scene floats or the camera moves.
+
+export const SECTION_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+/** Whether `object` and all of its ancestors are visible. */
+export const isShown = (object) => {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+};
+
+/**
+ * First hit in a pointer event that is actually on screen: visible, and not
+ * in the half of the model removed by the section plane.
+ * @param {import('@react-three/fiber').ThreeEvent<MouseEvent>} event
+ * @param {THREE.Plane | null} plane
+ */
+export const firstVisibleHit = (event, plane) =>
+  event.intersections.find((hit) => isShown(hit.object) && !hit.object.userData.sectionHelper
+    && (!plane || plane.distanceToPoint(hit.point) >= 0));
+
+/**
+ * State behind the viewport's inspection toolbar. The section plane object is
+ * shared with SectionPlane and with measurement picking.
+ */
+export const useInspection = () => {
+  const [measuring, setMeasuring] = useState(false);
+  const [points, setPoints] = useState([]);
+  const [sectionEnabled, setSectionEnabled] = useState(false);
+  const [axis, setAxis] = useState('x');
+  const [offset, setOffset] = useState(0.5);
+  const [flipped, setFlipped] = useState(false);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+
+  // Clipping planes are in world space; SectionPlane keeps this one's
+  // normal and constant in sync with the controls every frame.
+  const plane = useMemo(() => new THREE.Plane(), []);
+
+  // A third click starts a new measurement.
+  const addPoint = useCallback((point) => {
+    setPoints((prev) => (prev.length >= 2 ? [point] : [...prev, point]));
+  }, []);
+
+  const clearPoints = useCallback(() => setPoints([]), []);
+
+  return {
+    measure: { active: measuring, setActive: setMeasuring, points, addPoint, clear: clearPoints },
+    section: {
+      enabled: sectionEnabled, setEnabled: setSectionEnabled,
+      plane, axis, setAxis, offset, setOffset, flipped, setFlipped,
+    },
+    annotations: { visible: showAnnotations, setVisible: setShowAnnotations },
+  };
+};
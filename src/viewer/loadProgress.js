@@ -0,0 +1,65 @@
+import { useSyncExternalStore } from 'react';
+
+// --- DOWNLOAD PROGRESS ---
+// Byte counts for model and result files, shared by whoever starts the
+// request (a card hover preloading it, or the viewer itself) and whoever
+// shows a progress bar. Kept free of three.js so the loader overlay can
+// render before the 3D chunk arrives.
+
+/** @typedef {{ state: 'loading' | 'done' | 'error', loaded: number, total: number }} Download */
+
+/** @type {Map<string, Download>} */
+const downloads = new Map();
+const listeners = new Set();
+let version = 0;
+
+const update = (url, download) => {
+  downloads.set(url, { ...downloads.get(url), ...download });
+  version += 1;
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Subclasses a three.js loader so every `load` reports into the shared
+ * progress map. R3F caches by loader class, so keep one wrapped class per
+ * loader at module level.
+ * @template {new (...args: any[]) => import('three').Loader} L
+ * @param {L} Loader
+ * @returns {L}
+ */
+export const withProgress = (Loader) => class extends Loader {
+  load(url, onLoad, onProgress, onError) {
+    if (downloads.get(url)?.state !== 'loading') update(url, { state: 'loading', loaded: 0, total: 0 });
+    return super.load(
+      url,
+      (result) => {
+        update(url, { state: 'done' });
+        onLoad(result);
+      },
+      (event) => {
+        update(url, { loaded: event.loaded, total: event.lengthComputable ? event.total : 0 });
+        onProgress?.(event);
+      },
+      (error) => {
+        update(url, { state: 'error' });
+        onError?.(error);
+      },
+    );
+  }
+};
+
+/**
+ * Progress of `url`'s download, or null if it hasn't been requested. `total`
+ * is 0 when the server doesn't send a length.
+ * @param {string | null} url
+ * @returns {Download | null}
+ */
+export const useDownloadProgress = (url) => {
+  useSyncExternalStore(subscribe, () => version, () => version);
+  return (url && downloads.get(url)) || null;
+};
@@ -0,0 +1,23 @@
+import { deviceTier } from './webgl.js';
+
+// --- MODEL DETAIL ---
+// Models built by scripts/optimize-models.js come in detail levels, finest
+// first. Kept free of three.js so the loading overlay can name the file
+// before the viewer chunk arrives.
+
+// Level to load on each device tier.
+const TIER_LOD = { high: 0, medium: 1, low: 2 };
+
+/**
+ * The file to load for a model or results config: for optimised models the
+ * detail level suited to this device (or `lod`, when given), clamped to the
+ * levels it has; otherwise its `src`.
+ * @param {{ src: string, lods?: { src: string }[] | null } | null} frame
+ * @param {number} [lod]
+ * @returns {string | null}
+ */
+export const assetUrl = (frame, lod = TIER_LOD[deviceTier()]) => {
+  if (!frame) return null;
+  if (!frame.lods) return frame.src;
+  return frame.lods[Math.min(lod, frame.lods.length - 1)].src;
+};
@@ -0,0 +1,107 @@
+import { useEffect } from 'react';
+import * as THREE from 'three';
+
+// --- PER-MODEL MESH FILTERING & MATERIAL OVERRIDES ---
+// Driven by the `hide` and `materials` options of a project's model entry
+// (see src/content/schema.js). Rules are applied in place to the loaded
+// object, so they must be idempotent: loaders cache and reuse scenes.
+
+export const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+// A node matches when it, or any ancestor below the model root, is named by
+// the pattern. That lets one rule target a whole sub-assembly.
+const matchesName = (object, regex, root) => {
+  for (let node = object; node && node !== root.parent; node = node.parent) {
+    if (node.name && regex.test(node.name)) return true;
+  }
+  return false;
+};
+
+// Size of a mesh in model units, i.e. relative to the model root rather than
+// the normalised scene.
+const sizeInModel = (mesh, rootInverse) => {
+  if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+  const toRoot = rootInverse.clone().multiply(mesh.matrixWorld);
+  return mesh.geometry.boundingBox.clone().applyMatrix4(toRoot).getSize(new THREE.Vector3());
+};
+
+const compileHideRules = (rules = []) => rules.map((rule) => {
+  if (rule.name) {
+    const regex = globToRegExp(rule.name);
+    return (mesh, root) => matchesName(mesh, regex, root);
+  }
+  const axes = (rule.axes || 'xyz').split('');
+  return (mesh, root, size) => axes.some((axis) => size()[axis] > rule.largerThan);
+});
+
+const setMaterialProps = (material, props) => {
+  for (const [key, value] of Object.entries(props)) {
+    if (key === 'color' || key === 'emissive') material[key].set(value);
+    else if (key === 'opacity') {
+      material.opacity = value;
+      material.transparent = value < 1;
+    } else material[key] = value;
+  }
+  material.needsUpdate = true;
+};
+
+// Node overrides get their own copy so parts sharing a material with the
+// rest of the model are not recoloured along with them.
+const overrideMaterial = (mesh, props) => {
+  if (!mesh.userData.ownMaterial) {
+    mesh.material = Array.isArray(mesh.material) ? mesh.material.map((m) => m.clone()) : mesh.material.clone();
+    mesh.userData.ownMaterial = true;
+  }
+  [].concat(mesh.material).forEach((m) => setMaterialProps(m, props));
+};
+
+/**
+ * Applies a model's hide rules and material overrides to a loaded object.
+ * @param {THREE.Object3D} root The loaded scene, group or mesh.
+ * @param {{ hide?: object[], materials?: { keepOriginal?: boolean, default?: object, nodes?: Record<string, object> } }} model
+ */
+export const applyModelTuning = (root, model) => {
+  const hideRules = compileHideRules(model.hide);
+  const { keepOriginal = false, default: defaults, nodes = {} } = model.materials || {};
+  const nodeRules = Object.entries(nodes).map(([pattern, props]) => [globToRegExp(pattern), props]);
+
+  root.updateMatrixWorld(true);
+  const rootInverse = root.matrixWorld.clone().invert();
+
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+
+    let size;
+    const lazySize = () => (size ||= sizeInModel(child, rootInverse));
+    if (hideRules.some((rule) => rule(child, root, lazySize))) {
+      child.visible = false;
+      child.userData.tuningHidden = true; // the assembly explorer leaves these alone
+      return;
+    }
+
+    child.castShadow = true;
+    child.receiveShadow = true;
+    if (!child.material) return;
+
+    if (defaults && !keepOriginal) [].concat(child.material).forEach((m) => setMaterialProps(m, defaults));
+    for (const [regex, props] of nodeRules) {
+      if (matchesName(child, regex, root)) overrideMaterial(child, props);
+    }
+  });
+};
+
+/**
+ * Runs {@link applyModelTuning} whenever the loaded object or its config
+ * changes, then hands the tuned object to `onReady`.
+ * @param {THREE.Object3D | null} object
+ * @param {object} model
+ * @param {(object: THREE.Object3D) => void} [onReady]
+ */
+export const useModelTuning = (object, model, onReady) => {
+  useEffect(() => {
+    if (!object) return;
+    applyModelTuning(object, model);
+    onReady?.(object);
+  }, [object, model, onReady]);
+};
@@ -0,0 +1,16 @@
+// --- PRELOADING ---
+// The viewer chunk's loader, shared by React.lazy and the card hover
+// preload so both resolve to the same chunk.
+
+export const loadProjectViewer = () => import('./ProjectViewer.jsx');
+
+/**
+ * Fetches the viewer chunk and starts downloading the file `project` opens
+ * on (results if it has them, else its model). Repeat calls reuse the
+ * cached request; failures are left for the viewer to handle on open.
+ */
+export const preloadProject = (project) => {
+  loadProjectViewer()
+    .then(({ preloadProjectAssets }) => preloadProjectAssets(project))
+    .catch(() => {});
+};
@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+import { RESULT_FORMATS } from '../content/schema.js';
+
+// --- SIMULATION RESULT FORMATS ---
+// Parsers for exported FEA/CFD results. Both produce the same shape:
+//
+//   {
+//     positions: Float32Array,          // xyz per vertex, model units
+//     indices: Uint32Array | null,      // surface triangles
+//     fields: [{ name, label, unit, values: Float32Array, min, max }],
+//     displacement: Float32Array | null // xyz per vertex
+//   }
+
+// Vector arrays with one of these names deform the mesh.
+const DISPLACEMENT_NAME = /^(u|disp|displacement|deformation)(_?vec(tor)?)?$/i;
+
+const makeField = (name, values, meta = {}) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { name, label: meta.label || name, unit: meta.unit || '', values, min, max };
+};
+
+const magnitudes = (vectors) => {
+  const out = new Float32Array(vectors.length / 3);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = Math.hypot(vectors[i * 3], vectors[i * 3 + 1], vectors[i * 3 + 2]);
+  }
+  return out;
+};
+
+// 1. JSON VERTEX MAP
+// { positions: [...], indices?: [...], fields: { name: { values, label?, unit? } | [...] }, displacement?: [...] }
+
+export const parseResultsJSON = (text) => {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data.positions) || data.positions.length % 3 !== 0) {
+    throw new Error('Results JSON needs a flat "positions" array of x, y, z values.');
+  }
+  const count = data.positions.length / 3;
+  const fields = Object.entries(data.fields || {}).map(([name, field]) => {
+    const values = Array.isArray(field) ? field : field.values;
+    if (!Array.isArray(values) || values.length !== count) {
+      throw new Error(`Results field "${name}" must have one value per vertex (${count}).`);
+    }
+    return makeField(name, Float32Array.from(values), Array.isArray(field) ? {} : field);
+  });
+
+  let displacement = null;
+  if (data.displacement) {
+    if (data.displacement.length !== count * 3) throw new Error('"displacement" must have x, y, z per vertex.');
+    displacement = Float32Array.from(data.displacement);
+    if (!fields.some((f) => DISPLACEMENT_NAME.test(f.name))) {
+      fields.push(makeField('displacement', magnitudes(displacement), { label: 'Total Deformation' }));
+    }
+  }
+
+  return {
+    positions: Float32Array.from(data.positions),
+    indices: data.indices ? Uint32Array.from(data.indices) : null,
+    fields,
+    displacement,
+  };
+};
+
+// 2. VTK LEGACY (ASCII)
+// POLYDATA with POLYGONS, or UNSTRUCTURED_GRID whose outer surface is
+// extracted from its cells. POINT_DATA SCALARS, VECTORS and FIELD arrays
+// become fields; CELL_DATA is skipped.
+
+// Faces of each supported VTK cell type, as corner indices into the cell.
+const CELL_FACES = {
+  5: [[0, 1, 2]], // triangle
+  7: null, // polygon: fan over all points
+  9: [[0, 1, 2, 3]], // quad
+  10: [[0, 2, 1], [0, 1, 3], [1, 2, 3], [0, 3, 2]], // tetra
+  12: [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]], // hexahedron
+  13: [[0, 1, 2], [3, 5, 4], [0, 3, 4, 1], [1, 4, 5, 2], [2, 5, 3, 0]], // wedge
+  14: [[0, 3, 2, 1], [0, 1, 4], [1, 2, 4], [2, 3, 4], [3, 0, 4]], // pyramid
+};
+// Quadratic cells share the linear cell's corner nodes.
+CELL_FACES[22] = CELL_FACES[5];
+CELL_FACES[23] = CELL_FACES[9];
+CELL_FACES[24] = CELL_FACES[10];
+CELL_FACES[25] = CELL_FACES[12];
+
+const VOLUME_CELLS = new Set([10, 12, 13, 14, 24, 25]);
+
+const triangulate = (face, out) => {
+  for (let i = 1; i < face.length - 1; i++) out.push(face[0], face[i], face[i + 1]);
+};
+
+// Keeps only faces used by a single volume cell, i.e. the outer skin.
+const boundaryFaces = (faces) => {
+  const counts = new Map();
+  const keyOf = (face) => [...face].sort((a, b) => a - b).join(',');
+  faces.forEach((face) => {
+    const key = keyOf(face);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return faces.filter((face) => counts.get(keyOf(face)) === 1);
+};
+
+class Tokens {
+  constructor(text) {
+    this.list = text.split(/\s+/).filter(Boolean);
+    this.pos = 0;
+  }
+  done() { return this.pos >= this.list.length; }
+  peek() { return this.list[this.pos]; }
+  next() {
+    if (this.done()) throw new Error('Unexpected end of VTK file.');
+    return this.list[this.pos++];
+  }
+  int() { return parseInt(this.next(), 10); }
+  floats(n) {
+    const out = new Float32Array(n);
+    for (let i = 0; i < n; i++) out[i] = parseFloat(this.next());
+    return out;
+  }
+}
+
+export const parseVTK = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (!/^#\s*vtk DataFile/i.test(lines[0] || '')) throw new Error('Not a legacy VTK file.');
+  if ((lines[2] || '').trim().toUpperCase() !== 'ASCII') throw new Error('Only ASCII legacy VTK files are supported.');
+
+  // ParaView writes METADATA blocks that run to the next blank line; they
+  // carry nothing we draw, so drop them before tokenising.
+  const body = lines.slice(3).join('\n').replace(/^\s*METADATA\s*\n[\s\S]*?(?:\n\s*\n|$)/gim, '\n');
+  const t = new Tokens(body);
+  let dataset = null;
+  let positions = null;
+  const triangles = [];
+  const volumeFaces = [];
+  let cells = [];
+  const fields = [];
+  let displacement = null;
+
+  const readAttributes = (count, keep) => {
+    while (!t.done() && !['POINT_DATA', 'CELL_DATA'].includes(t.peek().toUpperCase())) {
+      const kind = t.next().toUpperCase();
+      if (kind === 'SCALARS') {
+        const name = t.next();
+        t.next(); // data type
+        const comps = /^\d+$/.test(t.peek()) ? t.int() : 1;
+        if (t.peek().toUpperCase() === 'LOOKUP_TABLE') { t.next(); t.next(); }
+        const raw = t.floats(count * comps);
+        if (keep) fields.push(makeField(name, comps === 1 ? raw : raw.filter((_, i) => i % comps === 0)));
+      } else if (kind === 'VECTORS' || kind === 'NORMALS') {
+        const name = t.next();
+        t.next();
+        const raw = t.floats(count * 3);
+        if (keep && kind === 'VECTORS') {
+          if (!displacement && DISPLACEMENT_NAME.test(name)) displacement = raw;
+          fields.push(makeField(name, magnitudes(raw), { label: `${name} (magnitude)` }));
+        }
+      } else if (kind === 'FIELD') {
+        t.next(); // field name
+        const arrays = t.int();
+        for (let a = 0; a < arrays; a++) {
+          const name = t.next();
+          const comps = t.int();
+          const tuples = t.int();
+          t.next();
+          const raw = t.floats(comps * tuples);
+          if (!keep) continue;
+          if (comps === 1) fields.push(makeField(name, raw));
+          else if (comps === 3) {
+            if (!displacement && DISPLACEMENT_NAME.test(name)) displacement = raw;
+            fields.push(makeField(name, magnitudes(raw), { label: `${name} (magnitude)` }));
+          }
+        }
+      } else if (kind === 'LOOKUP_TABLE') {
+        t.next();
+        t.floats(t.int() * 4);
+      } else {
+        throw new Error(`Unsupported VTK attribute "${kind}".`);
+      }
+    }
+  };
+
+  while (!t.done()) {
+    const keyword = t.next().toUpperCase();
+    if (keyword === 'DATASET') {
+      dataset = t.next().toUpperCase();
+      if (dataset !== 'POLYDATA' && dataset !== 'UNSTRUCTURED_GRID') {
+        throw new Error(`Unsupported VTK dataset "${dataset}"; export POLYDATA or UNSTRUCTURED_GRID.`);
+      }
+    } else if (keyword === 'POINTS') {
+      const n = t.int();
+      t.next();
+      positions = t.floats(n * 3);
+    } else if (keyword === 'POLYGONS' || keyword === 'TRIANGLE_STRIPS') {
+      const n = t.int();
+      t.int();
+      for (let i = 0; i < n; i++) {
+        const k = t.int();
+        const ids = Array.from({ length: k }, () => t.int());
+        if (keyword === 'POLYGONS') {
+          triangulate(ids, triangles);
+          continue;
+        }
+        // Strips alternate winding on every other triangle.
+        for (let j = 0; j < k - 2; j++) {
+          if (j % 2) triangles.push(ids[j + 1], ids[j], ids[j + 2]);
+          else triangles.push(ids[j], ids[j + 1], ids[j + 2]);
+        }
+      }
+    } else if (keyword === 'VERTICES' || keyword === 'LINES') {
+      t.int();
+      t.floats(t.int()); // point and line cells are not drawn
+    } else if (keyword === 'CELLS') {
+      const n = t.int();
+      t.int();
+      cells = Array.from({ length: n }, () => Array.from({ length: t.int() }, () => t.int()));
+    } else if (keyword === 'CELL_TYPES') {
+      const n = t.int();
+      for (let i = 0; i < n; i++) {
+        const type = t.int();
+        const ids = cells[i];
+        const faces = CELL_FACES[type];
+        if (faces === undefined) continue; // points, lines and unknown cells carry no surface
+        const corners = faces ? faces.map((face) => face.map((c) => ids[c])) : [ids];
+        if (VOLUME_CELLS.has(type)) volumeFaces.push(...corners);
+        else corners.forEach((face) => triangulate(face, triangles));
+      }
+    } else if (keyword === 'POINT_DATA') {
+      readAttributes(t.int(), true);
+    } else if (keyword === 'CELL_DATA') {
+      readAttributes(t.int(), false);
+    } else {
+      throw new Error(`Unexpected VTK keyword "${keyword}".`);
+    }
+  }
+
+  if (!positions) throw new Error('VTK file has no POINTS.');
+  boundaryFaces(volumeFaces).forEach((face) => triangulate(face, triangles));
+  if (triangles.length === 0) throw new Error('VTK file has no surface cells to display.');
+
+  return { positions, indices: Uint32Array.from(triangles), fields, displacement };
+};
+
+// 3. LOADER
+
+const PARSERS = { vtk: parseVTK, json: parseResultsJSON };
+
+/**
+ * three.js loader for result files, so they can go through R3F's `useLoader`
+ * (caching and Suspense). The format comes from the file extension.
+ */
+export class ResultsLoader extends THREE.Loader {
+  load(url, onLoad, onProgress, onError) {
+    const format = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const parse = PARSERS[format];
+    if (!parse) {
+      onError?.(new Error(`Unsupported results format ".${format}" (${RESULT_FORMATS.join(', ')}).`));
+      return;
+    }
+
+    const loader = new THREE.FileLoader(this.manager);
+    loader.setPath(this.path);
+    loader.setRequestHeader(this.requestHeader);
+    loader.load(url, (text) => {
+      try {
+        onLoad(parse(text));
+      } catch (err) {
+        onError?.(err);
+        this.manager.itemError(url);
+      }
+    }, onProgress, onError);
+  }
+}
@@ -0,0 +1,75 @@
+// --- WEBGL SUPPORT ---
+
+/**
+ * @typedef {object} GPUCapabilities
+ * @property {boolean} webgl2
+ * @property {number} maxTextureSize
+ * @property {Set<string>} extensions  supported extension names
+ * @property {boolean} software        rendering on the CPU (SwiftShader, llvmpipe)
+ */
+
+/** @type {GPUCapabilities | null | undefined} undefined until probed, null without WebGL */
+let capabilities;
+
+const probe = () => {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return null;
+    const debug = gl.getExtension('WEBGL_debug_renderer_info');
+    const renderer = String(gl.getParameter(debug ? debug.UNMASKED_RENDERER_WEBGL : gl.RENDERER));
+    const result = {
+      webgl2: typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext,
+      maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      extensions: new Set(gl.getSupportedExtensions() || []),
+      software: /swiftshader|llvmpipe|softpipe|software/i.test(renderer),
+    };
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return result;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * What this browser's WebGL can do, from a throwaway context, or null when
+ * it can't create one. Probed once and cached.
+ * @returns {GPUCapabilities | null}
+ */
+export const gpuCapabilities = () => {
+  if (capabilities === undefined) capabilities = probe();
+  return capabilities;
+};
+
+/**
+ * Whether this browser can create a WebGL context at all (disabled GPU,
+ * blocklisted driver, very old browser).
+ */
+export const supportsWebGL = () => gpuCapabilities() !== null;
+
+// --- DEVICE TIER ---
+
+let tier = null;
+
+/**
+ * A rough performance class for choosing model detail: 'low' for software
+ * rendering, WebGL 1, 2 GB of memory or Data Saver; 'high' for desktops
+ * with a fine pointer, 8+ cores and large textures; 'medium' otherwise.
+ * `deviceMemory` and `connection` are Chromium-only and assumed generous
+ * elsewhere.
+ * @returns {'low' | 'medium' | 'high'}
+ */
+export const deviceTier = () => {
+  if (tier === null) {
+    const gpu = gpuCapabilities();
+    const nav = typeof navigator === 'undefined' ? {} : navigator;
+    const memory = nav.deviceMemory ?? 8;
+    const cores = nav.hardwareConcurrency ?? 4;
+    const touch = typeof matchMedia !== 'undefined' && matchMedia('(pointer: coarse)').matches;
+
+    if (!gpu || gpu.software || !gpu.webgl2 || memory <= 2 || nav.connection?.saveData) tier = 'low';
+    else if (!touch && memory >= 8 && cores >= 8 && gpu.maxTextureSize >= 16384) tier = 'high';
+    else tier = 'medium';
+  }
+  return tier;
+};
@@ -1,3 +1,11 @@
+import plugin from 'tailwindcss/plugin'
+import { THEMES, DEFAULT_THEME, SHADES, themeVariables } from './src/theme/themes.js'
+
+// Theme-aware palettes resolve to the CSS variables of the active preset
+// (src/theme/themes.js), selected by `data-theme` on <html>.
+const variable = (name) => `rgb(var(--color-${name}) / <alpha-value>)`
+const scale = (name, shades) => Object.fromEntries(shades.map((shade) => [shade, variable(`${name}-${shade}`)]))
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -6,10 +14,24 @@ export default {
   ],
   theme: {
     extend: {
+      colors: {
+        white: variable('white'),
+        black: variable('black'),
+        zinc: scale('zinc', SHADES),
+        accent: scale('accent', SHADES),
+        warning: scale('warning', [400, 500]),
+      },
       animation: {
         'spin-slow': 'spin 8s linear infinite',
       }
     },
   },
-  plugins: [],
+  plugins: [
+    plugin(({ addBase }) => {
+      addBase(Object.fromEntries(Object.entries(THEMES).map(([id, theme]) => [
+        id === DEFAULT_THEME ? `:root, [data-theme="${id}"]` : `[data-theme="${id}"]`,
+        { ...themeVariables(theme), colorScheme: theme.scheme },
+      ])))
+    }),
+  ],
 }
@@ -0,0 +1,14 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import contentCollection from './plugins/content-collection.js'
+import decoders from './plugins/decoders.js'
+import prerender from './plugins/prerender.js'
+
+// [https://vitejs.dev/config/](https://vitejs.dev/config/)
+export default defineConfig({
+  plugins: [react(), contentCollection(), decoders(), prerender()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['src/test/setup.js'],
+  },
+})